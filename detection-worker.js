@@ -0,0 +1,106 @@
+// AI 실시간 객체 칼로리 추정 서비스 - 객체 탐지 Web Worker
+// 메인 스레드에서 ImageBitmap 프레임을 받아 추론하고 결과를 돌려준다.
+
+importScripts('model-registry.js');
+importScripts(...TFJS_SCRIPTS);
+
+let model = null;
+let isBusy = false;
+let canvas = null;
+let ctx = null;
+
+async function initializeBackend() {
+    // WebGL in a worker needs OffscreenCanvas support; otherwise use the CPU backend
+    try {
+        await tf.setBackend('webgl');
+    } catch (error) {
+        console.warn('Worker WebGL backend unavailable, using CPU:', error);
+        await tf.setBackend('cpu');
+    }
+    await tf.ready();
+}
+
+async function loadModel(modelId) {
+    await initializeBackend();
+    const { detector, source } = await loadRegisteredModel(modelId, (fraction) => {
+        self.postMessage({ type: 'progress', fraction });
+    });
+    model = detector;
+    self.postMessage({ type: 'loaded', backend: tf.getBackend(), source });
+}
+
+// Draw the frame onto an OffscreenCanvas so the model receives plain ImageData
+function bitmapToImageData(bitmap) {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+async function detect(frameId, bitmap, options) {
+    // Drop frames that arrive while an inference is running instead of queuing them
+    if (isBusy || !model) {
+        bitmap.close();
+        self.postMessage({ type: 'dropped', frameId });
+        return;
+    }
+
+    isBusy = true;
+    const startTime = performance.now();
+
+    try {
+        const imageData = bitmapToImageData(bitmap);
+        const predictions = await model.detect(imageData, options);
+
+        // Keep only structured-clone friendly fields
+        const detections = predictions.map(prediction => ({
+            label: prediction.label,
+            score: prediction.score,
+            box: {
+                left: prediction.box.left,
+                top: prediction.box.top,
+                width: prediction.box.width,
+                height: prediction.box.height
+            }
+        }));
+
+        self.postMessage({
+            type: 'detections',
+            frameId,
+            detections,
+            inferenceTime: performance.now() - startTime
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', frameId, error: error.message });
+    } finally {
+        bitmap.close();
+        isBusy = false;
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'load':
+            try {
+                await loadModel(message.modelId);
+            } catch (error) {
+                self.postMessage({ type: 'error', error: error.message });
+            }
+            break;
+        case 'detect':
+            await detect(message.frameId, message.bitmap, message.options);
+            break;
+        case 'dispose':
+            if (model) {
+                model.dispose();
+                model = null;
+            }
+            break;
+        default:
+            console.warn('Unknown worker message:', message.type);
+    }
+};
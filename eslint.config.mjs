@@ -11,6 +11,24 @@ const compat = new FlatCompat({
 
 const eslintConfig = [
   ...compat.extends("next/core-web-vitals", "next/typescript"),
+  {
+    // Classic browser scripts loaded by index.html and the workers
+    files: ["*.js"],
+    languageOptions: {
+      sourceType: "script",
+    },
+  },
+  {
+    // These share one global scope with main.js and the worker, which use their top-level declarations.
+    // The node env from the Next config turns globalReturn on, which would make those declarations local.
+    files: ["i18n.js", "model-registry.js"],
+    languageOptions: {
+      parserOptions: { ecmaFeatures: { globalReturn: false } },
+    },
+    rules: {
+      "@typescript-eslint/no-unused-vars": ["warn", { vars: "local" }],
+    },
+  },
   {
     ignores: [
       "node_modules/**",
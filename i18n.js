@@ -0,0 +1,700 @@
+// AI 실시간 객체 칼로리 추정 서비스 - 다국어 메시지와 단위 표시
+// main.js보다 먼저 불러온다. 화면 문구는 모두 여기 카탈로그에서 가져온다.
+
+const LOCALE_PREFERENCE_KEY = 'calorieEstimator.locale';
+const DEFAULT_LOCALE = 'ko';
+const INTL_LOCALES = { ko: 'ko-KR', en: 'en-US' };
+const ENERGY_UNITS = ['kcal', 'kJ'];
+const WEIGHT_UNITS = ['g', 'oz'];
+const KJ_PER_KCAL = 4.184;
+const GRAMS_PER_OUNCE = 28.3495;
+
+// Message catalogs. {name} placeholders are filled in by I18n.t()
+const MESSAGES = {
+    ko: {
+        'app.title': 'AI 실시간 객체 칼로리 추정 서비스',
+        'app.subtitle': '웹 카메라를 통해 실시간으로 객체를 인식하고 칼로리를 추정합니다',
+        'app.footer': '© 2024 AI 실시간 객체 칼로리 추정 서비스',
+
+        'settings.language': '언어',
+        'settings.energyUnit': '에너지 단위',
+        'settings.weightUnit': '무게 단위',
+
+        'common.close': '닫기',
+        'common.cancel': '취소',
+        'common.delete': '삭제',
+
+        'controls.start': '카메라 시작',
+        'controls.stop': '카메라 중지',
+        'controls.freeze': '프레임 고정',
+        'controls.unfreeze': '고정 해제',
+        'controls.closePhoto': '사진 닫기',
+        'controls.upload': '사진 분석',
+        'controls.stillAlt': '분석할 사진',
+        'controls.twoView': '두 방향 촬영',
+
+        'twoView.title': '두 방향 촬영',
+        'twoView.capture': '지금 촬영',
+        'twoView.upload': '사진 선택',
+        'twoView.restart': '처음부터',
+        'twoView.step.top': '1/2 위에서 내려다보며 음식과 기준 물체(카드, 동전 등)가 모두 보이게 찍으세요.',
+        'twoView.step.side': '2/2 같은 쪽에서 카메라를 테이블 높이로 낮춰 옆모습을 찍으세요. 기준 물체도 보여야 합니다.',
+        'twoView.step.topReference': '1/2 기준 물체를 찾지 못했습니다. 사진에서 실제 크기를 아는 물체 주위로 상자를 그리고 길이를 입력하세요.',
+        'twoView.step.sideReference': '2/2 옆 사진에서 위 사진에 그린 물체 주위로 상자를 그리세요.',
+        'twoView.step.done': '위 사진의 바닥 면적과 옆 사진의 높이로 부피를 다시 계산했습니다.',
+        'twoView.applyReference': '기준 물체 적용',
+        'twoView.noSideReference': '옆 사진에서 위 사진과 같은 기준 물체를 찾지 못했습니다',
+        'twoView.noMatches': '두 사진에서 같은 물체를 찾지 못했습니다',
+        'twoView.row': '{name}: 한 장 {single} cm³ → 두 장 {combined} cm³ (높이 {height} mm)',
+        'twoView.unmatched': '{name}: 한 장 {single} cm³ (옆 사진에서 찾지 못함)',
+
+        'shapeEdit.title': '모양 수정',
+        'shapeEdit.shape': '모양',
+        'shapeEdit.depthRatio': '깊이 비율 (가로 대비)',
+        'shapeEdit.fillLevel': '채운 정도',
+        'shapeEdit.contents': '내용물 (안에 탐지된 음식이 없을 때)',
+        'shapeEdit.followDefault': '기본값 따름',
+        'shapeEdit.volume': '추정 부피:',
+        'shapeEdit.capacity': '용량',
+        'shapeEdit.measuredHeight': '측정 높이',
+        'shapeEdit.reset': '기본값으로',
+        'shapeEdit.modified': '수정됨',
+        'shapeEdit.trackedOnly': '실시간으로 추적 중인 객체만 모양을 수정할 수 있습니다',
+
+        'shape.sphere': '구',
+        'shape.ellipsoid': '타원체',
+        'shape.cylinder': '원기둥',
+        'shape.cone': '원뿔',
+        'shape.hemisphere': '반구',
+        'shape.box': '직육면체',
+        'shape.flat-slice': '납작한 조각',
+        'shape.bowl': '그릇 (채운 양)',
+
+        'camera.title': '카메라 설정',
+        'camera.device': '카메라',
+        'camera.deviceNumber': '카메라 {number}',
+        'camera.resolution': '해상도',
+        'camera.zoom': '줌',
+        'camera.switchFacing': '전면/후면 전환',
+        'camera.torchOn': '플래시 켜기',
+        'camera.torchOff': '플래시 끄기',
+
+        'detection.title': '객체 탐지 설정',
+        'detection.model': '탐지 모델',
+        'detection.confidence': '신뢰도 임계값',
+        'detection.interval': '탐지 주기',
+        'detection.maxDetections': '최대 탐지 수',
+        'detection.pause': '탐지 일시정지',
+        'detection.resume': '탐지 재시작',
+
+        'filter.label': '분석할 객체',
+        'filter.all': '모든 객체',
+        'filter.food': '음식만',
+        'filter.objects': '사물만',
+        'filter.custom': '직접 지정',
+        'filter.hint': '클래스 이름을 쉼표로 구분해 입력하세요 (예: apple, pizza). 보정 기준 객체는 항상 포함됩니다.',
+        'filter.allow': '포함할 클래스 (비우면 전체)',
+        'filter.deny': '제외할 클래스',
+
+        'container.defaultContents': '빈 그릇/컵의 내용물',
+        'container.none': '선택 안 함 (용기만)',
+        'classifier.enable': '음식 이름 세부 인식 (2단계 분류)',
+        'classifier.model': '음식 분류 모델',
+        'classifier.unavailable': '설치된 음식 분류 모델이 없습니다. models/README.md를 참고해 모델 파일을 추가하세요.',
+        'segmentation.enable': '윤곽(마스크)으로 크기 측정',
+        'depth.enable': '깊이 모델로 음식 높이 측정',
+        'depth.model': '깊이 추정 모델',
+        'depth.unavailable': '설치된 깊이 모델이 없습니다. models/README.md를 참고해 모델 파일을 추가하세요.',
+
+        'roi.select': '관심 영역 지정',
+        'roi.cancel': '영역 지정 취소',
+        'roi.clear': '영역 해제',
+        'roi.crop': '관심 영역만 잘라서 탐지 (작은 객체 정확도 향상)',
+
+        'performance.auto': '성능 자동 조절',
+        'performance.target': '목표',
+        'performance.autoLevel': '자동 {level}/{count}단계',
+        'performance.manual': '수동',
+
+        'stats.fps': 'FPS:',
+        'stats.objects': '탐지된 객체:',
+        'stats.totalCalories': '총 추정 칼로리:',
+        'stats.inferenceLatency': '추론 지연 p50/p90/p99:',
+        'stats.totalLatency': '전체 처리 시간 p50:',
+        'stats.inputSize': '입력 해상도:',
+        'stats.performanceLevel': '성능 단계:',
+        'stats.calibration': '보정 상태:',
+        'stats.scale': '측정 비율 (mm/px):',
+        'stats.calibrationConfidence': '보정 신뢰도:',
+
+        'calibration.notReady': '준비 안됨',
+        'calibration.stale': '보정 오래됨 ({name} 미검출)',
+        'calibration.done': '보정 완료 ({name}{more})',
+        'calibration.more': ' 외 {count}개',
+        'calibration.plane': ' · 원근 보정됨',
+        'calibration.perspective': '기준 물체 모서리로 원근 보정 (카드/A4 용지)',
+        'calibration.searching': '기준 객체 찾는 중... (표준 1인분/평균 크기로 추정)',
+        'calibration.noReferenceModel': '이 모델은 기준 물체를 인식하지 못합니다. 수동 보정을 쓰세요 (표준 1인분/평균 크기로 추정)',
+        'calibration.manualName': '수동',
+        'calibration.manual': '수동 보정',
+        'calibration.reset': '보정 초기화',
+        'calibration.manualHint': '화면에서 실제 크기를 알고 있는 물체 주위로 상자를 그린 뒤 길이를 입력하세요. 카드처럼 네모난 물체는 세로 길이도 넣으면 원근 보정도 됩니다',
+        'calibration.realWidth': '실제 가로 길이 (mm)',
+        'calibration.realHeight': '실제 세로 길이 (mm, 선택)',
+        'calibration.apply': '보정 적용',
+
+        'reference.credit card': '신용카드',
+        'reference.A4 paper': 'A4 용지',
+        'reference.100 won coin': '100원 동전',
+        'reference.BIC lighter': 'BIC 라이터',
+
+        'export.json': 'JSON 내보내기',
+        'export.csv': 'CSV 내보내기',
+        'export.png': 'PNG 저장',
+
+        'model.loadingTitle': 'AI 모델 로딩',
+        'model.loading': 'AI 모델 로딩 중...',
+        'model.preparingAi': 'AI 모델 로딩 준비 중...',
+        'model.loaded': 'AI 모델 로드 완료!',
+        'model.failed': 'AI 모델 로드 실패: {error}',
+        'model.tryingFallback': '대체 모델 로드 시도 중...',
+        'model.fallbackLoaded': '대체 AI 모델 로드 완료!',
+        'model.allFailed': '모든 AI 모델 로드 실패',
+        'model.downloading': '{name} 모델 다운로드 중...',
+        'model.downloadProgress': '{name} 모델 다운로드 중... {percent}%',
+
+        'label.noCalories': '칼로리 정보 없음',
+        'label.containedFoods': '음식 {count}개 담김',
+        'label.selectContents': '내용물을 선택하세요',
+        'label.capacity': '용량 ≈ {volume} ml',
+        'label.macros': '탄수화물: {carbs}, 단백질: {protein}, 지방: {fat}',
+        'label.composition': '이론적 구성: {composition}',
+
+        'component.cellulose': '셀룰로스',
+        'component.lignin': '리그닌',
+        'component.water': '수분',
+        'component.polyester': '폴리에스터',
+        'component.polyethylene': '폴리에틸렌',
+        'component.rubber': '고무',
+        'component.protein': '단백질',
+        'component.fat': '지방',
+        'component.minerals': '무기질',
+        'component.plastic': '플라스틱',
+        'component.metal': '금속',
+        'component.glass': '유리',
+        'component.ceramic': '세라믹',
+
+        'meal.title': '식사 기록',
+        'meal.privacy': '기록은 이 기기에만 저장되며 서버로 전송되지 않습니다.',
+        'meal.start': '식사 기록 시작',
+        'meal.finish': '식사 완료 및 저장',
+        'meal.showHistory': '기록 보기',
+        'meal.hideHistory': '기록 닫기',
+        'meal.candidates': '인식된 음식',
+        'meal.current': '현재 식사',
+        'meal.daily': '일별',
+        'meal.weekly': '주별',
+        'meal.sessions': '식사 목록',
+        'meal.add': '추가',
+        'meal.added': '추가됨',
+        'meal.saved': '식사 기록이 저장되었습니다',
+        'meal.nothingAdded': '추가된 음식이 없어 기록하지 않았습니다',
+        'meal.saveFailed': '식사 기록 저장 중 오류가 발생했습니다',
+        'meal.addFailed': '음식을 추가할 수 없습니다: {error}',
+        'meal.loadFailed': '식사 기록을 불러올 수 없습니다',
+        'meal.deleteFailed': '식사 기록을 삭제할 수 없습니다',
+        'meal.empty': '저장된 식사 기록이 없습니다',
+        'meal.week': '{date} 주',
+        'meal.summary': '{period} ({count}끼): {totals}',
+        'meal.totals': '{calories} · 탄수화물 {carbs} · 단백질 {protein} · 지방 {fat}',
+
+        'help.title': '사용 방법',
+        'help.step1': '카메라 시작 버튼을 클릭하여 카메라 접근 권한을 허용하세요',
+        'help.step2': '카메라 앞에 음식이나 사물을 놓으세요',
+        'help.step3': 'AI가 자동으로 객체를 인식하고 칼로리를 추정합니다',
+        'privacy.title': '개인정보 보호',
+        'privacy.body': '모든 이미지 처리는 로컬에서 이루어지며, 서버로 전송되지 않습니다.',
+
+        'status.ready': '카메라를 시작하려면 버튼을 클릭하세요',
+        'status.cameraStarted': '카메라가 성공적으로 시작되었습니다',
+        'status.videoError': '비디오 스트림에 오류가 발생했습니다',
+        'status.modelSwitched': '{name} 모델로 전환했습니다',
+        'status.modelSwitchFailed': '모델 전환 실패: {error}',
+        'status.manualCalibrationInput': '상자를 그리고 실제 가로 길이(mm)를 입력해주세요',
+        'status.manualCalibrationApplied': '수동 보정이 적용되었습니다',
+        'status.roiDrag': '화면에서 분석할 영역을 드래그하세요',
+        'status.roiSet': '관심 영역이 지정되었습니다',
+        'status.nothingToExport': '내보낼 분석 결과가 없습니다',
+        'status.exported': '{format} 파일을 저장했습니다',
+        'status.exportFailed': '결과 내보내기 실패: {error}',
+        'status.switchingCamera': '카메라를 전환하는 중...',
+        'status.cameraSwitchReverted': '카메라를 전환할 수 없어 이전 설정으로 되돌렸습니다',
+        'status.cameraSwitched': '카메라가 전환되었습니다',
+        'status.freezeRequiresDetection': '객체 탐지 중일 때만 프레임을 고정할 수 있습니다',
+        'status.frozen': '프레임이 고정되었습니다',
+        'status.loadingPhoto': '사진을 불러오는 중...',
+        'status.analyzingPhoto': '사진 분석 중...',
+        'status.photoAnalyzed': '사진 분석 완료: {count}개 객체를 찾았습니다',
+        'status.photoFailed': '사진 분석 실패: {error}',
+        'status.resumed': '실시간 탐지를 재개합니다',
+        'status.requestingCamera': '카메라 접근 권한을 요청 중...',
+        'status.settingUpStream': '카메라 스트림을 설정 중...',
+        'status.loadingModel': 'AI 모델을 로딩 중입니다...',
+        'status.modelReadyStarting': 'AI 모델 로딩 완료! 객체 탐지를 시작합니다...',
+        'status.allReady': '카메라와 AI 객체 탐지가 모두 준비되었습니다!',
+        'status.modelFailedCameraOn': '카메라는 시작되었지만 AI 모델 로딩에 실패했습니다.',
+        'status.cameraStopped': '카메라가 중지되었습니다',
+        'status.cameraStopFailed': '카메라 중지 중 오류가 발생했습니다',
+        'status.classifierReady': '{name} 분류 모델이 준비되었습니다',
+        'status.classifierFailed': '음식 분류 모델 로딩 실패: {error}',
+        'status.depthReady': '{name} 깊이 모델이 준비되었습니다',
+        'status.depthFailed': '깊이 모델 로딩 실패: {error}',
+        'status.twoViewDone': '두 방향 측정 완료: {count}개 객체',
+        'status.twoViewFailed': '두 방향 촬영 실패: {error}',
+
+        'error.camera': '카메라 접근 중 오류가 발생했습니다',
+        'error.cameraNotAllowed': '카메라 접근 권한이 거부되었습니다. 브라우저 설정에서 카메라 권한을 허용해주세요.',
+        'error.cameraNotFound': '카메라를 찾을 수 없습니다. 카메라가 연결되어 있는지 확인해주세요.',
+        'error.cameraNotReadable': '카메라가 다른 애플리케이션에서 사용 중입니다. 다른 애플리케이션을 종료하고 다시 시도해주세요.',
+        'error.cameraOverconstrained': '카메라 설정을 만족할 수 없습니다. 다른 카메라를 사용해주세요.',
+        'error.cameraSecurity': '보안상의 이유로 카메라에 접근할 수 없습니다. HTTPS 연결을 사용해주세요.',
+        'error.getUserMediaUnsupported': 'getUserMedia API를 지원하지 않는 브라우저입니다. 최신 브라우저를 사용해주세요.',
+        'error.cameraOther': '카메라 오류: {error}',
+        'error.cameraInactive': '카메라가 활성화되지 않았습니다',
+        'error.browserUnsupported': '이 브라우저는 카메라 접근을 지원하지 않습니다. 최신 브라우저를 사용해주세요.'
+    },
+    en: {
+        'app.title': 'AI Real-time Object Calorie Estimator',
+        'app.subtitle': 'Recognizes objects through your webcam and estimates their calories in real time',
+        'app.footer': '© 2024 AI Real-time Object Calorie Estimator',
+
+        'settings.language': 'Language',
+        'settings.energyUnit': 'Energy unit',
+        'settings.weightUnit': 'Weight unit',
+
+        'common.close': 'Close',
+        'common.cancel': 'Cancel',
+        'common.delete': 'Delete',
+
+        'controls.start': 'Start camera',
+        'controls.stop': 'Stop camera',
+        'controls.freeze': 'Freeze frame',
+        'controls.unfreeze': 'Unfreeze',
+        'controls.closePhoto': 'Close photo',
+        'controls.upload': 'Analyze photo',
+        'controls.stillAlt': 'Photo to analyze',
+        'controls.twoView': 'Two-view capture',
+
+        'twoView.title': 'Two-view capture',
+        'twoView.capture': 'Capture',
+        'twoView.upload': 'Choose photo',
+        'twoView.restart': 'Start over',
+        'twoView.step.top': '1/2 Shoot straight down with the food and a reference object (card, coin, ...) in view.',
+        'twoView.step.side': '2/2 From the same side, lower the camera to table height and shoot from the side. Keep the reference object in view.',
+        'twoView.step.topReference': '1/2 No reference object found. Draw a box around an object in the photo whose real size you know, then enter its size.',
+        'twoView.step.sideReference': '2/2 Draw a box around the object you drew in the top photo.',
+        'twoView.step.done': 'Volumes recomputed from the footprint in the top photo and the height in the side photo.',
+        'twoView.applyReference': 'Use this reference',
+        'twoView.noSideReference': 'The reference object from the top photo was not found in the side photo',
+        'twoView.noMatches': 'No object was found in both photos',
+        'twoView.row': '{name}: one view {single} cm³ → two views {combined} cm³ (height {height} mm)',
+        'twoView.unmatched': '{name}: one view {single} cm³ (not found in the side photo)',
+
+        'shapeEdit.title': 'Edit shape',
+        'shapeEdit.shape': 'Shape',
+        'shapeEdit.depthRatio': 'Depth ratio (to width)',
+        'shapeEdit.fillLevel': 'Fill level',
+        'shapeEdit.contents': 'Contents (when no food is detected inside)',
+        'shapeEdit.followDefault': 'Use default',
+        'shapeEdit.volume': 'Estimated volume:',
+        'shapeEdit.capacity': 'capacity',
+        'shapeEdit.measuredHeight': 'measured height',
+        'shapeEdit.reset': 'Reset',
+        'shapeEdit.modified': 'edited',
+        'shapeEdit.trackedOnly': 'Only objects tracked in the live view can be edited',
+
+        'shape.sphere': 'Sphere',
+        'shape.ellipsoid': 'Ellipsoid',
+        'shape.cylinder': 'Cylinder',
+        'shape.cone': 'Cone',
+        'shape.hemisphere': 'Hemisphere',
+        'shape.box': 'Box',
+        'shape.flat-slice': 'Flat slice',
+        'shape.bowl': 'Bowl (filled part)',
+
+        'camera.title': 'Camera settings',
+        'camera.device': 'Camera',
+        'camera.deviceNumber': 'Camera {number}',
+        'camera.resolution': 'Resolution',
+        'camera.zoom': 'Zoom',
+        'camera.switchFacing': 'Switch front/back',
+        'camera.torchOn': 'Turn on flash',
+        'camera.torchOff': 'Turn off flash',
+
+        'detection.title': 'Detection settings',
+        'detection.model': 'Detection model',
+        'detection.confidence': 'Confidence threshold',
+        'detection.interval': 'Detection interval',
+        'detection.maxDetections': 'Max detections',
+        'detection.pause': 'Pause detection',
+        'detection.resume': 'Resume detection',
+
+        'filter.label': 'Objects to analyze',
+        'filter.all': 'All objects',
+        'filter.food': 'Food only',
+        'filter.objects': 'Non-food only',
+        'filter.custom': 'Custom',
+        'filter.hint': 'Enter class names separated by commas (e.g. apple, pizza). Reference objects are always included.',
+        'filter.allow': 'Include classes (empty for all)',
+        'filter.deny': 'Exclude classes',
+
+        'container.defaultContents': 'Contents of empty bowls/cups',
+        'container.none': 'None (vessel only)',
+        'classifier.enable': 'Recognize specific dishes (second-stage classifier)',
+        'classifier.model': 'Dish classifier',
+        'classifier.unavailable': 'No dish classifier is installed. See models/README.md to add the model files.',
+        'segmentation.enable': 'Measure size from object outlines (masks)',
+        'depth.enable': 'Measure food height with a depth model',
+        'depth.model': 'Depth model',
+        'depth.unavailable': 'No depth model is installed. See models/README.md to add the model files.',
+
+        'roi.select': 'Select region',
+        'roi.cancel': 'Cancel selection',
+        'roi.clear': 'Clear region',
+        'roi.crop': 'Detect only inside the region (better for small objects)',
+
+        'performance.auto': 'Automatic performance',
+        'performance.target': 'target',
+        'performance.autoLevel': 'Auto, level {level}/{count}',
+        'performance.manual': 'Manual',
+
+        'stats.fps': 'FPS:',
+        'stats.objects': 'Detected objects:',
+        'stats.totalCalories': 'Total estimated energy:',
+        'stats.inferenceLatency': 'Inference latency p50/p90/p99:',
+        'stats.totalLatency': 'Total processing time p50:',
+        'stats.inputSize': 'Input resolution:',
+        'stats.performanceLevel': 'Performance level:',
+        'stats.calibration': 'Calibration:',
+        'stats.scale': 'Scale (mm/px):',
+        'stats.calibrationConfidence': 'Calibration confidence:',
+
+        'calibration.notReady': 'Not ready',
+        'calibration.stale': 'Calibration stale ({name} not seen)',
+        'calibration.done': 'Calibrated ({name}{more})',
+        'calibration.more': ' and {count} more',
+        'calibration.plane': ' · perspective corrected',
+        'calibration.perspective': 'Correct perspective from the reference corners (card/A4 sheet)',
+        'calibration.searching': 'Looking for a reference object... (estimating from standard servings/average sizes)',
+        'calibration.noReferenceModel': 'This model cannot see reference objects. Calibrate manually (estimating from standard servings/average sizes)',
+        'calibration.manualName': 'manual',
+        'calibration.manual': 'Manual calibration',
+        'calibration.reset': 'Reset calibration',
+        'calibration.manualHint': 'Draw a box around an object whose real size you know, then enter its size. For a rectangle such as a card, also enter its height to correct the perspective',
+        'calibration.realWidth': 'Real width (mm)',
+        'calibration.realHeight': 'Real height (mm, optional)',
+        'calibration.apply': 'Apply calibration',
+
+        'reference.credit card': 'credit card',
+        'reference.A4 paper': 'A4 paper',
+        'reference.100 won coin': '100 won coin',
+        'reference.BIC lighter': 'BIC lighter',
+
+        'export.json': 'Export JSON',
+        'export.csv': 'Export CSV',
+        'export.png': 'Save PNG',
+
+        'model.loadingTitle': 'Loading AI model',
+        'model.loading': 'Loading AI model...',
+        'model.preparingAi': 'Preparing to load the AI model...',
+        'model.loaded': 'AI model loaded!',
+        'model.failed': 'Failed to load AI model: {error}',
+        'model.tryingFallback': 'Trying the fallback model...',
+        'model.fallbackLoaded': 'Fallback AI model loaded!',
+        'model.allFailed': 'All AI models failed to load',
+        'model.downloading': 'Downloading {name} model...',
+        'model.downloadProgress': 'Downloading {name} model... {percent}%',
+
+        'label.noCalories': 'No calorie data',
+        'label.containedFoods': '{count} food item(s) inside',
+        'label.selectContents': 'Tap to choose the contents',
+        'label.capacity': 'Capacity ≈ {volume} ml',
+        'label.macros': 'Carbs: {carbs}, Protein: {protein}, Fat: {fat}',
+        'label.composition': 'Theoretical composition: {composition}',
+
+        'component.cellulose': 'cellulose',
+        'component.lignin': 'lignin',
+        'component.water': 'water',
+        'component.polyester': 'polyester',
+        'component.polyethylene': 'polyethylene',
+        'component.rubber': 'rubber',
+        'component.protein': 'protein',
+        'component.fat': 'fat',
+        'component.minerals': 'minerals',
+        'component.plastic': 'plastic',
+        'component.metal': 'metal',
+        'component.glass': 'glass',
+        'component.ceramic': 'ceramic',
+
+        'meal.title': 'Meal log',
+        'meal.privacy': 'Meals are stored on this device only and never sent to a server.',
+        'meal.start': 'Start meal',
+        'meal.finish': 'Finish and save meal',
+        'meal.showHistory': 'Show history',
+        'meal.hideHistory': 'Hide history',
+        'meal.candidates': 'Recognized foods',
+        'meal.current': 'Current meal',
+        'meal.daily': 'Daily',
+        'meal.weekly': 'Weekly',
+        'meal.sessions': 'Meals',
+        'meal.add': 'Add',
+        'meal.added': 'Added',
+        'meal.saved': 'Meal saved',
+        'meal.nothingAdded': 'No foods were added, so nothing was saved',
+        'meal.saveFailed': 'Could not save the meal',
+        'meal.addFailed': 'Could not add the food: {error}',
+        'meal.loadFailed': 'Could not load the meal history',
+        'meal.deleteFailed': 'Could not delete the meal',
+        'meal.empty': 'No saved meals',
+        'meal.week': 'Week of {date}',
+        'meal.summary': '{period} ({count} meals): {totals}',
+        'meal.totals': '{calories} · carbs {carbs} · protein {protein} · fat {fat}',
+
+        'help.title': 'How to use',
+        'help.step1': 'Click "Start camera" and allow camera access',
+        'help.step2': 'Place food or other objects in front of the camera',
+        'help.step3': 'The AI recognizes the objects and estimates their calories automatically',
+        'privacy.title': 'Privacy',
+        'privacy.body': 'All image processing happens locally and nothing is sent to a server.',
+
+        'status.ready': 'Click the button to start the camera',
+        'status.cameraStarted': 'Camera started',
+        'status.videoError': 'The video stream failed',
+        'status.modelSwitched': 'Switched to the {name} model',
+        'status.modelSwitchFailed': 'Could not switch models: {error}',
+        'status.manualCalibrationInput': 'Draw a box and enter its real width (mm)',
+        'status.manualCalibrationApplied': 'Manual calibration applied',
+        'status.roiDrag': 'Drag over the area to analyze',
+        'status.roiSet': 'Region of interest set',
+        'status.nothingToExport': 'There are no results to export',
+        'status.exported': '{format} file saved',
+        'status.exportFailed': 'Export failed: {error}',
+        'status.switchingCamera': 'Switching camera...',
+        'status.cameraSwitchReverted': 'Could not switch the camera; restored the previous settings',
+        'status.cameraSwitched': 'Camera switched',
+        'status.freezeRequiresDetection': 'Frames can only be frozen while detection is running',
+        'status.frozen': 'Frame frozen',
+        'status.loadingPhoto': 'Loading photo...',
+        'status.analyzingPhoto': 'Analyzing photo...',
+        'status.photoAnalyzed': 'Photo analyzed: found {count} object(s)',
+        'status.photoFailed': 'Photo analysis failed: {error}',
+        'status.resumed': 'Live detection resumed',
+        'status.requestingCamera': 'Requesting camera access...',
+        'status.settingUpStream': 'Setting up the camera stream...',
+        'status.loadingModel': 'Loading the AI model...',
+        'status.modelReadyStarting': 'AI model loaded! Starting object detection...',
+        'status.allReady': 'Camera and AI object detection are ready!',
+        'status.modelFailedCameraOn': 'The camera started, but the AI model failed to load.',
+        'status.cameraStopped': 'Camera stopped',
+        'status.cameraStopFailed': 'An error occurred while stopping the camera',
+        'status.classifierReady': 'The {name} classifier is ready',
+        'status.classifierFailed': 'Could not load the dish classifier: {error}',
+        'status.depthReady': 'The {name} depth model is ready',
+        'status.depthFailed': 'Could not load the depth model: {error}',
+        'status.twoViewDone': 'Two-view measurement done: {count} objects',
+        'status.twoViewFailed': 'Two-view capture failed: {error}',
+
+        'error.camera': 'An error occurred while accessing the camera',
+        'error.cameraNotAllowed': 'Camera access was denied. Allow camera access in your browser settings.',
+        'error.cameraNotFound': 'No camera was found. Check that a camera is connected.',
+        'error.cameraNotReadable': 'The camera is in use by another application. Close it and try again.',
+        'error.cameraOverconstrained': 'The camera settings cannot be satisfied. Try another camera.',
+        'error.cameraSecurity': 'The camera cannot be accessed for security reasons. Use an HTTPS connection.',
+        'error.getUserMediaUnsupported': 'This browser does not support the getUserMedia API. Use an up-to-date browser.',
+        'error.cameraOther': 'Camera error: {error}',
+        'error.cameraInactive': 'The camera is not active',
+        'error.browserUnsupported': 'This browser does not support camera access. Use an up-to-date browser.'
+    }
+};
+
+// Korean names for the detector's COCO classes; English shows the model label as is
+const CLASS_NAMES = {
+    ko: {
+        'person': '사람', 'bicycle': '자전거', 'car': '자동차', 'motorcycle': '오토바이', 'airplane': '비행기',
+        'bus': '버스', 'train': '기차', 'truck': '트럭', 'boat': '보트', 'traffic light': '신호등',
+        'fire hydrant': '소화전', 'stop sign': '정지 표지판', 'parking meter': '주차 미터기', 'bench': '벤치',
+        'bird': '새', 'cat': '고양이', 'dog': '개', 'horse': '말', 'sheep': '양', 'cow': '소',
+        'elephant': '코끼리', 'bear': '곰', 'zebra': '얼룩말', 'giraffe': '기린', 'backpack': '배낭',
+        'umbrella': '우산', 'handbag': '핸드백', 'tie': '넥타이', 'suitcase': '여행 가방', 'frisbee': '프리스비',
+        'skis': '스키', 'snowboard': '스노보드', 'sports ball': '공', 'kite': '연',
+        'baseball bat': '야구 방망이', 'baseball glove': '야구 글러브', 'skateboard': '스케이트보드',
+        'surfboard': '서핑보드', 'tennis racket': '테니스 라켓', 'bottle': '병', 'wine glass': '와인잔',
+        'cup': '컵', 'fork': '포크', 'knife': '나이프', 'spoon': '숟가락', 'bowl': '그릇',
+        'banana': '바나나', 'apple': '사과', 'sandwich': '샌드위치', 'orange': '오렌지', 'broccoli': '브로콜리',
+        'carrot': '당근', 'hot dog': '핫도그', 'pizza': '피자', 'donut': '도넛', 'cake': '케이크',
+        'chair': '의자', 'couch': '소파', 'potted plant': '화분', 'bed': '침대', 'dining table': '식탁',
+        'toilet': '변기', 'tv': 'TV', 'laptop': '노트북', 'mouse': '마우스', 'remote': '리모컨',
+        'keyboard': '키보드', 'cell phone': '휴대폰', 'microwave': '전자레인지', 'oven': '오븐',
+        'toaster': '토스터', 'sink': '싱크대', 'refrigerator': '냉장고', 'book': '책', 'clock': '시계',
+        'vase': '꽃병', 'scissors': '가위', 'teddy bear': '곰 인형', 'hair drier': '헤어드라이어',
+        'toothbrush': '칫솔'
+    },
+    en: {}
+};
+
+// Current language and display units, saved for the next visit.
+// Listeners registered with onChange() re-render text when any of them changes.
+class I18n {
+    constructor() {
+        const saved = this.loadPreference();
+        this.locale = saved.locale;
+        this.energyUnit = saved.energyUnit;
+        this.weightUnit = saved.weightUnit;
+        this.listeners = [];
+        this.numberFormats = new Map(); // fraction digits -> Intl.NumberFormat for the current locale
+    }
+
+    loadPreference() {
+        const preference = { locale: this.detectLocale(), energyUnit: 'kcal', weightUnit: 'g' };
+        try {
+            const saved = typeof localStorage !== 'undefined'
+                ? JSON.parse(localStorage.getItem(LOCALE_PREFERENCE_KEY))
+                : null;
+            if (saved && MESSAGES[saved.locale]) preference.locale = saved.locale;
+            if (saved && ENERGY_UNITS.includes(saved.energyUnit)) preference.energyUnit = saved.energyUnit;
+            if (saved && WEIGHT_UNITS.includes(saved.weightUnit)) preference.weightUnit = saved.weightUnit;
+        } catch {
+            // Unreadable preference: keep the defaults
+        }
+        return preference;
+    }
+
+    savePreference() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.setItem(LOCALE_PREFERENCE_KEY, JSON.stringify({
+            locale: this.locale,
+            energyUnit: this.energyUnit,
+            weightUnit: this.weightUnit
+        }));
+    }
+
+    // First browser language we have a catalog for
+    detectLocale() {
+        const languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+        for (const language of languages) {
+            const locale = String(language || '').split('-')[0].toLowerCase();
+            if (MESSAGES[locale]) {
+                return locale;
+            }
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    get locales() {
+        return Object.keys(MESSAGES);
+    }
+
+    get intlLocale() {
+        return INTL_LOCALES[this.locale] || this.locale;
+    }
+
+    setLocale(locale) {
+        if (!MESSAGES[locale] || locale === this.locale) return;
+        this.locale = locale;
+        this.numberFormats.clear();
+        this.changed();
+    }
+
+    setEnergyUnit(unit) {
+        if (!ENERGY_UNITS.includes(unit) || unit === this.energyUnit) return;
+        this.energyUnit = unit;
+        this.changed();
+    }
+
+    setWeightUnit(unit) {
+        if (!WEIGHT_UNITS.includes(unit) || unit === this.weightUnit) return;
+        this.weightUnit = unit;
+        this.changed();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    changed() {
+        this.savePreference();
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    has(key) {
+        return key in MESSAGES[this.locale] || key in MESSAGES[DEFAULT_LOCALE];
+    }
+
+    // Missing keys fall back to the default catalog, then to the key itself
+    t(key, params = {}) {
+        const message = MESSAGES[this.locale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    className(className) {
+        return CLASS_NAMES[this.locale][className] || className;
+    }
+
+    // displayName is the { ko, en } pair nutrition sources provide
+    localizedName(displayName, className) {
+        if (displayName && displayName[this.locale]) {
+            return displayName[this.locale];
+        }
+        return this.className(className);
+    }
+
+    formatNumber(value, fractionDigits = 0) {
+        if (!this.numberFormats.has(fractionDigits)) {
+            this.numberFormats.set(fractionDigits, new Intl.NumberFormat(this.intlLocale, {
+                minimumFractionDigits: fractionDigits,
+                maximumFractionDigits: fractionDigits
+            }));
+        }
+        return this.numberFormats.get(fractionDigits).format(value);
+    }
+
+    convertEnergy(kcal) {
+        return this.energyUnit === 'kJ' ? kcal * KJ_PER_KCAL : kcal;
+    }
+
+    formatEnergy(kcal) {
+        return `${this.formatNumber(this.convertEnergy(kcal))} ${this.energyUnit}`;
+    }
+
+    // Ounces get one more decimal, since 1 oz is about 28 g
+    formatWeight(grams, fractionDigits = 0) {
+        return this.weightUnit === 'oz'
+            ? `${this.formatNumber(grams / GRAMS_PER_OUNCE, fractionDigits + 1)} oz`
+            : `${this.formatNumber(grams, fractionDigits)} g`;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString(this.intlLocale);
+    }
+
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString(this.intlLocale);
+    }
+
+    // Static page text: data-i18n sets textContent, data-i18n-alt / data-i18n-placeholder the attributes
+    applyToDocument(root = document) {
+        document.documentElement.lang = this.locale;
+        document.title = this.t('app.title');
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+            element.alt = this.t(element.dataset.i18nAlt);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+    }
+}
+
+const i18n = new I18n();
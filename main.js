@@ -1,5 +1,359 @@
 // AI 실시간 객체 칼로리 추정 서비스 - 메인 JavaScript 파일
 
+// Intrinsic pixel size of a video, image or canvas frame source
+function getSourceSize(source) {
+    if (source.videoWidth !== undefined) {
+        return { width: source.videoWidth, height: source.videoHeight };
+    }
+    if (source.naturalWidth !== undefined) {
+        return { width: source.naturalWidth, height: source.naturalHeight };
+    }
+    return { width: source.width, height: source.height };
+}
+
+// Copy the current frame of a video, image or canvas into a new canvas
+function copyFrameToCanvas(source) {
+    const { width, height } = getSourceSize(source);
+    const frame = document.createElement('canvas');
+    frame.width = width;
+    frame.height = height;
+    frame.getContext('2d').drawImage(source, 0, 0, width, height);
+    return frame;
+}
+
+// Trace a segmentation mask's outline (frame pixels) as a closed, lightly filled path
+function drawMaskOutline(ctx, mask, color, lineWidth) {
+    if (!mask.outline || mask.outline.length < 3) {
+        return;
+    }
+    ctx.save();
+    ctx.beginPath();
+    mask.outline.forEach((point, index) => {
+        if (index === 0) {
+            ctx.moveTo(point.x, point.y);
+        } else {
+            ctx.lineTo(point.x, point.y);
+        }
+    });
+    ctx.closePath();
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Overlapping area of two { x, y, width, height } boxes
+function intersectionArea(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+// Intersection over union of two { x, y, width, height } boxes
+function computeIoU(a, b) {
+    const intersection = intersectionArea(a, b);
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+// Frame sources feed the detection pipeline. nextFrame() resolves to
+// { image, width, height, timestamp, index, detections? } or null when no frame
+// is available; isEnded turns true once a finite source has been fully read.
+// A frame that carries `detections` (raw model output) skips the model entirely.
+class FrameSource {
+    constructor() {
+        this.isEnded = false;
+        this.frameIndex = 0;
+    }
+
+    async start() {}
+
+    stop() {}
+
+    async nextFrame() {
+        throw new Error('nextFrame() must be implemented by the frame source');
+    }
+}
+
+// The live camera <video>; never ends, the stream itself is owned by CameraController
+class CameraFrameSource extends FrameSource {
+    constructor(video) {
+        super();
+        this.video = video;
+    }
+
+    async nextFrame() {
+        if (!this.video.videoWidth) {
+            return null;
+        }
+        return {
+            image: this.video,
+            width: this.video.videoWidth,
+            height: this.video.videoHeight,
+            timestamp: performance.now(),
+            index: this.frameIndex++
+        };
+    }
+}
+
+// A local video file (File, Blob or URL). In realtime mode it plays and the pipeline
+// samples whatever frame is showing; otherwise it seeks in fixed steps so every run
+// sees exactly the same frames.
+class VideoFileFrameSource extends FrameSource {
+    constructor(file, options = {}) {
+        super();
+        this.file = file;
+        this.video = options.video || document.createElement('video');
+        this.realtime = options.realtime !== undefined ? options.realtime : false;
+        this.frameInterval = options.frameInterval || 100; // ms of video time between frames
+        this.seekTimeout = options.seekTimeout || 5000; // ms to wait for a frame before giving up
+        this.url = null;
+        this.nextTime = 0;
+    }
+
+    async start() {
+        this.url = typeof this.file === 'string' ? this.file : URL.createObjectURL(this.file);
+        this.video.srcObject = null;
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.src = this.url;
+
+        await new Promise((resolve, reject) => {
+            this.video.addEventListener('loadeddata', resolve, { once: true });
+            this.video.addEventListener('error', () => reject(new Error('Could not load video file')), { once: true });
+        });
+
+        if (this.realtime) {
+            this.video.addEventListener('ended', () => {
+                this.isEnded = true;
+            }, { once: true });
+            await this.video.play();
+        }
+    }
+
+    stop() {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url && typeof this.file !== 'string') {
+            URL.revokeObjectURL(this.url);
+        }
+        this.url = null;
+    }
+
+    async nextFrame() {
+        if (this.isEnded || !this.video.videoWidth) {
+            return null;
+        }
+
+        if (!this.realtime) {
+            if (this.nextTime > this.video.duration) {
+                this.isEnded = true;
+                return null;
+            }
+            await this.seek(this.nextTime);
+            this.nextTime += this.frameInterval / 1000;
+        }
+
+        return {
+            image: this.video,
+            width: this.video.videoWidth,
+            height: this.video.videoHeight,
+            timestamp: this.video.currentTime * 1000,
+            index: this.frameIndex++
+        };
+    }
+
+    // Rejects when the video fails or never reports the seek, so headless runs end with an error instead of hanging
+    seek(time) {
+        return new Promise((resolve, reject) => {
+            const settle = (error) => {
+                clearTimeout(timer);
+                this.video.removeEventListener('seeked', handleSeeked);
+                this.video.removeEventListener('error', handleError);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const handleSeeked = () => settle(null);
+            const handleError = () => settle(new Error(`Could not seek video to ${time}s`));
+            const timer = setTimeout(() => settle(new Error(`Timed out seeking video to ${time}s`)), this.seekTimeout);
+
+            this.video.addEventListener('seeked', handleSeeked);
+            this.video.addEventListener('error', handleError);
+            this.video.currentTime = time;
+        });
+    }
+}
+
+// A fixed list of images (img, canvas, ImageBitmap, or File/Blob decoded on start),
+// one per frame, timestamped frameInterval ms apart
+class ImageSequenceFrameSource extends FrameSource {
+    constructor(images, options = {}) {
+        super();
+        this.images = images;
+        this.frameInterval = options.frameInterval || 100;
+    }
+
+    async start() {
+        this.images = await Promise.all(this.images.map(image =>
+            (image instanceof Blob ? createImageBitmap(image) : image)));
+    }
+
+    async nextFrame() {
+        if (this.frameIndex >= this.images.length) {
+            this.isEnded = true;
+            return null;
+        }
+
+        const image = this.images[this.frameIndex];
+        const { width, height } = getSourceSize(image);
+        return {
+            image,
+            width,
+            height,
+            timestamp: this.frameIndex * this.frameInterval,
+            index: this.frameIndex++
+        };
+    }
+}
+
+// Scripted detections, one array per frame, in the model's output format:
+// [{ label, score, box: { left, top, width, height } }]. Needs no image or model.
+class ScriptedFrameSource extends FrameSource {
+    constructor(frames, options = {}) {
+        super();
+        this.frames = frames;
+        this.width = options.width || 640;
+        this.height = options.height || 480;
+        this.frameInterval = options.frameInterval || 100;
+    }
+
+    // Every class that appears in the script, so nutrition can be preloaded
+    getLabels() {
+        return [...new Set(this.frames.flat().map(detection => detection.label))];
+    }
+
+    async nextFrame() {
+        if (this.frameIndex >= this.frames.length) {
+            this.isEnded = true;
+            return null;
+        }
+
+        return {
+            image: null,
+            width: this.width,
+            height: this.height,
+            timestamp: this.frameIndex * this.frameInterval,
+            index: this.frameIndex,
+            detections: this.frames[this.frameIndex++]
+        };
+    }
+}
+
+// Web Worker에서 추론을 수행하는 탐지기. tf.automl 모델과 같은 detect()/dispose() 인터페이스를 제공한다.
+class DetectionWorkerClient {
+    constructor(workerUrl = 'detection-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.nextFrameId = 1;
+        this.pending = new Map(); // frameId -> { resolve, reject }
+        this.lastInferenceTime = 0;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap !== 'undefined';
+    }
+
+    // Loads a MODEL_REGISTRY entry inside the worker; onProgress receives a 0..1 download fraction
+    load(modelId, onProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(this.workerUrl);
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message.fraction);
+                } else if (message.type === 'loaded') {
+                    console.log(`Detection worker ready (backend: ${message.backend}, source: ${message.source})`);
+                    resolve(this);
+                } else if (message.type === 'error' && message.frameId === undefined) {
+                    reject(new Error(message.error));
+                } else {
+                    this.handleMessage(message);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                const error = new Error(event.message || 'Detection worker failed');
+                this.rejectAll(error);
+                reject(error);
+            };
+
+            this.worker.postMessage({ type: 'load', modelId });
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.pending.get(message.frameId);
+        if (!request) return;
+        this.pending.delete(message.frameId);
+
+        switch (message.type) {
+            case 'detections':
+                this.lastInferenceTime = message.inferenceTime;
+                request.resolve(message.detections);
+                break;
+            case 'dropped':
+                // Resolve with null so the caller can tell a dropped frame from an empty result
+                request.resolve(null);
+                break;
+            case 'error':
+                request.reject(new Error(message.error));
+                break;
+        }
+    }
+
+    async detect(imageSource, options = {}) {
+        if (!this.worker) {
+            throw new Error('Detection worker not loaded');
+        }
+
+        const bitmap = await createImageBitmap(imageSource);
+        const frameId = this.nextFrameId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(frameId, { resolve, reject });
+            // Transfer the bitmap instead of copying the pixels
+            this.worker.postMessage({ type: 'detect', frameId, bitmap, options }, [bitmap]);
+        });
+    }
+
+    rejectAll(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'dispose' });
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new Error('Detection worker disposed'));
+    }
+}
+
 class ObjectDetectionModel {
     constructor() {
         this.model = null;
@@ -7,6 +361,13 @@ class ObjectDetectionModel {
         this.isLoading = false;
         this.loadingProgress = 0;
         this.onStatusUpdate = null;
+        
+        // 사용할 탐지 모델 (MODEL_REGISTRY 키)
+        this.modelId = DEFAULT_MODEL_ID;
+        
+        // 가능하면 Web Worker에서 추론하여 UI 스레드를 비워 둔다
+        this.useWorker = DetectionWorkerClient.isSupported();
+        this.isWorkerBacked = false;
     }
     
     async loadModel() {
@@ -17,71 +378,105 @@ class ObjectDetectionModel {
         this.isLoading = true;
         this.loadingProgress = 0;
         this.showModelLoadingUI();
-        this.updateStatus('AI 모델 로딩 중...', 'loading');
-        this.updateModelLoadingProgress(0, 'AI 모델 로딩 준비 중...');
+        this.updateStatus(i18n.t('model.loading'), 'loading');
+        this.updateModelLoadingProgress(0, i18n.t('model.preparingAi'));
         
         try {
-            // COCO-SSD 모델 로드 (TensorFlow.js AutoML 사용)
-            this.updateStatus('COCO-SSD 모델 다운로드 중...', 'loading');
-            this.loadingProgress = 30;
-            this.updateModelLoadingProgress(30, 'COCO-SSD 모델 다운로드 중...');
-            
-            // TensorFlow.js AutoML을 사용하여 COCO-SSD 모델 로드
-            this.model = await tf.automl.loadObjectDetection('https://tfhub.dev/tensorflow/tfjs-model/ssd_mobilenet_v2/1/default/1');
-            
-            this.loadingProgress = 80;
-            this.updateStatus('모델 초기화 중...', 'loading');
-            this.updateModelLoadingProgress(80, '모델 초기화 중...');
-            
-            // 모델 로드 완료
-            this.isLoaded = true;
-            this.isLoading = false;
-            this.loadingProgress = 100;
-            this.updateStatus('AI 모델 로드 완료!', 'success');
-            this.updateModelLoadingProgress(100, 'AI 모델 로드 완료!');
-            
-            // UI 숨기기 (약간의 지연 후)
-            setTimeout(() => {
-                this.hideModelLoadingUI();
-            }, 2000);
-            
-            console.log('Object detection model loaded successfully');
+            this.model = await this.loadDetector(this.modelId);
+            this.onModelReady(i18n.t('model.loaded'));
             return this.model;
             
         } catch (error) {
-            this.isLoading = false;
             this.isLoaded = false;
             this.loadingProgress = 0;
             
             console.error('Failed to load object detection model:', error);
-            this.updateStatus('AI 모델 로드 실패: ' + error.message, 'error');
-            this.updateModelLoadingProgress(0, 'AI 모델 로드 실패: ' + error.message);
+            this.updateStatus(i18n.t('model.failed', { error: error.message }), 'error');
+            this.updateModelLoadingProgress(0, i18n.t('model.failed', { error: error.message }));
             
-            // 폴백: 다른 모델 시도
-            try {
-                this.updateStatus('대체 모델 로드 시도 중...', 'loading');
-                this.updateModelLoadingProgress(10, '대체 모델 로드 시도 중...');
-                this.model = await tf.automl.loadObjectDetection('https://tfhub.dev/google/tfjs-model/ssd_mobilenet_v2/1/default/1');
-                this.isLoaded = true;
+            // 폴백: 기본 모델 시도
+            if (this.modelId === DEFAULT_MODEL_ID) {
                 this.isLoading = false;
-                this.loadingProgress = 100;
-                this.updateStatus('대체 AI 모델 로드 완료!', 'success');
-                this.updateModelLoadingProgress(100, '대체 AI 모델 로드 완료!');
-                
-                setTimeout(() => {
-                    this.hideModelLoadingUI();
-                }, 2000);
-                
+                throw error;
+            }
+            
+            try {
+                this.updateStatus(i18n.t('model.tryingFallback'), 'loading');
+                this.updateModelLoadingProgress(0, i18n.t('model.tryingFallback'));
+                this.modelId = DEFAULT_MODEL_ID;
+                this.model = await this.loadDetector(this.modelId);
+                this.onModelReady(i18n.t('model.fallbackLoaded'));
                 return this.model;
             } catch (fallbackError) {
+                this.isLoading = false;
                 console.error('Fallback model also failed:', fallbackError);
-                this.updateStatus('모든 AI 모델 로드 실패', 'error');
-                this.updateModelLoadingProgress(0, '모든 AI 모델 로드 실패');
+                this.updateStatus(i18n.t('model.allFailed'), 'error');
+                this.updateModelLoadingProgress(0, i18n.t('model.allFailed'));
                 throw fallbackError;
             }
         }
     }
     
+    onModelReady(message) {
+        this.isLoaded = true;
+        this.isLoading = false;
+        this.loadingProgress = 100;
+        this.updateStatus(message, 'success');
+        this.updateModelLoadingProgress(100, message);
+        
+        // UI 숨기기 (약간의 지연 후)
+        setTimeout(() => {
+            this.hideModelLoadingUI();
+        }, 2000);
+        
+        console.log(`Object detection model "${this.modelId}" loaded successfully`);
+    }
+    
+    // Worker를 우선 시도하고, 실패하면 메인 스레드에서 모델을 로드
+    async loadDetector(modelId) {
+        const modelName = MODEL_REGISTRY[modelId] ? MODEL_REGISTRY[modelId].name : modelId;
+        this.updateStatus(i18n.t('model.downloading', { name: modelName }), 'loading');
+        
+        // 실제 다운로드 진행률 표시
+        const onProgress = (fraction) => {
+            this.loadingProgress = Math.round(fraction * 100);
+            this.updateModelLoadingProgress(
+                this.loadingProgress,
+                i18n.t('model.downloadProgress', { name: modelName, percent: this.loadingProgress })
+            );
+        };
+        
+        if (this.useWorker) {
+            const workerClient = new DetectionWorkerClient();
+            try {
+                await workerClient.load(modelId, onProgress);
+                this.isWorkerBacked = true;
+                return workerClient;
+            } catch (error) {
+                console.warn('Worker model load failed, falling back to main thread:', error);
+                workerClient.dispose();
+            }
+        }
+        
+        this.isWorkerBacked = false;
+        const { detector } = await loadRegisteredModel(modelId, onProgress);
+        return detector;
+    }
+    
+    // 런타임에 다른 탐지 모델로 전환
+    async switchModel(modelId) {
+        if (!MODEL_REGISTRY[modelId]) {
+            throw new Error(`Unknown model: ${modelId}`);
+        }
+        if (this.isLoading) {
+            throw new Error('A model is already loading');
+        }
+        
+        this.dispose();
+        this.modelId = modelId;
+        return this.loadModel();
+    }
+    
     async detectObjects(imageElement, options = {}) {
         if (!this.isLoaded || !this.model) {
             throw new Error('Model not loaded. Call loadModel() first.');
@@ -151,7 +546,9 @@ class ObjectDetectionModel {
             isLoaded: this.isLoaded,
             isLoading: this.isLoading,
             progress: this.loadingProgress,
-            modelType: 'COCO-SSD'
+            modelId: this.modelId,
+            modelType: MODEL_REGISTRY[this.modelId].name,
+            runsInWorker: this.isWorkerBacked
         };
     }
     
@@ -167,19 +564,36 @@ class ObjectDetectionModel {
 }
 
 class ObjectDetectionPipeline {
-    constructor(videoElement, objectDetectionModel) {
+    // Pass canvas = null for a headless pipeline that never draws
+    constructor(videoElement, objectDetectionModel, canvas = document.getElementById('canvas')) {
         this.video = videoElement;
         this.model = objectDetectionModel;
-        this.canvas = document.getElementById('canvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.canvas = canvas;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+        
+        // Where frames come from; the live camera unless replaced with setFrameSource()
+        this.frameSource = videoElement ? new CameraFrameSource(videoElement) : null;
+        this.frameSize = { width: 0, height: 0 };
+        this.onSourceEnded = null;
         
         // Detection settings
         this.isDetecting = false;
         this.detectionInterval = 100; // ms between detections
         this.confidenceThreshold = 0.5;
         this.maxDetections = 20;
+        this.inputScale = 1; // frames are downscaled by this factor before inference
+        this.inputCanvas = null;
+        
+        // Region of interest (frame pixels) and class filter applied in processDetections.
+        // Exempt classes (calibration references) pass both, so calibration keeps working.
+        this.roi = null;
+        this.cropToRoi = false; // run inference on the ROI only
+        this.classFilter = null; // className => boolean
+        this.filterExemptClasses = new Set();
         
         // Performance tracking
+        this.governor = null;
+        this.isInferenceRunning = false;
         this.lastDetectionTime = 0;
         this.detectionCount = 0;
         this.fps = 0;
@@ -187,7 +601,23 @@ class ObjectDetectionPipeline {
         
         // Detection results
         this.currentDetections = [];
+        this.tracker = new ObjectTracker();
         this.onDetectionUpdate = null;
+        this.detectionAnalyzer = null;
+        
+        // Optional second-stage classifier that names the dish inside food boxes
+        this.dishClassifier = null;
+        // Optional per-object masks that replace bbox extents when measuring
+        this.maskSegmenter = null;
+        // Optional corner search on rectangular references, and the table plane fitted from them
+        this.cornerFinder = null;
+        this.referencePlane = null;
+        // Optional depth map samples that give objects a measured height above the table
+        this.depthSampler = null;
+        
+        // Optional DOM label overlay; when set, the canvas only draws the boxes
+        this.labelOverlay = null;
+        this.colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#ff9ff3', '#54a0ff'];
         
         // Animation frame
         this.animationId = null;
@@ -217,6 +647,10 @@ class ObjectDetectionPipeline {
         // Clear canvas
         this.clearCanvas();
         this.currentDetections = [];
+        this.tracker.reset();
+        if (this.labelOverlay) {
+            this.labelOverlay.clear();
+        }
         
         console.log('Object detection pipeline stopped');
     }
@@ -226,6 +660,16 @@ class ObjectDetectionPipeline {
             return;
         }
         
+        // A finite source ran out: keep the last results on screen
+        if (this.frameSource.isEnded) {
+            this.freeze();
+            console.log('Frame source ended');
+            if (this.onSourceEnded) {
+                this.onSourceEnded();
+            }
+            return;
+        }
+        
         const now = performance.now();
         
         // Update FPS counter
@@ -235,11 +679,10 @@ class ObjectDetectionPipeline {
             this.lastFpsUpdate = now;
         }
         
-        // Check if it's time for next detection
-        if (now - this.lastDetectionTime >= this.detectionInterval) {
+        // Check if it's time for next detection; frames are dropped while an inference is still running
+        if (!this.isInferenceRunning && now - this.lastDetectionTime >= this.detectionInterval) {
             this.performDetection();
             this.lastDetectionTime = now;
-            this.detectionCount++;
         }
         
         // Continue the loop
@@ -247,23 +690,52 @@ class ObjectDetectionPipeline {
     }
     
     async performDetection() {
-        if (!this.model || !this.model.isLoaded || !this.video.videoWidth) {
-            return;
-        }
-        
+        this.isInferenceRunning = true;
         try {
+            const startTime = performance.now();
+            const frame = await this.frameSource.nextFrame();
+            if (!frame) {
+                return;
+            }
+            
             // Perform object detection
-            const detections = await this.model.detectObjects(this.video, {
-                score: this.confidenceThreshold,
-                topk: this.maxDetections
-            });
+            const inferenceStart = performance.now();
+            const detections = await this.detectFrame(frame);
+            const inferenceTime = performance.now() - inferenceStart;
             
-            // Process and filter results
-            this.currentDetections = this.processDetections(detections);
+            // The worker dropped the frame, or detection stopped while it was running
+            if (!detections || !this.isDetecting) {
+                return;
+            }
+            
+            // Process and filter results, then give each object a persistent track ID
+            this.frameSize = { width: frame.width, height: frame.height };
+            this.currentDetections = this.tracker.update(this.processDetections(detections), frame.timestamp);
+            if (this.cornerFinder) {
+                this.currentDetections = this.cornerFinder.process(this.currentDetections, frame.image, frame.timestamp);
+            }
+            if (this.depthSampler) {
+                this.currentDetections = this.depthSampler.process(this.currentDetections, frame.image, frame.timestamp);
+            }
+            if (this.maskSegmenter) {
+                this.currentDetections = this.maskSegmenter.process(this.currentDetections, frame.image, frame.timestamp);
+            }
+            if (this.dishClassifier) {
+                this.currentDetections = this.dishClassifier.process(this.currentDetections, frame.image, frame.timestamp);
+            }
+            
+            // Attach calibration/volume/calorie results to each detection
+            if (this.detectionAnalyzer) {
+                this.currentDetections = this.detectionAnalyzer(this.currentDetections);
+            }
             
             // Update visualization
             this.updateVisualization();
             
+            // FPS counts completed frames, not scheduled ones
+            this.detectionCount++;
+            this.recordPerformance(inferenceTime, performance.now() - startTime);
+            
             // Notify listeners
             if (this.onDetectionUpdate) {
                 this.onDetectionUpdate(this.currentDetections, this.fps);
@@ -271,12 +743,99 @@ class ObjectDetectionPipeline {
             
         } catch (error) {
             console.error('Detection error:', error);
+        } finally {
+            this.isInferenceRunning = false;
+        }
+    }
+    
+    // Scripted frames already carry detections; everything else goes through the model
+    async detectFrame(frame) {
+        if (frame.detections) {
+            return frame.detections;
+        }
+        if (!this.model || !this.model.isLoaded) {
+            return null;
+        }
+        
+        // Crop to the ROI and/or downscale; the model then sees a smaller canvas
+        const region = this.cropToRoi && this.roi ? this.clampRegion(this.roi, frame) : null;
+        const input = region || this.inputScale < 1
+            ? this.prepareInput(frame, region || { x: 0, y: 0, width: frame.width, height: frame.height })
+            : frame.image;
+        const detections = await this.model.detectObjects(input, {
+            score: this.confidenceThreshold,
+            topk: this.maxDetections
+        });
+        if (!detections || input === frame.image) {
+            return detections;
+        }
+        
+        // Boxes come back in input canvas pixels; map them back to the full frame
+        const offsetX = region ? region.x : 0;
+        const offsetY = region ? region.y : 0;
+        const scaleX = (region ? region.width : frame.width) / input.width;
+        const scaleY = (region ? region.height : frame.height) / input.height;
+        return detections.map(detection => ({
+            ...detection,
+            box: {
+                left: offsetX + detection.box.left * scaleX,
+                top: offsetY + detection.box.top * scaleY,
+                width: detection.box.width * scaleX,
+                height: detection.box.height * scaleY
+            }
+        }));
+    }
+    
+    // Draw the given frame region into the reusable input canvas at inputScale
+    prepareInput(frame, region) {
+        if (!this.inputCanvas) {
+            this.inputCanvas = document.createElement('canvas');
+        }
+        const width = Math.max(1, Math.round(region.width * this.inputScale));
+        const height = Math.max(1, Math.round(region.height * this.inputScale));
+        if (this.inputCanvas.width !== width || this.inputCanvas.height !== height) {
+            this.inputCanvas.width = width;
+            this.inputCanvas.height = height;
         }
+        this.inputCanvas.getContext('2d').drawImage(
+            frame.image, region.x, region.y, region.width, region.height, 0, 0, width, height);
+        return this.inputCanvas;
+    }
+    
+    clampRegion(region, frame) {
+        const x = Math.max(0, Math.min(frame.width - 1, Math.round(region.x)));
+        const y = Math.max(0, Math.min(frame.height - 1, Math.round(region.y)));
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(frame.width - x, Math.round(region.width))),
+            height: Math.max(1, Math.min(frame.height - y, Math.round(region.height)))
+        };
+    }
+    
+    recordPerformance(inferenceTime, totalTime) {
+        if (!this.governor) {
+            return;
+        }
+        
+        const now = performance.now();
+        this.governor.record(inferenceTime, totalTime, now);
+        const settings = this.governor.adjust(now);
+        if (settings) {
+            this.applyPerformanceSettings(settings);
+        }
+    }
+    
+    applyPerformanceSettings(settings) {
+        this.setDetectionInterval(settings.detectionInterval);
+        this.setMaxDetections(settings.maxDetections);
+        this.setInputScale(settings.inputScale);
     }
     
     processDetections(detections) {
         return detections
             .filter(detection => detection.score >= this.confidenceThreshold)
+            .filter(detection => this.passesFilters(detection))
             .map(detection => ({
                 class: detection.label,
                 confidence: Math.round(detection.score * 100) / 100,
@@ -290,217 +849,5187 @@ class ObjectDetectionPipeline {
             .sort((a, b) => b.confidence - a.confidence);
     }
     
+    // Class filter, then ROI: an object belongs to the ROI when its box center lies inside
+    passesFilters(detection) {
+        if (this.filterExemptClasses.has(detection.label)) {
+            return true;
+        }
+        if (this.classFilter && !this.classFilter(detection.label)) {
+            return false;
+        }
+        if (!this.roi) {
+            return true;
+        }
+        
+        const centerX = detection.box.left + detection.box.width / 2;
+        const centerY = detection.box.top + detection.box.height / 2;
+        return centerX >= this.roi.x && centerX <= this.roi.x + this.roi.width
+            && centerY >= this.roi.y && centerY <= this.roi.y + this.roi.height;
+    }
+    
     updateVisualization() {
+        this.renderDetections(this.currentDetections, this.frameSize.width, this.frameSize.height);
+    }
+    
+    renderDetections(detections, width, height) {
+        if (!this.canvas) {
+            return;
+        }
+        
         // Clear previous drawings
         this.clearCanvas();
         
-        // Set canvas size to match video
-        this.canvas.width = this.video.videoWidth;
-        this.canvas.height = this.video.videoHeight;
+        // Set canvas size to match the frame source
+        this.canvas.width = width;
+        this.canvas.height = height;
+        
+        if (this.roi) {
+            this.drawRegionOfInterest();
+        }
+        if (this.referencePlane) {
+            this.drawReferencePlane(this.referencePlane);
+        }
         
         // Draw bounding boxes and labels
-        this.currentDetections.forEach((detection, index) => {
+        detections.forEach((detection, index) => {
             this.drawBoundingBox(detection, index);
         });
-    }
-    
-    drawBoundingBox(detection, index) {
-        const { x, y, width, height } = detection.bbox;
-        
-        // Choose color based on detection index
-        const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#ff9ff3', '#54a0ff'];
-        const color = colors[index % colors.length];
         
-        // Draw bounding box
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = 3;
-        this.ctx.strokeRect(x, y, width, height);
-        
-        // Draw label background
-        const label = `${detection.class} (${Math.round(detection.confidence * 100)}%)`;
-        const labelWidth = this.ctx.measureText(label).width + 10;
-        const labelHeight = 20;
-        
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(x, y - labelHeight, labelWidth, labelHeight);
-        
-        // Draw label text
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '14px Arial';
-        this.ctx.fillText(label, x + 5, y - 5);
-    }
-    
-    clearCanvas() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
-    
-    setDetectionInterval(interval) {
-        this.detectionInterval = Math.max(50, interval); // Minimum 50ms
+        if (this.labelOverlay) {
+            this.labelOverlay.update(detections, (detection, index) => this.getDetectionColor(detection, index));
+        }
     }
     
-    setConfidenceThreshold(threshold) {
-        this.confidenceThreshold = Math.max(0.1, Math.min(1.0, threshold));
+    // Keep the last frame's boxes and labels on screen but stop the loop
+    freeze() {
+        this.isDetecting = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
     }
     
-    setMaxDetections(max) {
+    // Run the same detection -> analysis chain once on a still image.
+    // The live loop must not be running, since the model handles one frame at a time.
+    async analyzeImage(image, analyzer = this.detectionAnalyzer) {
+        if (!this.model || !this.model.isLoaded) {
+            throw new Error('Model not loaded. Call loadModel() first.');
+        }
+        if (this.isInferenceRunning) {
+            throw new Error('Detection is busy, try again');
+        }
+        
+        this.isInferenceRunning = true;
+        try {
+            const detections = await this.model.detectObjects(image, {
+                score: this.confidenceThreshold,
+                topk: this.maxDetections
+            });
+            if (!detections) {
+                throw new Error('Detection is busy, try again');
+            }
+            
+            let results = this.processDetections(detections);
+            if (this.cornerFinder) {
+                results = this.cornerFinder.findAll(results, image);
+            }
+            if (this.depthSampler) {
+                results = await this.depthSampler.sampleAll(results, image);
+            }
+            if (this.maskSegmenter) {
+                results = this.maskSegmenter.segmentAll(results, image);
+            }
+            if (this.dishClassifier) {
+                results = await this.dishClassifier.classifyAll(results, image);
+            }
+            return analyzer ? analyzer(results) : results;
+        } finally {
+            this.isInferenceRunning = false;
+        }
+    }
+    
+    // Read a finite source to the end without the animation loop or any drawing, and
+    // return every frame's enriched detections. Uses its own tracker, so live state is untouched.
+    async runHeadless(frameSource, analyzer = this.detectionAnalyzer, onFrame = null) {
+        if (this.isDetecting) {
+            throw new Error('Stop live detection before running headless');
+        }
+        
+        const tracker = new ObjectTracker();
+        const results = [];
+        await frameSource.start();
+        try {
+            while (!frameSource.isEnded) {
+                const frame = await frameSource.nextFrame();
+                if (!frame) {
+                    continue;
+                }
+                
+                const detections = await this.detectFrame(frame);
+                if (!detections) {
+                    throw new Error('Model not loaded. Call loadModel() first.');
+                }
+                
+                let tracked = tracker.update(this.processDetections(detections), frame.timestamp);
+                // Track IDs of this run would collide with the live caches, so every frame is processed
+                if (this.cornerFinder) {
+                    tracked = this.cornerFinder.findAll(tracked, frame.image);
+                }
+                if (this.depthSampler) {
+                    tracked = await this.depthSampler.sampleAll(tracked, frame.image);
+                }
+                if (this.maskSegmenter) {
+                    tracked = this.maskSegmenter.segmentAll(tracked, frame.image);
+                }
+                if (this.dishClassifier) {
+                    tracked = await this.dishClassifier.classifyAll(tracked, frame.image);
+                }
+                const result = {
+                    frameIndex: frame.index,
+                    timestamp: frame.timestamp,
+                    detections: analyzer ? analyzer(tracked, frame.timestamp) : tracked
+                };
+                results.push(result);
+                if (onFrame) {
+                    onFrame(result);
+                }
+            }
+        } finally {
+            frameSource.stop();
+        }
+        return results;
+    }
+    
+    // Switching sources starts tracking from scratch
+    setFrameSource(frameSource) {
+        if (this.frameSource && this.frameSource !== frameSource) {
+            this.frameSource.stop();
+        }
+        this.frameSource = frameSource;
+        this.tracker.reset();
+        this.referencePlane = null;
+        if (this.cornerFinder) {
+            this.cornerFinder.reset();
+        }
+        if (this.depthSampler) {
+            this.depthSampler.reset();
+        }
+        if (this.maskSegmenter) {
+            this.maskSegmenter.reset();
+        }
+        if (this.dishClassifier) {
+            this.dishClassifier.reset();
+        }
+    }
+    
+    getDetectionColor(detection, index) {
+        // Choose color based on the track so it stays with the same object
+        const key = detection.trackId !== undefined ? detection.trackId : index;
+        return this.colors[key % this.colors.length];
+    }
+    
+    drawBoundingBox(detection, index) {
+        const { x, y, width, height } = detection.bbox;
+        const color = this.getDetectionColor(detection, index);
+        
+        // Draw bounding box; with a mask the outline is the main shape and the box stays faint
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = detection.mask ? 1 : 3;
+        this.ctx.strokeRect(x, y, width, height);
+        if (detection.mask) {
+            drawMaskOutline(this.ctx, detection.mask, color, 3);
+        }
+        
+        // The DOM overlay shows the richer label instead
+        if (this.labelOverlay) {
+            return;
+        }
+        
+        // Draw label background
+        const label = `${detection.class} (${Math.round(detection.confidence * 100)}%)`;
+        const labelWidth = this.ctx.measureText(label).width + 10;
+        const labelHeight = 20;
+        
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(x, y - labelHeight, labelWidth, labelHeight);
+        
+        // Draw label text
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '14px Arial';
+        this.ctx.fillText(label, x + 5, y - 5);
+    }
+    
+    drawRegionOfInterest() {
+        const { x, y, width, height } = this.roi;
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.restore();
+    }
+    
+    // A grid on the table plane, aligned with the reference, shows that the perspective was found
+    drawReferencePlane(plane) {
+        const size = Math.max(plane.width, plane.height);
+        const spacing = [10, 20, 50, 100, 200].find(step => step >= size / 6) || 200;
+        const extent = Math.ceil(size * 2 / spacing) * spacing;
+        const toImage = point => applyHomography(plane.inverseHomography, point);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(0, 230, 180, 0.45)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let offset = -extent; offset <= extent; offset += spacing) {
+            // A homography keeps lines straight, so the endpoints are enough
+            const lines = [
+                [{ x: offset, y: -extent }, { x: offset, y: extent }],
+                [{ x: -extent, y: offset }, { x: extent, y: offset }]
+            ];
+            for (const [start, end] of lines) {
+                const from = toImage(start);
+                const to = toImage(end);
+                if (from && to) {
+                    this.ctx.moveTo(from.x, from.y);
+                    this.ctx.lineTo(to.x, to.y);
+                }
+            }
+        }
+        this.ctx.stroke();
+        
+        // The reference itself
+        this.ctx.strokeStyle = 'rgba(0, 230, 180, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        plane.corners.forEach((point, index) => {
+            if (index === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
+        });
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    clearCanvas() {
+        if (!this.canvas) {
+            return;
+        }
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    setDetectionInterval(interval) {
+        this.detectionInterval = Math.max(50, interval); // Minimum 50ms
+    }
+    
+    setConfidenceThreshold(threshold) {
+        this.confidenceThreshold = Math.max(0.1, Math.min(1.0, threshold));
+    }
+    
+    setMaxDetections(max) {
         this.maxDetections = Math.max(1, Math.min(50, max));
     }
-    
-    setDetectionCallback(callback) {
-        this.onDetectionUpdate = callback;
+    
+    // roi: { x, y, width, height } in frame pixels, or null for the whole frame
+    setRegionOfInterest(roi, cropToRoi = this.cropToRoi) {
+        this.roi = roi;
+        this.cropToRoi = cropToRoi;
+    }
+    
+    // filter: className => boolean, or null to keep every class
+    setClassFilter(filter, exemptClasses = []) {
+        this.classFilter = filter;
+        this.filterExemptClasses = new Set(exemptClasses);
+    }
+    
+    setInputScale(scale) {
+        this.inputScale = Math.max(0.25, Math.min(1, scale));
+    }
+    
+    // When set, the governor tunes interval, input scale and max detections automatically
+    setPerformanceGovernor(governor) {
+        this.governor = governor;
+        if (governor && governor.enabled) {
+            this.applyPerformanceSettings(governor.getSettings());
+        }
+    }
+    
+    setDetectionCallback(callback) {
+        this.onDetectionUpdate = callback;
+    }
+    
+    // The analyzer receives the processed detections and returns them enriched
+    setDetectionAnalyzer(analyzer) {
+        this.detectionAnalyzer = analyzer;
+    }
+    
+    setLabelOverlay(overlay) {
+        this.labelOverlay = overlay;
+    }
+    
+    setDishClassifier(classifier) {
+        this.dishClassifier = classifier;
+    }
+    
+    setMaskSegmenter(segmenter) {
+        this.maskSegmenter = segmenter;
+    }
+    
+    setCornerFinder(finder) {
+        this.cornerFinder = finder;
+    }
+    
+    setDepthSampler(sampler) {
+        this.depthSampler = sampler;
+    }
+    
+    // plane: the calibration's table plane ({ corners, width, height, inverseHomography }) or null
+    setReferencePlane(plane) {
+        this.referencePlane = plane;
+    }
+    
+    getDetectionStats() {
+        return {
+            isDetecting: this.isDetecting,
+            fps: this.fps,
+            detectionCount: this.detectionCount,
+            currentDetections: this.currentDetections.length,
+            confidenceThreshold: this.confidenceThreshold,
+            detectionInterval: this.detectionInterval,
+            maxDetections: this.maxDetections,
+            inputScale: this.inputScale,
+            performance: this.governor ? this.governor.getStats() : null
+        };
+    }
+    
+    dispose() {
+        this.stopDetection();
+        this.clearCanvas();
+        this.currentDetections = [];
+        this.onDetectionUpdate = null;
+        this.detectionAnalyzer = null;
+    }
+}
+
+// Holds the pipeline at a target throughput by trading detail for speed.
+// It records inference latency and end-to-end time for every completed frame and,
+// once per adjustment window, steps through LEVELS (full quality -> fastest):
+// down when the target is missed, back up only after consistently fast windows.
+class PerformanceGovernor {
+    constructor(options = {}) {
+        this.targetFps = options.targetFps || 10;
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+
+        this.LEVELS = [
+            { inputScale: 1, maxDetections: 20 },
+            { inputScale: 0.75, maxDetections: 15 },
+            { inputScale: 0.5, maxDetections: 10 },
+            { inputScale: 0.35, maxDetections: 5 }
+        ];
+        this.WINDOW_SIZE = 60; // samples kept for the percentiles
+        this.ADJUST_INTERVAL = 2000; // ms between decisions
+        this.MIN_SAMPLES = 5;
+        this.UPGRADE_AFTER = 3; // consecutive fast windows before raising quality
+
+        this.level = 0;
+        this.fastWindows = 0;
+        this.lastAdjustTime = 0;
+        this.inferenceTimes = [];
+        this.totalTimes = [];
+        this.completions = []; // timestamps of completed frames
+    }
+
+    get targetInterval() {
+        return 1000 / this.targetFps;
+    }
+
+    // Settings the pipeline should run with at the current level
+    getSettings() {
+        return { detectionInterval: Math.round(this.targetInterval), ...this.LEVELS[this.level], level: this.level };
+    }
+
+    record(inferenceTime, totalTime, timestamp) {
+        this.inferenceTimes.push(inferenceTime);
+        this.totalTimes.push(totalTime);
+        this.completions.push(timestamp);
+        if (this.inferenceTimes.length > this.WINDOW_SIZE) {
+            this.inferenceTimes.shift();
+            this.totalTimes.shift();
+        }
+        while (this.completions.length && timestamp - this.completions[0] > 1000) {
+            this.completions.shift();
+        }
+    }
+
+    // Returns new settings when the level changed, otherwise null
+    adjust(timestamp) {
+        if (!this.enabled
+            || timestamp - this.lastAdjustTime < this.ADJUST_INTERVAL
+            || this.inferenceTimes.length < this.MIN_SAMPLES) {
+            return null;
+        }
+        this.lastAdjustTime = timestamp;
+
+        const { fps, inference } = this.getStats();
+        const isSlow = fps < this.targetFps * 0.9 || inference.p90 > this.targetInterval;
+        const isFast = fps >= this.targetFps * 0.95 && inference.p90 < this.targetInterval * 0.5;
+
+        let level = this.level;
+        if (isSlow) {
+            this.fastWindows = 0;
+            level = Math.min(this.LEVELS.length - 1, this.level + 1);
+        } else if (isFast && ++this.fastWindows >= this.UPGRADE_AFTER) {
+            this.fastWindows = 0;
+            level = Math.max(0, this.level - 1);
+        }
+
+        if (level === this.level) {
+            return null;
+        }
+
+        this.level = level;
+        // Old samples describe the previous settings
+        this.inferenceTimes = [];
+        this.totalTimes = [];
+        return this.getSettings();
+    }
+
+    getStats() {
+        return {
+            fps: this.completions.length,
+            inference: this.getPercentiles(this.inferenceTimes),
+            total: this.getPercentiles(this.totalTimes),
+            samples: this.inferenceTimes.length
+        };
+    }
+
+    getPercentiles(values) {
+        if (values.length === 0) {
+            return { p50: 0, p90: 0, p99: 0 };
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const at = percentile => sorted[Math.min(sorted.length - 1, Math.floor(percentile * sorted.length))];
+        return {
+            p50: parseFloat(at(0.5).toFixed(2)),
+            p90: parseFloat(at(0.9).toFixed(2)),
+            p99: parseFloat(at(0.99).toFixed(2))
+        };
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.fastWindows = 0;
+    }
+
+    reset() {
+        this.level = 0;
+        this.fastWindows = 0;
+        this.lastAdjustTime = 0;
+        this.inferenceTimes = [];
+        this.totalTimes = [];
+        this.completions = [];
+    }
+}
+
+// Second stage of the detection cascade: names the actual dish from a crop of each
+// food or container box. Predictions are cached per track and a track is only
+// classified again when its class changes or its box moves noticeably; at most one
+// crop is in flight, so the classifier never holds up the detection loop.
+class DishClassifier {
+    constructor(isCandidate = () => true) {
+        this.isCandidate = isCandidate; // detection => whether it is worth classifying
+        this.classifierId = DEFAULT_CLASSIFIER_ID;
+        this.classifier = null;
+        this.enabled = false;
+        this.isBusy = false;
+
+        this.MIN_SCORE = 0.4; // below this the detector's class stays in charge
+        this.TOP_K = 3;
+        this.RECLASSIFY_IOU = 0.6; // overlap with the last classified box below which the crop is redone
+        this.CROP_PADDING = 0.1; // fraction of the box added on each side for context
+        this.MIN_CROP_SIZE = 32; // px; smaller boxes carry too little detail
+        this.MAX_CROP_SIZE = 320; // px; the classifier downsamples anyway
+        this.RESULT_TTL = 10000; // ms a result is kept after its track was last seen
+
+        this.results = new Map(); // trackId -> { class, bbox, predictions, lastSeen }
+        this.cropCanvas = null;
+    }
+
+    get isLoaded() {
+        return this.classifier !== null;
+    }
+
+    async load(classifierId = this.classifierId, onProgress) {
+        if (this.classifier && classifierId === this.classifierId) {
+            return;
+        }
+        const { classifier, source } = await loadRegisteredClassifier(classifierId, onProgress);
+        if (this.classifier) {
+            this.classifier.dispose();
+        }
+        this.classifier = classifier;
+        this.classifierId = classifierId;
+        this.results.clear();
+        console.log(`Dish classifier "${classifierId}" loaded from ${source}`);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // Attach cached predictions to tracked detections and schedule at most one stale crop
+    process(detections, image, timestamp = performance.now()) {
+        // Scripted frames carry detections only, there is nothing to crop
+        if (!this.enabled || !this.classifier || !image) {
+            return detections;
+        }
+
+        let target = null;
+        const annotated = detections.map(detection => {
+            if (detection.trackId === undefined || !this.isCandidate(detection)) {
+                return detection;
+            }
+            const result = this.results.get(detection.trackId);
+            // Largest stale box first: it is the most likely to be the meal itself
+            if (this.needsClassification(result, detection)
+                && (!target || this.getArea(detection.bbox) > this.getArea(target.bbox))) {
+                target = detection;
+            }
+            if (!result) {
+                return detection;
+            }
+            result.lastSeen = timestamp;
+            const dish = this.toDish(result.predictions);
+            return dish ? { ...detection, dish } : detection;
+        });
+
+        if (target && !this.isBusy) {
+            this.classifyInBackground(target, image, timestamp);
+        }
+        this.prune(timestamp);
+        return annotated;
+    }
+
+    // Still images have no tracks: classify every candidate once and wait for all of them
+    async classifyAll(detections, image) {
+        // Scripted frames carry detections only, there is nothing to crop
+        if (!this.enabled || !this.classifier || !image) {
+            return detections;
+        }
+
+        const annotated = [];
+        for (const detection of detections) {
+            if (!this.isCandidate(detection) || this.isTooSmall(detection.bbox)) {
+                annotated.push(detection);
+                continue;
+            }
+            const predictions = await this.classifier.classify(this.cropDetection(detection.bbox, image), this.TOP_K);
+            const dish = this.toDish(predictions);
+            annotated.push(dish ? { ...detection, dish } : detection);
+        }
+        return annotated;
+    }
+
+    needsClassification(result, detection) {
+        if (this.isTooSmall(detection.bbox)) {
+            return false;
+        }
+        return !result
+            || result.class !== detection.class
+            || computeIoU(result.bbox, detection.bbox) < this.RECLASSIFY_IOU;
+    }
+
+    classifyInBackground(detection, image, timestamp) {
+        // The crop is copied now; the live frame moves on while the classifier runs
+        const crop = this.cropDetection(detection.bbox, image);
+        this.isBusy = true;
+
+        this.classifier.classify(crop, this.TOP_K)
+            .catch(error => {
+                // Remember the failure so the same box is not retried every frame
+                console.warn('Dish classification failed:', error);
+                return [];
+            })
+            .then(predictions => {
+                this.results.set(detection.trackId, {
+                    class: detection.class,
+                    bbox: { ...detection.bbox },
+                    predictions,
+                    lastSeen: timestamp
+                });
+            })
+            .finally(() => {
+                this.isBusy = false;
+            });
+    }
+
+    cropDetection(bbox, image) {
+        const { width, height } = getSourceSize(image);
+        const padX = bbox.width * this.CROP_PADDING;
+        const padY = bbox.height * this.CROP_PADDING;
+        const x = Math.max(0, bbox.x - padX);
+        const y = Math.max(0, bbox.y - padY);
+        const cropWidth = Math.min(width, bbox.x + bbox.width + padX) - x;
+        const cropHeight = Math.min(height, bbox.y + bbox.height + padY) - y;
+        const scale = Math.min(1, this.MAX_CROP_SIZE / Math.max(cropWidth, cropHeight));
+
+        if (!this.cropCanvas) {
+            this.cropCanvas = document.createElement('canvas');
+        }
+        this.cropCanvas.width = Math.max(1, Math.round(cropWidth * scale));
+        this.cropCanvas.height = Math.max(1, Math.round(cropHeight * scale));
+        this.cropCanvas.getContext('2d').drawImage(
+            image, x, y, cropWidth, cropHeight,
+            0, 0, this.cropCanvas.width, this.cropCanvas.height
+        );
+        return this.cropCanvas;
+    }
+
+    toDish(predictions) {
+        if (!predictions || predictions.length === 0) {
+            return null;
+        }
+        const [best] = predictions;
+        return {
+            label: best.label,
+            score: parseFloat(best.score.toFixed(2)),
+            isConfident: best.score >= this.MIN_SCORE,
+            predictions
+        };
+    }
+
+    isTooSmall(bbox) {
+        return Math.min(bbox.width, bbox.height) < this.MIN_CROP_SIZE;
+    }
+
+    getArea(bbox) {
+        return bbox.width * bbox.height;
+    }
+
+    // Track IDs are never reused, so results of tracks gone for a while can be dropped
+    prune(timestamp) {
+        for (const [trackId, result] of this.results) {
+            if (timestamp - result.lastSeen > this.RESULT_TTL) {
+                this.results.delete(trackId);
+            }
+        }
+    }
+
+    reset() {
+        this.results.clear();
+    }
+
+    dispose() {
+        if (this.classifier) {
+            this.classifier.dispose();
+            this.classifier = null;
+        }
+        this.results.clear();
+    }
+}
+
+// Refines food and container boxes into per-object masks with a GrabCut-style loop:
+// everything outside the padded box seeds a background colour model, the box starts
+// as foreground, and cells are reassigned to the closer colour model for a few rounds
+// with a majority filter standing in for the graph-cut smoothness term. The mask's
+// area and principal axes then replace the bbox extents when measuring.
+// Masks are cached per track and re-anchored to the tracked box between refreshes.
+class MaskSegmenter {
+    constructor(isCandidate = () => true) {
+        this.isCandidate = isCandidate; // detection => whether it is worth segmenting
+        this.enabled = false;
+
+        this.GRID_SIZE = 48; // cells along the longer side of the padded box
+        this.PADDING = 0.15; // fraction of the box sampled around it as background
+        this.ITERATIONS = 4;
+        this.CLUSTERS = 4; // colour clusters per model
+        this.MIN_FILL = 0.15; // masks covering less of the box are treated as failures
+        this.EXTENT_PERCENTILE = 0.02; // trims stray cells from the axis extents
+        this.REFRESH_INTERVAL = 1000; // ms before a track's mask is recomputed
+        this.MAX_PER_FRAME = 2; // segmentations per live frame, the rest wait for the next
+        this.RESULT_TTL = 10000; // ms a mask is kept after its track was last seen
+
+        this.results = new Map(); // trackId -> { class, mask, measuredAt, lastSeen }
+        this.gridCanvas = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.results.clear();
+        }
+    }
+
+    // Attach masks to tracked detections, refreshing at most MAX_PER_FRAME stale ones
+    process(detections, image, timestamp = performance.now()) {
+        // Scripted frames carry detections only, there is nothing to segment
+        if (!this.enabled || !image) {
+            return detections;
+        }
+
+        let budget = this.MAX_PER_FRAME;
+        const annotated = detections.map(detection => {
+            if (detection.trackId === undefined || !this.isCandidate(detection)) {
+                return detection;
+            }
+
+            let result = this.results.get(detection.trackId);
+            const isStale = !result
+                || result.class !== detection.class
+                || timestamp - result.measuredAt > this.REFRESH_INTERVAL;
+            if (isStale && budget > 0) {
+                budget--;
+                result = {
+                    class: detection.class,
+                    mask: this.segment(detection.bbox, image),
+                    measuredAt: timestamp
+                };
+                this.results.set(detection.trackId, result);
+            }
+            if (!result || result.class !== detection.class) {
+                return detection;
+            }
+
+            result.lastSeen = timestamp;
+            return result.mask ? { ...detection, mask: this.anchorMask(result.mask, detection.bbox) } : detection;
+        });
+
+        this.prune(timestamp);
+        return annotated;
+    }
+
+    // Still images and headless frames: segment every candidate of this frame
+    segmentAll(detections, image) {
+        if (!this.enabled || !image) {
+            return detections;
+        }
+        return detections.map(detection => {
+            const mask = this.isCandidate(detection) ? this.segment(detection.bbox, image) : null;
+            return mask ? { ...detection, mask } : detection;
+        });
+    }
+
+    // Returns { bbox, area, width, height, angle, fillRatio, outline } in frame pixels, or null
+    segment(bbox, image) {
+        const grid = this.sampleGrid(bbox, image);
+        if (!grid) {
+            return null;
+        }
+
+        const labels = this.refineLabels(grid);
+        this.keepMainComponent(labels, grid);
+        this.fillHoles(labels, grid);
+        return this.measure(labels, grid, bbox);
+    }
+
+    // Downsample the padded box into a grid of RGB cells, marking which cells lie inside the box
+    sampleGrid(bbox, image) {
+        const { width: imageWidth, height: imageHeight } = getSourceSize(image);
+        const padX = bbox.width * this.PADDING;
+        const padY = bbox.height * this.PADDING;
+        const x = Math.max(0, bbox.x - padX);
+        const y = Math.max(0, bbox.y - padY);
+        const width = Math.min(imageWidth, bbox.x + bbox.width + padX) - x;
+        const height = Math.min(imageHeight, bbox.y + bbox.height + padY) - y;
+        if (width < 4 || height < 4) {
+            return null;
+        }
+
+        const scale = this.GRID_SIZE / Math.max(width, height);
+        const columns = Math.max(4, Math.round(width * scale));
+        const rows = Math.max(4, Math.round(height * scale));
+        if (!this.gridCanvas) {
+            this.gridCanvas = document.createElement('canvas');
+        }
+        this.gridCanvas.width = columns;
+        this.gridCanvas.height = rows;
+        const ctx = this.gridCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, x, y, width, height, 0, 0, columns, rows);
+        const pixels = ctx.getImageData(0, 0, columns, rows).data;
+
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+        const colors = new Float32Array(columns * rows * 3);
+        const inside = new Uint8Array(columns * rows);
+        let outsideCount = 0;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const index = row * columns + column;
+                colors[index * 3] = pixels[index * 4];
+                colors[index * 3 + 1] = pixels[index * 4 + 1];
+                colors[index * 3 + 2] = pixels[index * 4 + 2];
+
+                const centerX = x + (column + 0.5) * cellWidth;
+                const centerY = y + (row + 0.5) * cellHeight;
+                inside[index] = centerX >= bbox.x && centerX <= bbox.x + bbox.width
+                    && centerY >= bbox.y && centerY <= bbox.y + bbox.height ? 1 : 0;
+                outsideCount += 1 - inside[index];
+            }
+        }
+
+        // A box filling the frame leaves no padding; its own border then seeds the background
+        if (outsideCount < columns + rows) {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    if (row === 0 || column === 0 || row === rows - 1 || column === columns - 1) {
+                        inside[row * columns + column] = 0;
+                    }
+                }
+            }
+        }
+
+        return { x, y, columns, rows, cellWidth, cellHeight, colors, inside };
+    }
+
+    // 1 = foreground, 0 = background; cells outside the box are fixed background
+    refineLabels(grid) {
+        const { columns, rows, colors, inside } = grid;
+        const labels = Uint8Array.from(inside);
+        let foregroundCenters = null;
+        let backgroundCenters = null;
+
+        for (let iteration = 0; iteration < this.ITERATIONS; iteration++) {
+            foregroundCenters = this.fitColorModel(colors, labels, 1, foregroundCenters);
+            backgroundCenters = this.fitColorModel(colors, labels, 0, backgroundCenters);
+            if (!foregroundCenters || !backgroundCenters) {
+                break;
+            }
+
+            const assigned = new Uint8Array(labels.length);
+            for (let index = 0; index < labels.length; index++) {
+                if (inside[index]) {
+                    const foreground = this.nearestDistance(colors, index, foregroundCenters);
+                    const background = this.nearestDistance(colors, index, backgroundCenters);
+                    assigned[index] = foreground <= background ? 1 : 0;
+                }
+            }
+
+            // Majority of the 3x3 neighbourhood: removes speckle and closes thin gaps
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const index = row * columns + column;
+                    if (!inside[index]) {
+                        labels[index] = 0;
+                        continue;
+                    }
+                    let votes = 0;
+                    let cells = 0;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const r = row + dy;
+                            const c = column + dx;
+                            if (r >= 0 && c >= 0 && r < rows && c < columns) {
+                                votes += assigned[r * columns + c];
+                                cells++;
+                            }
+                        }
+                    }
+                    labels[index] = votes * 2 > cells ? 1 : 0;
+                }
+            }
+        }
+        return labels;
+    }
+
+    // One k-means step over the cells carrying `label`, seeded from the previous centers
+    fitColorModel(colors, labels, label, previous) {
+        const members = [];
+        for (let index = 0; index < labels.length; index++) {
+            if (labels[index] === label) {
+                members.push(index);
+            }
+        }
+        if (members.length === 0) {
+            return null;
+        }
+
+        const centers = previous || Array.from({ length: Math.min(this.CLUSTERS, members.length) }, (_, k) => {
+            const index = members[Math.floor((k + 0.5) * members.length / Math.min(this.CLUSTERS, members.length))];
+            return [colors[index * 3], colors[index * 3 + 1], colors[index * 3 + 2]];
+        });
+
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        for (const index of members) {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, k) => {
+                const distance = this.colorDistance(colors, index, center);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = k;
+                }
+            });
+            sums[best][0] += colors[index * 3];
+            sums[best][1] += colors[index * 3 + 1];
+            sums[best][2] += colors[index * 3 + 2];
+            sums[best][3]++;
+        }
+        // A cluster that lost all members keeps its old center
+        return centers.map((center, k) => (sums[k][3] > 0
+            ? [sums[k][0] / sums[k][3], sums[k][1] / sums[k][3], sums[k][2] / sums[k][3]]
+            : center));
+    }
+
+    nearestDistance(colors, index, centers) {
+        return Math.min(...centers.map(center => this.colorDistance(colors, index, center)));
+    }
+
+    colorDistance(colors, index, center) {
+        const dr = colors[index * 3] - center[0];
+        const dg = colors[index * 3 + 1] - center[1];
+        const db = colors[index * 3 + 2] - center[2];
+        return dr * dr + dg * dg + db * db;
+    }
+
+    // Keep only the largest 4-connected foreground region
+    keepMainComponent(labels, grid) {
+        const components = new Int32Array(labels.length).fill(-1);
+        let largest = -1;
+        let largestSize = 0;
+        let count = 0;
+
+        for (let start = 0; start < labels.length; start++) {
+            if (!labels[start] || components[start] >= 0) {
+                continue;
+            }
+            const size = this.floodFill(labels, grid, start, 1, components, count);
+            if (size > largestSize) {
+                largestSize = size;
+                largest = count;
+            }
+            count++;
+        }
+
+        for (let index = 0; index < labels.length; index++) {
+            labels[index] = components[index] === largest ? 1 : 0;
+        }
+    }
+
+    // Background not connected to the grid border is a hole inside the object
+    fillHoles(labels, grid) {
+        const { columns, rows } = grid;
+        const reached = new Int32Array(labels.length).fill(-1);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const index = row * columns + column;
+                const isBorder = row === 0 || column === 0 || row === rows - 1 || column === columns - 1;
+                if (isBorder && !labels[index] && reached[index] < 0) {
+                    this.floodFill(labels, grid, index, 0, reached, 0);
+                }
+            }
+        }
+        for (let index = 0; index < labels.length; index++) {
+            if (!labels[index] && reached[index] < 0) {
+                labels[index] = 1;
+            }
+        }
+    }
+
+    // Marks the 4-connected region of `label` cells around start with `id`; returns its size
+    floodFill(labels, grid, start, label, marks, id) {
+        const { columns, rows } = grid;
+        const stack = [start];
+        marks[start] = id;
+        let size = 0;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            size++;
+            const row = Math.floor(index / columns);
+            const column = index % columns;
+            const neighbors = [
+                column > 0 ? index - 1 : -1,
+                column < columns - 1 ? index + 1 : -1,
+                row > 0 ? index - columns : -1,
+                row < rows - 1 ? index + columns : -1
+            ];
+            for (const neighbor of neighbors) {
+                if (neighbor >= 0 && labels[neighbor] === label && marks[neighbor] < 0) {
+                    marks[neighbor] = id;
+                    stack.push(neighbor);
+                }
+            }
+        }
+        return size;
+    }
+
+    // Area, principal axes and outline of the foreground in frame pixels
+    measure(labels, grid, bbox) {
+        const { x, y, columns, cellWidth, cellHeight, inside } = grid;
+        const points = [];
+        let insideCount = 0;
+        for (let index = 0; index < labels.length; index++) {
+            insideCount += inside[index];
+            if (labels[index]) {
+                points.push({
+                    x: x + (index % columns + 0.5) * cellWidth,
+                    y: y + (Math.floor(index / columns) + 0.5) * cellHeight
+                });
+            }
+        }
+        if (points.length === 0 || points.length < insideCount * this.MIN_FILL) {
+            return null;
+        }
+
+        // Second moments give the principal axes; the angle is that of the major axis
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        let sxx = 0;
+        let syy = 0;
+        let sxy = 0;
+        for (const point of points) {
+            sxx += (point.x - meanX) * (point.x - meanX);
+            syy += (point.y - meanY) * (point.y - meanY);
+            sxy += (point.x - meanX) * (point.y - meanY);
+        }
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Extents along the axes rather than moment-based lengths, so boxes and ellipses both measure true
+        const majorExtent = this.getExtent(points.map(point => point.x * cos + point.y * sin))
+            + Math.abs(cos) * cellWidth + Math.abs(sin) * cellHeight;
+        const minorExtent = this.getExtent(points.map(point => -point.x * sin + point.y * cos))
+            + Math.abs(sin) * cellWidth + Math.abs(cos) * cellHeight;
+
+        // Width stays the axis nearer the horizontal, matching what bbox.width meant
+        const isMajorHorizontal = Math.abs(cos) >= Math.abs(sin);
+        const width = isMajorHorizontal ? majorExtent : minorExtent;
+        const height = isMajorHorizontal ? minorExtent : majorExtent;
+        const area = points.length * cellWidth * cellHeight;
+
+        return {
+            bbox: { ...bbox },
+            area: parseFloat(area.toFixed(2)),
+            width: parseFloat(width.toFixed(2)),
+            height: parseFloat(height.toFixed(2)),
+            angle: parseFloat((angle * 180 / Math.PI).toFixed(2)),
+            fillRatio: parseFloat(Math.min(1, area / (width * height)).toFixed(3)),
+            outline: this.traceOutline(labels, grid)
+        };
+    }
+
+    getExtent(values) {
+        const sorted = values.sort((a, b) => a - b);
+        const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+        return at(1 - this.EXTENT_PERCENTILE) - at(this.EXTENT_PERCENTILE);
+    }
+
+    // Moore-neighbour tracing of the outer boundary, as cell centers in frame pixels
+    traceOutline(labels, grid) {
+        const { x, y, columns, rows, cellWidth, cellHeight } = grid;
+        const isForeground = (column, row) => column >= 0 && row >= 0 && column < columns && row < rows
+            && labels[row * columns + column] === 1;
+        // Clockwise on screen, starting west
+        const directions = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+        const start = labels.indexOf(1);
+        if (start < 0) {
+            return [];
+        }
+        const startColumn = start % columns;
+        const startRow = Math.floor(start / columns);
+        const toPoint = (column, row) => ({
+            x: parseFloat((x + (column + 0.5) * cellWidth).toFixed(1)),
+            y: parseFloat((y + (row + 0.5) * cellHeight).toFixed(1))
+        });
+
+        const outline = [toPoint(startColumn, startRow)];
+        let column = startColumn;
+        let row = startRow;
+        let direction = 0; // the raster scan reached the start from the west
+        for (let step = 0; step < labels.length * 4; step++) {
+            let moved = false;
+            for (let turn = 0; turn < 8; turn++) {
+                const candidate = (direction + turn) % 8;
+                const nextColumn = column + directions[candidate][0];
+                const nextRow = row + directions[candidate][1];
+                if (isForeground(nextColumn, nextRow)) {
+                    column = nextColumn;
+                    row = nextRow;
+                    // Resume the sweep just past the background cell we came around
+                    direction = (candidate + 6) % 8;
+                    moved = true;
+                    break;
+                }
+            }
+            if (!moved || (column === startColumn && row === startRow)) {
+                break;
+            }
+            outline.push(toPoint(column, row));
+        }
+        return outline;
+    }
+
+    // Move and scale a cached mask with the tracked box it was measured in
+    anchorMask(mask, bbox) {
+        const scaleX = bbox.width / mask.bbox.width;
+        const scaleY = bbox.height / mask.bbox.height;
+        if (scaleX === 1 && scaleY === 1 && bbox.x === mask.bbox.x && bbox.y === mask.bbox.y) {
+            return mask;
+        }
+        return {
+            ...mask,
+            bbox: { ...bbox },
+            area: parseFloat((mask.area * scaleX * scaleY).toFixed(2)),
+            width: parseFloat((mask.width * scaleX).toFixed(2)),
+            height: parseFloat((mask.height * scaleY).toFixed(2)),
+            outline: mask.outline.map(point => ({
+                x: parseFloat((bbox.x + (point.x - mask.bbox.x) * scaleX).toFixed(1)),
+                y: parseFloat((bbox.y + (point.y - mask.bbox.y) * scaleY).toFixed(1))
+            }))
+        };
+    }
+
+    // Track IDs are never reused, so masks of tracks gone for a while can be dropped
+    prune(timestamp) {
+        for (const [trackId, result] of this.results) {
+            if (timestamp - (result.lastSeen || result.measuredAt) > this.RESULT_TTL) {
+                this.results.delete(trackId);
+            }
+        }
+    }
+
+    reset() {
+        this.results.clear();
+    }
+}
+
+// Locates the four corners of rectangular reference objects (card, A4 sheet) inside
+// their boxes, so calibration can fit the table plane instead of a single mm/px scale.
+// The reference is segmented like a food mask, on a finer grid, and a quadrilateral is
+// fitted to the convex hull of its outline.
+class ReferenceCornerFinder {
+    constructor(isRectangleReference = () => true) {
+        this.isRectangleReference = isRectangleReference; // detection => boolean
+        this.enabled = true;
+
+        this.segmenter = new MaskSegmenter();
+        this.segmenter.GRID_SIZE = 96;
+        this.segmenter.PADDING = 0.1;
+        this.segmenter.MIN_FILL = 0.3;
+
+        // The fitted quad must explain the mask: a card partly hidden by a plate is rejected
+        this.MIN_COVERAGE = 0.85;
+        this.MAX_COVERAGE = 1.2;
+        this.REFRESH_INTERVAL = 300; // ms before a track's corners are searched again
+        this.RESULT_TTL = 5000;
+
+        this.results = new Map(); // trackId -> { class, bbox, corners, measuredAt, lastSeen }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.results.clear();
+    }
+
+    // Attach corners ([top-left, top-right, bottom-right, bottom-left] in frame pixels) to references
+    process(detections, image, timestamp = performance.now()) {
+        if (!this.enabled || !image) {
+            return detections;
+        }
+
+        const annotated = detections.map(detection => {
+            if (detection.trackId === undefined || !this.isRectangleReference(detection)) {
+                return detection;
+            }
+
+            let result = this.results.get(detection.trackId);
+            if (!result || result.class !== detection.class || timestamp - result.measuredAt > this.REFRESH_INTERVAL) {
+                result = {
+                    class: detection.class,
+                    bbox: { ...detection.bbox },
+                    corners: this.findCorners(detection.bbox, image),
+                    measuredAt: timestamp
+                };
+                this.results.set(detection.trackId, result);
+            }
+            result.lastSeen = timestamp;
+            return result.corners
+                ? { ...detection, corners: this.anchorCorners(result.corners, result.bbox, detection.bbox) }
+                : detection;
+        });
+
+        for (const [trackId, result] of this.results) {
+            if (timestamp - result.lastSeen > this.RESULT_TTL) {
+                this.results.delete(trackId);
+            }
+        }
+        return annotated;
+    }
+
+    // Still images and headless frames: search every reference of this frame
+    findAll(detections, image) {
+        if (!this.enabled || !image) {
+            return detections;
+        }
+        return detections.map(detection => {
+            const corners = this.isRectangleReference(detection) ? this.findCorners(detection.bbox, image) : null;
+            return corners ? { ...detection, corners } : detection;
+        });
+    }
+
+    findCorners(bbox, image) {
+        const mask = this.segmenter.segment(bbox, image);
+        if (!mask || mask.outline.length < 4) {
+            return null;
+        }
+
+        const quad = this.fitQuadrilateral(this.convexHull(mask.outline));
+        if (!quad) {
+            return null;
+        }
+
+        // The outline runs through cell centers; push the corners out by half a cell
+        const cellSize = Math.max(bbox.width, bbox.height) * (1 + 2 * this.segmenter.PADDING) / this.segmenter.GRID_SIZE;
+        const centerX = quad.reduce((sum, point) => sum + point.x, 0) / 4;
+        const centerY = quad.reduce((sum, point) => sum + point.y, 0) / 4;
+        const corners = quad.map(point => {
+            const dx = point.x - centerX;
+            const dy = point.y - centerY;
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            const offset = cellSize * Math.SQRT1_2;
+            return { x: point.x + dx / length * offset, y: point.y + dy / length * offset };
+        });
+
+        const coverage = this.polygonArea(corners) / mask.area;
+        if (coverage < this.MIN_COVERAGE || coverage > this.MAX_COVERAGE) {
+            return null;
+        }
+        return this.orderCorners(corners);
+    }
+
+    // Andrew's monotone chain
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    // The hull's diameter is one diagonal; the points farthest from it on either side close the quad
+    fitQuadrilateral(hull) {
+        if (hull.length < 4) {
+            return null;
+        }
+
+        let first = null;
+        let second = null;
+        let diagonal = 0;
+        for (let i = 0; i < hull.length; i++) {
+            for (let j = i + 1; j < hull.length; j++) {
+                const distance = Math.hypot(hull[i].x - hull[j].x, hull[i].y - hull[j].y);
+                if (distance > diagonal) {
+                    diagonal = distance;
+                    first = hull[i];
+                    second = hull[j];
+                }
+            }
+        }
+
+        let left = null;
+        let right = null;
+        let leftDistance = 0;
+        let rightDistance = 0;
+        for (const point of hull) {
+            // Signed distance from the diagonal
+            const distance = ((second.x - first.x) * (point.y - first.y) - (second.y - first.y) * (point.x - first.x)) / diagonal;
+            if (distance > leftDistance) {
+                leftDistance = distance;
+                left = point;
+            } else if (distance < rightDistance) {
+                rightDistance = distance;
+                right = point;
+            }
+        }
+
+        // Both sides must be well away from the diagonal, or the shape is a sliver
+        const minDistance = diagonal * 0.1;
+        if (!left || !right || leftDistance < minDistance || -rightDistance < minDistance) {
+            return null;
+        }
+        return [first, left, second, right];
+    }
+
+    // Clockwise on screen, starting at the corner nearest the top left
+    orderCorners(corners) {
+        const centerX = corners.reduce((sum, point) => sum + point.x, 0) / 4;
+        const centerY = corners.reduce((sum, point) => sum + point.y, 0) / 4;
+        const sorted = [...corners].sort((a, b) =>
+            Math.atan2(a.y - centerY, a.x - centerX) - Math.atan2(b.y - centerY, b.x - centerX));
+        let start = 0;
+        sorted.forEach((point, index) => {
+            if (point.x + point.y < sorted[start].x + sorted[start].y) {
+                start = index;
+            }
+        });
+        return sorted.slice(start).concat(sorted.slice(0, start)).map(point => ({
+            x: parseFloat(point.x.toFixed(1)),
+            y: parseFloat(point.y.toFixed(1))
+        }));
+    }
+
+    polygonArea(points) {
+        let area = 0;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        return Math.abs(area) / 2;
+    }
+
+    // Move and scale cached corners with the tracked box they were found in
+    anchorCorners(corners, from, to) {
+        if (from.x === to.x && from.y === to.y && from.width === to.width && from.height === to.height) {
+            return corners;
+        }
+        return corners.map(point => ({
+            x: parseFloat((to.x + (point.x - from.x) * to.width / from.width).toFixed(1)),
+            y: parseFloat((to.y + (point.y - from.y) * to.height / from.height).toFixed(1))
+        }));
+    }
+
+    reset() {
+        this.results.clear();
+    }
+}
+
+// Runs the monocular depth model in the background and samples, for every box, the
+// inverse depth of its top (a high percentile over the box's central area) and of the
+// table right around it (the median of a ring just outside the box). The model only
+// yields relative inverse depth with a new scale per map, so samples carry the map's
+// timestamp and VolumeEstimator turns them into millimetres with the calibrated
+// reference from the same map as the anchor.
+class DepthSampler {
+    constructor() {
+        this.depthModelId = DEFAULT_DEPTH_MODEL_ID;
+        this.depthEstimator = null;
+        this.enabled = false;
+        this.isBusy = false;
+
+        this.HORIZONTAL_FOV = 65; // degrees; a typical phone main camera, gives the focal length in pixels
+        this.REFRESH_INTERVAL = 500; // ms between depth maps
+        this.MAX_MAP_AGE = 2000; // ms; an older map no longer matches the scene
+        this.TOP_PERCENTILE = 0.9;
+        this.CORE_INSET = 0.2; // fraction of the box trimmed on each side, edges mix in the table
+        this.RING_PADDING = 0.15; // ring width around the box as a fraction of its size
+
+        this.map = null; // { data, width, height, frameWidth, frameHeight, timestamp }
+        this.lastRequestTime = -Infinity;
+    }
+
+    get isLoaded() {
+        return this.depthEstimator !== null;
+    }
+
+    async load(depthModelId = this.depthModelId, onProgress) {
+        if (this.depthEstimator && depthModelId === this.depthModelId) {
+            return;
+        }
+        const { depthEstimator, source } = await loadRegisteredDepthModel(depthModelId, onProgress);
+        if (this.depthEstimator) {
+            this.depthEstimator.dispose();
+        }
+        this.depthEstimator = depthEstimator;
+        this.depthModelId = depthModelId;
+        this.map = null;
+        console.log(`Depth model "${depthModelId}" loaded from ${source}`);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.map = null;
+        }
+    }
+
+    // Attach samples from the latest map and request a new one when it is due
+    process(detections, image, timestamp = performance.now()) {
+        // Scripted frames carry detections only, there is nothing to look at
+        if (!this.enabled || !this.depthEstimator || !image) {
+            return detections;
+        }
+
+        if (!this.isBusy && timestamp - this.lastRequestTime > this.REFRESH_INTERVAL) {
+            this.requestMap(image, timestamp);
+        }
+        if (!this.map || timestamp - this.map.timestamp > this.MAX_MAP_AGE) {
+            return detections;
+        }
+        return this.attachSamples(detections, this.map);
+    }
+
+    // Still images and headless frames: one fresh map for this frame
+    async sampleAll(detections, image) {
+        if (!this.enabled || !this.depthEstimator || !image) {
+            return detections;
+        }
+        const { width, height } = getSourceSize(image);
+        const map = await this.depthEstimator.estimate(image);
+        return this.attachSamples(detections, { ...map, frameWidth: width, frameHeight: height, timestamp: performance.now() });
+    }
+
+    requestMap(image, timestamp) {
+        // estimate() reads the pixels before its first await, so the live frame may move on
+        const { width, height } = getSourceSize(image);
+        this.isBusy = true;
+        this.lastRequestTime = timestamp;
+
+        this.depthEstimator.estimate(image)
+            .then(map => {
+                this.map = { ...map, frameWidth: width, frameHeight: height, timestamp };
+            })
+            .catch(error => console.warn('Depth estimation failed:', error))
+            .finally(() => {
+                this.isBusy = false;
+            });
+    }
+
+    attachSamples(detections, map) {
+        return detections.map(detection => {
+            const depthSample = this.toDepthSample(detection.bbox, map);
+            return depthSample ? { ...detection, depthSample } : detection;
+        });
+    }
+
+    // Sample of any frame region (e.g. a manually drawn reference) from the latest live map,
+    // in the same form as a detection's depthSample; null while no fresh map exists
+    sampleRegion(bbox, timestamp = performance.now()) {
+        if (!this.enabled || !this.map || timestamp - this.map.timestamp > this.MAX_MAP_AGE) {
+            return null;
+        }
+        return this.toDepthSample(bbox, this.map);
+    }
+
+    toDepthSample(bbox, map) {
+        const sample = this.sampleBox(bbox, map);
+        if (!sample) {
+            return null;
+        }
+        const focalLength = map.frameWidth / (2 * Math.tan(this.HORIZONTAL_FOV * Math.PI / 360));
+        return { ...sample, focalLength, mapTimestamp: map.timestamp };
+    }
+
+    // { top, table } in the map's inverse depth units, or null when either region is empty
+    sampleBox(bbox, map) {
+        const scaleX = map.width / map.frameWidth;
+        const scaleY = map.height / map.frameHeight;
+        const toCells = (x1, y1, x2, y2) => ({
+            left: Math.max(0, Math.floor(x1 * scaleX)),
+            top: Math.max(0, Math.floor(y1 * scaleY)),
+            right: Math.min(map.width - 1, Math.ceil(x2 * scaleX)),
+            bottom: Math.min(map.height - 1, Math.ceil(y2 * scaleY))
+        });
+
+        const insetX = bbox.width * this.CORE_INSET;
+        const insetY = bbox.height * this.CORE_INSET;
+        const core = toCells(bbox.x + insetX, bbox.y + insetY, bbox.x + bbox.width - insetX, bbox.y + bbox.height - insetY);
+        const box = toCells(bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height);
+        const padX = bbox.width * this.RING_PADDING;
+        const padY = bbox.height * this.RING_PADDING;
+        const outer = toCells(bbox.x - padX, bbox.y - padY, bbox.x + bbox.width + padX, bbox.y + bbox.height + padY);
+
+        const coreValues = [];
+        const ringValues = [];
+        for (let row = outer.top; row <= outer.bottom; row++) {
+            for (let column = outer.left; column <= outer.right; column++) {
+                const value = map.data[row * map.width + column];
+                if (column >= core.left && column <= core.right && row >= core.top && row <= core.bottom) {
+                    coreValues.push(value);
+                } else if (column < box.left || column > box.right || row < box.top || row > box.bottom) {
+                    ringValues.push(value);
+                }
+            }
+        }
+        if (coreValues.length === 0 || ringValues.length === 0) {
+            return null;
+        }
+
+        const at = (values, fraction) => {
+            const sorted = values.sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+        };
+        return {
+            top: parseFloat(at(coreValues, this.TOP_PERCENTILE).toFixed(4)),
+            table: parseFloat(at(ringValues, 0.5).toFixed(4))
+        };
+    }
+
+    reset() {
+        this.map = null;
+        this.lastRequestTime = -Infinity;
+    }
+}
+
+// Constant-velocity Kalman filter for one coordinate (state: position, velocity)
+class KalmanFilter1D {
+    constructor(position, processNoise = 1, measurementNoise = 10) {
+        this.position = position;
+        this.velocity = 0;
+        // Covariance matrix [[p00, p01], [p10, p11]]
+        this.p00 = measurementNoise;
+        this.p01 = 0;
+        this.p10 = 0;
+        this.p11 = measurementNoise;
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+    }
+
+    // dt in frames
+    predict(dt = 1) {
+        this.position += this.velocity * dt;
+
+        // P = F P F^T + Q
+        const p00 = this.p00 + dt * (this.p10 + this.p01) + dt * dt * this.p11 + this.processNoise;
+        const p01 = this.p01 + dt * this.p11;
+        const p10 = this.p10 + dt * this.p11;
+        const p11 = this.p11 + this.processNoise;
+        this.p00 = p00;
+        this.p01 = p01;
+        this.p10 = p10;
+        this.p11 = p11;
+        return this.position;
+    }
+
+    correct(measurement) {
+        const innovation = measurement - this.position;
+        const s = this.p00 + this.measurementNoise;
+        const k0 = this.p00 / s;
+        const k1 = this.p10 / s;
+
+        this.position += k0 * innovation;
+        this.velocity += k1 * innovation;
+
+        const p00 = (1 - k0) * this.p00;
+        const p01 = (1 - k0) * this.p01;
+        const p10 = this.p10 - k1 * this.p00;
+        const p11 = this.p11 - k1 * this.p01;
+        this.p00 = p00;
+        this.p01 = p01;
+        this.p10 = p10;
+        this.p11 = p11;
+        return this.position;
+    }
+}
+
+// Assigns stable track IDs to detections across frames
+class ObjectTracker {
+    constructor() {
+        this.IOU_THRESHOLD = 0.2;
+        // Fallback when boxes no longer overlap: centroid distance relative to the box size
+        this.MAX_CENTROID_DISTANCE = 0.75;
+        this.MAX_MISSED_FRAMES = 5;
+        this.HISTORY_LENGTH = 30;
+        // Box size changes slower than position, so it is only smoothed
+        this.SIZE_SMOOTHING = 0.5;
+
+        this.tracks = new Map();
+        this.nextTrackId = 1;
+        // IDs restart at 1 on every page load; the epoch tells this tracker's IDs apart
+        // from ones saved by an earlier tracker (e.g. in a restored meal session)
+        this.epoch = Date.now();
+    }
+
+    update(detections, timestamp = performance.now()) {
+        const tracks = [...this.tracks.values()];
+        for (const track of tracks) {
+            track.predictedBbox = this.predict(track);
+        }
+
+        // Greedy matching on the best IoU (or centroid) score, same class only
+        const pairs = [];
+        detections.forEach((detection, detectionIndex) => {
+            for (const track of tracks) {
+                if (track.class !== detection.class) continue;
+                const score = this.matchScore(track.predictedBbox, detection.bbox);
+                if (score > 0) {
+                    pairs.push({ track, detectionIndex, score });
+                }
+            }
+        });
+        pairs.sort((a, b) => b.score - a.score);
+
+        const matchedTracks = new Set();
+        const assignments = new Array(detections.length).fill(null);
+        for (const { track, detectionIndex } of pairs) {
+            if (matchedTracks.has(track.id) || assignments[detectionIndex]) continue;
+            matchedTracks.add(track.id);
+            assignments[detectionIndex] = track;
+        }
+
+        const results = detections.map((detection, index) => {
+            const track = assignments[index]
+                ? this.correct(assignments[index], detection, timestamp)
+                : this.createTrack(detection, timestamp);
+            return { ...detection, trackId: track.id, trackAge: track.hits };
+        });
+
+        // Tolerate brief misses, drop tracks that stay lost
+        for (const track of tracks) {
+            if (matchedTracks.has(track.id)) continue;
+            track.missedFrames++;
+            if (track.missedFrames > this.MAX_MISSED_FRAMES) {
+                this.tracks.delete(track.id);
+            }
+        }
+
+        return results.sort((a, b) => a.trackId - b.trackId);
+    }
+
+    // Positive score for a plausible match: IoU when boxes overlap, else a centroid-distance score below the IoU range
+    matchScore(predicted, bbox) {
+        const iou = computeIoU(predicted, bbox);
+        if (iou >= this.IOU_THRESHOLD) {
+            return 1 + iou;
+        }
+
+        const dx = (predicted.x + predicted.width / 2) - (bbox.x + bbox.width / 2);
+        const dy = (predicted.y + predicted.height / 2) - (bbox.y + bbox.height / 2);
+        const size = Math.max(predicted.width, predicted.height, bbox.width, bbox.height);
+        const distance = Math.sqrt(dx * dx + dy * dy) / size;
+        return distance <= this.MAX_CENTROID_DISTANCE ? 1 - distance / this.MAX_CENTROID_DISTANCE : 0;
+    }
+
+    createTrack(detection, timestamp) {
+        const { x, y, width, height } = detection.bbox;
+        const track = {
+            id: this.nextTrackId++,
+            class: detection.class,
+            filterX: new KalmanFilter1D(x + width / 2),
+            filterY: new KalmanFilter1D(y + height / 2),
+            width,
+            height,
+            hits: 1,
+            missedFrames: 0,
+            firstSeen: timestamp,
+            lastSeen: timestamp,
+            history: [{ timestamp, bbox: { ...detection.bbox }, confidence: detection.confidence }],
+            predictedBbox: null
+        };
+        this.tracks.set(track.id, track);
+        return track;
+    }
+
+    predict(track) {
+        // Coast through missed frames along the estimated velocity
+        const cx = track.filterX.predict();
+        const cy = track.filterY.predict();
+        return {
+            x: cx - track.width / 2,
+            y: cy - track.height / 2,
+            width: track.width,
+            height: track.height
+        };
+    }
+
+    correct(track, detection, timestamp) {
+        const { x, y, width, height } = detection.bbox;
+        track.filterX.correct(x + width / 2);
+        track.filterY.correct(y + height / 2);
+        track.width = track.width * this.SIZE_SMOOTHING + width * (1 - this.SIZE_SMOOTHING);
+        track.height = track.height * this.SIZE_SMOOTHING + height * (1 - this.SIZE_SMOOTHING);
+        track.hits++;
+        track.missedFrames = 0;
+        track.lastSeen = timestamp;
+
+        track.history.push({ timestamp, bbox: { ...detection.bbox }, confidence: detection.confidence });
+        if (track.history.length > this.HISTORY_LENGTH) {
+            track.history.shift();
+        }
+        return track;
+    }
+
+    getTrack(trackId) {
+        return this.tracks.get(trackId) || null;
+    }
+
+    reset() {
+        this.tracks.clear();
+        // IDs are not reused, so per-track state kept elsewhere (smoothing, shape overrides)
+        // can never attach to a different object after a reset
+    }
+}
+
+// HTML/CSS 기반 AR 라벨 오버레이: 각 바운딩 박스 위에 이름, 칼로리, 영양성분 표시
+class ARLabelOverlay {
+    constructor(displayElement, container) {
+        this.displayElement = displayElement; // <video> for live input, <img> for stills
+        this.container = container;
+        this.isMirrored = false; // front camera preview flipped with CSS
+        this.onSelect = null; // called with the detection when a label is tapped
+        this.labels = new Map(); // key -> label element
+        this.REMOVE_DELAY = 200; // ms, matches the CSS fade-out
+
+        this.layer = document.createElement('div');
+        this.layer.className = 'ar-label-layer';
+        this.container.appendChild(this.layer);
+    }
+
+    update(detections, colorFor) {
+        const mapping = this.getDisplayMapping();
+        if (!mapping) return;
+
+        const seen = new Set();
+        const keys = this.assignKeys(detections);
+
+        detections.forEach((detection, index) => {
+            const key = keys[index];
+            seen.add(key);
+
+            let label = this.labels.get(key);
+            if (!label) {
+                label = this.createLabel();
+                this.labels.set(key, label);
+            }
+
+            label.detection = detection;
+            this.renderLabel(label, detection, colorFor(detection, index));
+            this.positionLabel(label, detection.bbox, mapping);
+        });
+
+        for (const [key, label] of this.labels) {
+            if (!seen.has(key)) {
+                this.removeLabel(key, label);
+            }
+        }
+    }
+
+    // Tracked detections keep their label by track ID; otherwise the n-th object
+    // of a class (left to right) keeps its label
+    assignKeys(detections) {
+        if (detections.every(detection => detection.trackId !== undefined)) {
+            return detections.map(detection => `track-${detection.trackId}`);
+        }
+
+        const byClass = {};
+        detections.forEach((detection, index) => {
+            (byClass[detection.class] = byClass[detection.class] || []).push(index);
+        });
+
+        const keys = [];
+        for (const [className, indices] of Object.entries(byClass)) {
+            indices
+                .sort((a, b) => detections[a].bbox.x - detections[b].bbox.x)
+                .forEach((detectionIndex, order) => {
+                    keys[detectionIndex] = `${className}-${order}`;
+                });
+        }
+        return keys;
+    }
+
+    setDisplayElement(element) {
+        this.clear();
+        this.displayElement = element;
+    }
+
+    setMirrored(mirrored) {
+        this.isMirrored = mirrored;
+    }
+
+    // Makes labels tappable; pass null to let pointer events through again
+    setSelectHandler(handler) {
+        this.onSelect = handler;
+        this.layer.classList.toggle('selectable', !!handler);
+    }
+
+    // Map source pixel coordinates to container pixels, honoring object-fit letterboxing and CSS scaling
+    getDisplayMapping() {
+        const { width: videoWidth, height: videoHeight } = getSourceSize(this.displayElement);
+        const elementWidth = this.displayElement.clientWidth;
+        const elementHeight = this.displayElement.clientHeight;
+        if (!videoWidth || !videoHeight || !elementWidth || !elementHeight) {
+            return null;
+        }
+
+        const objectFit = getComputedStyle(this.displayElement).objectFit;
+        let scaleX = elementWidth / videoWidth;
+        let scaleY = elementHeight / videoHeight;
+
+        if (objectFit === 'contain' || objectFit === 'cover' || objectFit === 'scale-down') {
+            const scale = objectFit === 'cover'
+                ? Math.max(scaleX, scaleY)
+                : Math.min(scaleX, scaleY);
+            scaleX = scale;
+            scaleY = scale;
+        }
+
+        return {
+            scaleX,
+            scaleY,
+            sourceWidth: videoWidth,
+            offsetX: this.displayElement.offsetLeft + (elementWidth - videoWidth * scaleX) / 2,
+            offsetY: this.displayElement.offsetTop + (elementHeight - videoHeight * scaleY) / 2,
+            containerWidth: this.container.clientWidth,
+            containerHeight: this.container.clientHeight
+        };
+    }
+
+    createLabel() {
+        const label = document.createElement('div');
+        label.className = 'ar-label';
+
+        const name = document.createElement('div');
+        name.className = 'object-name';
+        const calories = document.createElement('div');
+        calories.className = 'calories';
+        const nutrients = document.createElement('div');
+        nutrients.className = 'nutrients';
+
+        label.append(name, calories, nutrients);
+        label.elements = { name, calories, nutrients };
+        label.addEventListener('click', () => {
+            if (this.onSelect && label.detection) {
+                this.onSelect(label.detection);
+            }
+        });
+        this.layer.appendChild(label);
+
+        // Let the first position apply without a transition, then animate updates
+        requestAnimationFrame(() => label.classList.add('tracking'));
+        return label;
+    }
+
+    renderLabel(label, detection, color) {
+        const { name, calories, nutrients } = label.elements;
+        const isAssumed = !!(detection.volume && detection.volume.isAssumed);
+
+        label.style.borderColor = color;
+        label.classList.toggle('assumed', isAssumed);
+
+        const lines = this.getLabelLines(detection);
+        name.textContent = lines.name;
+        calories.textContent = lines.calories;
+        nutrients.textContent = lines.nutrients;
+    }
+
+    // 라벨 세 줄의 텍스트 (내보내기 PNG에도 같은 내용을 그린다)
+    getLabelLines(detection) {
+        const nutrition = detection.nutrition;
+        const displayName = i18n.localizedName(nutrition ? nutrition.displayName : null, detection.class);
+        // 요리 이름이 분류기에서 왔으면 분류기 확신도를 표시
+        const confidence = detection.dishClass ? detection.dish.score : detection.confidence;
+        const lines = {
+            name: `${displayName} (${Math.round(confidence * 100)}%)`,
+            calories: i18n.t('label.noCalories'),
+            nutrients: ''
+        };
+
+        if (nutrition && nutrition.category === 'container') {
+            const capacity = detection.volume ? detection.volume.capacity : null;
+            lines.calories = nutrition.containedCount > 0
+                ? i18n.t('label.containedFoods', { count: nutrition.containedCount })
+                : i18n.t('label.selectContents');
+            lines.nutrients = capacity ? i18n.t('label.capacity', { volume: i18n.formatNumber(capacity) }) : '';
+            return lines;
+        }
+
+        if (!nutrition || nutrition.calories === null) {
+            return lines;
+        }
+
+        // Prefer the smoothed value with its uncertainty range, e.g. "≈ 95 kcal (80–110)"
+        const smoothed = detection.smoothed;
+        const value = metric => (smoothed && smoothed[metric] ? smoothed[metric].value : nutrition[metric]);
+        const range = smoothed && smoothed.calories ? smoothed.calories : null;
+        const energy = kcal => i18n.formatNumber(i18n.convertEnergy(kcal));
+        const rangeText = range && Math.round(range.low) !== Math.round(range.high)
+            ? ` (${energy(range.low)}–${energy(range.high)})`
+            : '';
+        lines.calories = `≈ ${i18n.formatEnergy(value('calories'))}${rangeText}`;
+
+        if (nutrition.category === 'food') {
+            lines.nutrients = i18n.t('label.macros', {
+                carbs: i18n.formatWeight(value('carbs'), 1),
+                protein: i18n.formatWeight(value('protein'), 1),
+                fat: i18n.formatWeight(value('fat'), 1)
+            });
+        } else if (nutrition.composition) {
+            const composition = Object.entries(nutrition.composition)
+                .map(([component, ratio]) => {
+                    const key = `component.${component}`;
+                    return `${i18n.has(key) ? i18n.t(key) : component} ${Math.round(ratio * 100)}%`;
+                })
+                .join(', ');
+            lines.nutrients = i18n.t('label.composition', { composition });
+        } else {
+            lines.nutrients = i18n.t('label.macros', { carbs: 'N/A', protein: 'N/A', fat: 'N/A' });
+        }
+        return lines;
+    }
+
+    positionLabel(label, bbox, mapping) {
+        // A mirrored preview flips the box horizontally, the label text itself stays readable
+        const boxX = this.isMirrored ? mapping.sourceWidth - bbox.x - bbox.width : bbox.x;
+        const left = mapping.offsetX + boxX * mapping.scaleX;
+        const top = mapping.offsetY + bbox.y * mapping.scaleY;
+
+        // Sit above the box, but stay inside the container
+        const labelWidth = label.offsetWidth;
+        const labelHeight = label.offsetHeight;
+        const x = Math.max(0, Math.min(left, mapping.containerWidth - labelWidth));
+        const y = Math.max(0, Math.min(top - labelHeight, mapping.containerHeight - labelHeight));
+
+        label.style.transform = `translate3d(${Math.round(x)}px, ${Math.round(y)}px, 0)`;
+    }
+
+    removeLabel(key, label) {
+        this.labels.delete(key);
+        label.classList.add('leaving');
+        setTimeout(() => label.remove(), this.REMOVE_DELAY);
+    }
+
+    clear() {
+        for (const label of this.labels.values()) {
+            label.remove();
+        }
+        this.labels.clear();
+    }
+
+    dispose() {
+        this.clear();
+        this.layer.remove();
+    }
+}
+
+// Plane homography from four point correspondences, as a flat row-major 3x3 array
+// with h33 = 1, or null when the points are degenerate. It is signed so that
+// src[0] maps with a positive w, which lets applyHomography reject points on the
+// far side of the horizon.
+function computeHomography(src, dst) {
+    // Two rows per correspondence of the 8x9 augmented system A h = b
+    const rows = [];
+    for (let i = 0; i < 4; i++) {
+        const { x, y } = src[i];
+        const { x: u, y: v } = dst[i];
+        rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+
+    // Gaussian elimination with partial pivoting
+    for (let column = 0; column < 8; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < 8; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(rows[pivot][column]) < 1e-10) {
+            return null;
+        }
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+        for (let row = 0; row < 8; row++) {
+            if (row === column) continue;
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k < 9; k++) {
+                rows[row][k] -= factor * rows[column][k];
+            }
+        }
+    }
+
+    const homography = rows.map((row, index) => row[8] / row[index]);
+    homography.push(1);
+    const w = homography[6] * src[0].x + homography[7] * src[0].y + 1;
+    return w < 0 ? homography.map(value => -value) : homography;
+}
+
+// Maps a point through a homography; null when it lands behind the horizon
+function applyHomography(homography, point) {
+    const [h11, h12, h13, h21, h22, h23, h31, h32, h33] = homography;
+    const w = h31 * point.x + h32 * point.y + h33;
+    if (w <= 1e-9) {
+        return null;
+    }
+    return {
+        x: (h11 * point.x + h12 * point.y + h13) / w,
+        y: (h21 * point.x + h22 * point.y + h23) / w
+    };
+}
+
+class CalibrationController {
+    constructor() {
+        // Known dimensions of reference objects in millimeters.
+        // labels lists the detector class names that may denote the object. COCO has none of
+        // them, so only a detector registered with these labels calibrates without the user.
+        this.REFERENCE_OBJECTS = {
+            'credit card': {
+                name: '신용카드', shape: 'rectangle', width: 85.6, height: 53.98,
+                labels: ['credit card']
+            },
+            'A4 paper': {
+                name: 'A4 용지', shape: 'rectangle', width: 297, height: 210,
+                labels: ['A4 paper']
+            },
+            '100 won coin': {
+                name: '100원 동전', shape: 'circle', width: 24, height: 24,
+                labels: ['100 won coin']
+            },
+            'BIC lighter': {
+                name: 'BIC 라이터', shape: 'rectangle', width: 81.6, height: 25.4,
+                labels: ['BIC lighter']
+            }
+        };
+
+        // Max relative difference between the bbox aspect ratio and the known one.
+        // Circles get more slack because a tilted coin projects to an ellipse, and located
+        // corners the most, since a tilted view foreshortens the edges going away from the lens.
+        this.ASPECT_TOLERANCE = { rectangle: 0.15, circle: 0.2, corners: 0.35 };
+
+        // With this many candidates, the ones far from the weighted median are dropped
+        this.MIN_CANDIDATES_FOR_OUTLIER_CHECK = 3;
+        this.OUTLIER_TOLERANCE = 0.3;
+
+        // Lifecycle: a calibration goes stale when no reference has been seen for a while,
+        // and expires (resets) after a longer absence. Manual calibrations never expire on their own.
+        this.STALE_AFTER_MS = 3000;
+        this.STALE_AFTER_FRAMES = 30;
+        this.EXPIRE_AFTER_MS = 15000;
+
+        // Confidence comes from the spread of the most recent raw mm/px samples
+        this.SAMPLE_WINDOW = 20;
+        this.MIN_SAMPLES_FOR_FULL_CONFIDENCE = 5;
+        this.MAX_COEFFICIENT_OF_VARIATION = 0.15;
+
+        // Consecutive large jumps in mm/px mean the camera or the table moved
+        this.JUMP_THRESHOLD = 0.25;
+        this.JUMPS_BEFORE_RESEED = 3;
+
+        // Table plane from a rectangular reference's corners; corners moving less than this
+        // share of the reference's diagonal are blended with the previous plane to damp jitter
+        this.PLANE_SMOOTHING = 0.5;
+        this.PLANE_RESEED_SHIFT = 0.1;
+        this.plane = null;
+
+        // Inverse depth of the table under the best reference, from the same depth map as the
+        // objects' samples; with mm/px it gives the map its scale (see VolumeEstimator.measureHeight)
+        this.depthAnchor = null;
+        this.sampleManualDepth = null;
+
+        // The drawn box and real size behind a manual calibration, for finding it in another view
+        this.manualReference = null;
+
+        this.mmPerPixel = null;
+        this.lastCalibrationTime = 0;
+        this.isCalibrated = false;
+        this.isManual = false;
+        this.calibrationObject = null;
+        this.calibrationObjects = [];
+        this.recentSamples = [];
+        this.framesSinceCalibration = 0;
+        this.consecutiveJumps = 0;
+
+        // A Map, so labels such as 'constructor' do not resolve to Object.prototype members
+        this.labelToReference = new Map();
+        for (const [key, refObject] of Object.entries(this.REFERENCE_OBJECTS)) {
+            for (const label of refObject.labels) {
+                this.labelToReference.set(label.toLowerCase(), key);
+            }
+        }
+    }
+
+    // Whether a detector with these labels can find any reference object
+    canDetectReferences(labels) {
+        return labels.some(label => this.isReferenceLabel(label));
+    }
+
+    // Keys of reference objects that no MODEL_REGISTRY detector has a label for
+    findUndetectableReferences(registry = MODEL_REGISTRY) {
+        const detectable = new Set(Object.values(registry)
+            .flatMap(entry => entry.labels)
+            .map(label => this.getReference(label))
+            .filter(reference => reference !== null));
+        return Object.keys(this.REFERENCE_OBJECTS).filter(key => !detectable.has(key));
+    }
+
+    // Key into REFERENCE_OBJECTS for a detector label, or null
+    getReference(label) {
+        return this.labelToReference.get(String(label).toLowerCase()) || null;
+    }
+
+    isReferenceLabel(label) {
+        return this.getReference(label) !== null;
+    }
+
+    // Attempt to calibrate using every plausible reference object in the frame
+    update(detections) {
+        let candidates = detections
+            .map(detection => this.evaluateCandidate(detection))
+            .filter(candidate => candidate !== null);
+
+        if (candidates.length >= this.MIN_CANDIDATES_FOR_OUTLIER_CHECK) {
+            const median = this.weightedMedian(candidates);
+            candidates = candidates.filter(candidate =>
+                Math.abs(candidate.mmPerPixel - median) / median <= this.OUTLIER_TOLERANCE);
+        }
+
+        if (candidates.length === 0) {
+            this.framesSinceCalibration++;
+            if (this.isManual) {
+                this.updateManualDepthAnchor();
+            }
+            // The status panel goes back to "searching" once this resets
+            if (this.isCalibrated && !this.isManual && this.getAge() > this.EXPIRE_AFTER_MS) {
+                this.reset();
+            }
+            return false;
+        }
+
+        const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        const newMmPerPixel = candidates.reduce((sum, candidate) =>
+            sum + candidate.mmPerPixel * candidate.weight, 0) / totalWeight;
+
+        this.applySample(newMmPerPixel);
+
+        // A detected reference replaces what the drawn box measured
+        if (this.isManual) {
+            this.plane = null;
+            this.depthAnchor = null;
+            this.sampleManualDepth = null;
+            this.manualReference = null;
+        }
+
+        candidates.sort((a, b) => b.weight - a.weight);
+        const planeCandidate = candidates.find(candidate => candidate.corners);
+        if (planeCandidate) {
+            const refObject = this.REFERENCE_OBJECTS[planeCandidate.reference];
+            this.updatePlane(planeCandidate.reference, planeCandidate.corners, refObject.width, refObject.height);
+        }
+        const depthCandidate = candidates.find(candidate => candidate.depthSample);
+        if (depthCandidate) {
+            this.depthAnchor = {
+                disparity: depthCandidate.depthSample.table,
+                mapTimestamp: depthCandidate.depthSample.mapTimestamp
+            };
+        }
+
+        this.isCalibrated = true;
+        this.isManual = false;
+        this.lastCalibrationTime = performance.now();
+        this.framesSinceCalibration = 0;
+        this.calibrationObject = candidates[0].reference;
+        this.calibrationObjects = candidates.map(candidate => candidate.reference);
+        return true;
+    }
+
+    applySample(newMmPerPixel) {
+        if (this.mmPerPixel) {
+            const jump = Math.abs(newMmPerPixel - this.mmPerPixel) / this.mmPerPixel;
+            this.consecutiveJumps = jump > this.JUMP_THRESHOLD ? this.consecutiveJumps + 1 : 0;
+        }
+
+        if (this.consecutiveJumps >= this.JUMPS_BEFORE_RESEED) {
+            // The scene changed: start over from the new value instead of slowly blending towards it
+            this.mmPerPixel = newMmPerPixel;
+            this.recentSamples = [];
+            this.consecutiveJumps = 0;
+        } else if (this.mmPerPixel) {
+            // Simple smoothing to stabilize the value
+            this.mmPerPixel = this.mmPerPixel * 0.9 + newMmPerPixel * 0.1;
+        } else {
+            this.mmPerPixel = newMmPerPixel;
+        }
+
+        this.recentSamples.push(newMmPerPixel);
+        if (this.recentSamples.length > this.SAMPLE_WINDOW) {
+            this.recentSamples.shift();
+        }
+    }
+
+    // Homography from image pixels to millimetres on the table, with the reference's
+    // top-left corner at the origin. Without camera intrinsics a rectangle's two
+    // orientations fit equally well, so the longer pair of image edges takes the
+    // longer real side, which holds unless the view is very oblique.
+    // reference is a REFERENCE_OBJECTS key, or 'manual' for a user-drawn one.
+    updatePlane(reference, corners, realWidth, realHeight) {
+        if (this.plane && this.plane.reference === reference) {
+            const diagonal = Math.hypot(corners[2].x - corners[0].x, corners[2].y - corners[0].y);
+            const shift = Math.max(...corners.map((point, index) =>
+                Math.hypot(point.x - this.plane.corners[index].x, point.y - this.plane.corners[index].y)));
+            if (shift < diagonal * this.PLANE_RESEED_SHIFT) {
+                corners = corners.map((point, index) => ({
+                    x: this.plane.corners[index].x * this.PLANE_SMOOTHING + point.x * (1 - this.PLANE_SMOOTHING),
+                    y: this.plane.corners[index].y * this.PLANE_SMOOTHING + point.y * (1 - this.PLANE_SMOOTHING)
+                }));
+            }
+        }
+
+        const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+        const horizontal = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y)
+            + Math.hypot(bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y);
+        const vertical = Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)
+            + Math.hypot(bottomRight.x - topRight.x, bottomRight.y - topRight.y);
+        const long = Math.max(realWidth, realHeight);
+        const short = Math.min(realWidth, realHeight);
+        const width = horizontal >= vertical ? long : short;
+        const height = horizontal >= vertical ? short : long;
+
+        const planeCorners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const homography = computeHomography(corners, planeCorners);
+        const inverseHomography = computeHomography(planeCorners, corners);
+        if (!homography || !inverseHomography) {
+            return;
+        }
+
+        this.plane = {
+            reference,
+            corners,
+            width,
+            height,
+            homography,
+            inverseHomography
+        };
+    }
+
+    clearPlane() {
+        this.plane = null;
+    }
+
+    // Calibrate from a user-drawn box (canvas pixels) and its real-world size in mm.
+    // realHeight is optional; when given, both axes are averaged like a detected reference.
+    // options.corners: the drawn rectangle's own corners found inside the box (see
+    // ReferenceCornerFinder.findCorners); with realHeight they measure it and fit the table plane.
+    // options.sampleDepth: returns the box's current depth sample (see DepthSampler.sampleRegion);
+    // the table around it anchors each new depth map, as a detected reference's would.
+    calibrateManually(bbox, realWidth, realHeight = null, options = {}) {
+        if (!bbox || bbox.width <= 0 || !(realWidth > 0)) {
+            throw new Error('Manual calibration needs a non-empty box and a positive length');
+        }
+
+        const corners = realHeight > 0 && options.corners ? options.corners : null;
+        let mmPerPixel = realWidth / bbox.width;
+        if (corners) {
+            // Orientation is unknown, so long side to long side, as for a detected reference
+            const { width, height } = this.getQuadSides(corners);
+            mmPerPixel = (Math.max(realWidth, realHeight) / Math.max(width, height)
+                + Math.min(realWidth, realHeight) / Math.min(width, height)) / 2;
+        } else if (realHeight > 0 && bbox.height > 0) {
+            mmPerPixel = (mmPerPixel + realHeight / bbox.height) / 2;
+        }
+
+        this.mmPerPixel = mmPerPixel;
+        this.recentSamples = [mmPerPixel];
+        this.consecutiveJumps = 0;
+        // Without corners a drawn box says nothing about the plane's tilt
+        this.plane = null;
+        if (corners) {
+            this.updatePlane('manual', corners, realWidth, realHeight);
+        }
+        this.sampleManualDepth = options.sampleDepth || null;
+        this.updateManualDepthAnchor();
+        this.manualReference = { bbox: { ...bbox }, realWidth, realHeight: realHeight > 0 ? realHeight : null };
+        this.isCalibrated = true;
+        this.isManual = true;
+        this.lastCalibrationTime = performance.now();
+        this.framesSinceCalibration = 0;
+        this.calibrationObject = 'manual';
+        this.calibrationObjects = ['manual'];
+        return mmPerPixel;
+    }
+
+    // Depth maps come with a new scale each time, so the anchor follows the latest one
+    updateManualDepthAnchor() {
+        const sample = this.sampleManualDepth ? this.sampleManualDepth() : null;
+        this.depthAnchor = sample && sample.table > 0
+            ? { disparity: sample.table, mapTimestamp: sample.mapTimestamp }
+            : null;
+    }
+
+    getAge() {
+        return this.isCalibrated ? performance.now() - this.lastCalibrationTime : Infinity;
+    }
+
+    isStale() {
+        if (!this.isCalibrated || this.isManual) {
+            return false;
+        }
+        return this.getAge() > this.STALE_AFTER_MS || this.framesSinceCalibration > this.STALE_AFTER_FRAMES;
+    }
+
+    // 0..1 from the coefficient of variation of recent samples, scaled down while few samples
+    // exist and while the calibration is stale
+    getConfidence() {
+        if (!this.isCalibrated) {
+            return 0;
+        }
+        if (this.isManual) {
+            return 1;
+        }
+
+        const count = this.recentSamples.length;
+        const mean = this.recentSamples.reduce((sum, value) => sum + value, 0) / count;
+        const variance = this.recentSamples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / count;
+        const coefficientOfVariation = Math.sqrt(variance) / mean;
+
+        const stability = Math.max(0, 1 - coefficientOfVariation / this.MAX_COEFFICIENT_OF_VARIATION);
+        const sampleFactor = Math.min(1, count / this.MIN_SAMPLES_FOR_FULL_CONFIDENCE);
+        const freshness = this.isStale()
+            ? Math.min(0.5, Math.max(0, 1 - (this.getAge() - this.STALE_AFTER_MS) / (this.EXPIRE_AFTER_MS - this.STALE_AFTER_MS)))
+            : 1;
+
+        return stability * sampleFactor * freshness;
+    }
+
+    isRectangleReference(label) {
+        const reference = this.getReference(label);
+        return !!reference && this.REFERENCE_OBJECTS[reference].shape === 'rectangle';
+    }
+
+    // Returns { reference, mmPerPixel, weight, corners, depthSample } or null if the detection is not a plausible reference.
+    // Corners, when found, measure the reference's own edges; a rotated card's bbox is larger than the card.
+    evaluateCandidate(detection) {
+        const reference = this.getReference(detection.class);
+        if (!reference) {
+            return null;
+        }
+
+        const refObject = this.REFERENCE_OBJECTS[reference];
+        const corners = refObject.shape === 'rectangle' && detection.corners ? detection.corners : null;
+        const { width, height } = corners ? this.getQuadSides(corners) : detection.bbox;
+        if (width <= 0 || height <= 0) {
+            return null;
+        }
+
+        // Orientation is unknown, so compare long side to long side
+        const detectedLong = Math.max(width, height);
+        const detectedShort = Math.min(width, height);
+        const refLong = Math.max(refObject.width, refObject.height);
+        const refShort = Math.min(refObject.width, refObject.height);
+
+        const expectedAspect = refLong / refShort;
+        const detectedAspect = detectedLong / detectedShort;
+        const aspectError = Math.abs(detectedAspect - expectedAspect) / expectedAspect;
+        const tolerance = this.ASPECT_TOLERANCE[corners ? 'corners' : refObject.shape];
+        if (aspectError > tolerance) {
+            return null;
+        }
+
+        let mmPerPixel;
+        if (refObject.shape === 'circle') {
+            // The longer bbox side is the undistorted diameter
+            mmPerPixel = refObject.width / detectedLong;
+        } else {
+            mmPerPixel = (refLong / detectedLong + refShort / detectedShort) / 2;
+        }
+
+        // Trust confident detections with a close aspect match; larger references
+        // in pixels also suffer less from bbox quantization
+        const aspectScore = 1 - aspectError / tolerance;
+        const sizeScore = Math.min(1, detectedLong / 200);
+        const weight = (detection.confidence || 0.5) * (0.5 + 0.5 * aspectScore) * (0.5 + 0.5 * sizeScore);
+
+        return { reference, mmPerPixel, weight, corners, depthSample: detection.depthSample || null };
+    }
+
+    // Mean lengths of opposite edges of [top-left, top-right, bottom-right, bottom-left]
+    getQuadSides(corners) {
+        const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+        const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+        return {
+            width: (edge(topLeft, topRight) + edge(bottomLeft, bottomRight)) / 2,
+            height: (edge(topLeft, bottomLeft) + edge(topRight, bottomRight)) / 2
+        };
+    }
+
+    weightedMedian(candidates) {
+        const sorted = [...candidates].sort((a, b) => a.mmPerPixel - b.mmPerPixel);
+        const halfWeight = sorted.reduce((sum, candidate) => sum + candidate.weight, 0) / 2;
+        let cumulative = 0;
+        for (const candidate of sorted) {
+            cumulative += candidate.weight;
+            if (cumulative >= halfWeight) {
+                return candidate.mmPerPixel;
+            }
+        }
+        return sorted[sorted.length - 1].mmPerPixel;
+    }
+
+    // Get the current calibration status
+    getStatus() {
+        const refObject = this.REFERENCE_OBJECTS[this.calibrationObject];
+        return {
+            isCalibrated: this.isCalibrated,
+            isManual: this.isManual,
+            isStale: this.isStale(),
+            confidence: this.getConfidence(),
+            mmPerPixel: this.mmPerPixel,
+            lastCalibrationTime: this.lastCalibrationTime,
+            framesSinceCalibration: this.framesSinceCalibration,
+            calibrationObject: this.calibrationObject,
+            calibrationObjectName: this.isManual ? '수동' : (refObject ? refObject.name : null),
+            calibrationObjects: [...this.calibrationObjects],
+            plane: this.plane ? { ...this.plane } : null,
+            depthAnchor: this.depthAnchor ? { ...this.depthAnchor } : null,
+            manualReference: this.manualReference ? { ...this.manualReference } : null
+        };
+    }
+
+    // Reset calibration if the object is lost for a while or on demand
+    reset() {
+        this.mmPerPixel = null;
+        this.isCalibrated = false;
+        this.isManual = false;
+        this.calibrationObject = null;
+        this.calibrationObjects = [];
+        this.recentSamples = [];
+        this.framesSinceCalibration = 0;
+        this.consecutiveJumps = 0;
+        this.plane = null;
+        this.depthAnchor = null;
+        this.sampleManualDepth = null;
+        this.manualReference = null;
+    }
+}
+
+class VolumeEstimator {
+    constructor() {
+        // Pre-defined database of all COCO classes and their typical dimensions (in mm).
+        // The standard serving a food falls back to without a reference object comes from the
+        // nutrition dataset (servingVolume), which is also what decides that a class is food.
+        // Optional geometry hints (see getShapeProfile):
+        //   depth_ratio - unseen depth as a fraction of the visible width
+        //   elongated   - can lie in any direction; the longer bbox side is its length
+        //   thickness   - mm, for flat slices seen from above
+        //   fill_level  - 0..1, how full a container usually is
+        //   container   - a vessel; its volume is the interior capacity and what it holds
+        this.OBJECT_DATABASE = {
+            // People & animals
+            'person': { shape: 'cylinder', avg_diameter: 220, avg_height: 1700 },
+            'bird': { shape: 'sphere', avg_diameter: 120 },
+            'cat': { shape: 'box', avg_width: 450, avg_height: 250, avg_depth: 150 },
+            'dog': { shape: 'box', avg_width: 700, avg_height: 550, avg_depth: 250 },
+            'horse': { shape: 'box', avg_width: 2200, avg_height: 1600, avg_depth: 600 },
+            'sheep': { shape: 'box', avg_width: 1300, avg_height: 900, avg_depth: 500 },
+            'cow': { shape: 'box', avg_width: 2400, avg_height: 1500, avg_depth: 700 },
+            'elephant': { shape: 'box', avg_width: 6000, avg_height: 3000, avg_depth: 2000 },
+            'bear': { shape: 'box', avg_width: 2000, avg_height: 1000, avg_depth: 800 },
+            'zebra': { shape: 'box', avg_width: 2300, avg_height: 1400, avg_depth: 600 },
+            'giraffe': { shape: 'box', avg_width: 3000, avg_height: 5000, avg_depth: 1000 },
+
+            // Vehicles & outdoor
+            'bicycle': { shape: 'box', avg_width: 1700, avg_height: 1000, avg_depth: 600 },
+            'car': { shape: 'box', avg_width: 4500, avg_height: 1500, avg_depth: 1800 },
+            'motorcycle': { shape: 'box', avg_width: 2100, avg_height: 1100, avg_depth: 800 },
+            'airplane': { shape: 'box', avg_width: 38000, avg_height: 12000, avg_depth: 36000 },
+            'bus': { shape: 'box', avg_width: 11000, avg_height: 3200, avg_depth: 2500 },
+            'train': { shape: 'box', avg_width: 20000, avg_height: 4000, avg_depth: 3000 },
+            'truck': { shape: 'box', avg_width: 7000, avg_height: 3000, avg_depth: 2500 },
+            'boat': { shape: 'box', avg_width: 5000, avg_height: 1500, avg_depth: 2000 },
+            'traffic light': { shape: 'box', avg_width: 350, avg_height: 1000, avg_depth: 300 },
+            'fire hydrant': { shape: 'cylinder', avg_diameter: 250, avg_height: 750 },
+            'stop sign': { shape: 'box', avg_width: 750, avg_height: 750, avg_depth: 5 },
+            'parking meter': { shape: 'box', avg_width: 250, avg_height: 500, avg_depth: 200 },
+            'bench': { shape: 'box', avg_width: 1500, avg_height: 800, avg_depth: 600 },
+
+            // Accessories & sports
+            'backpack': { shape: 'box', avg_width: 300, avg_height: 450, avg_depth: 180 },
+            'umbrella': { shape: 'hemisphere', avg_diameter: 1000 },
+            'handbag': { shape: 'box', avg_width: 300, avg_height: 250, avg_depth: 120 },
+            'tie': { shape: 'box', avg_width: 90, avg_height: 500, avg_depth: 10, elongated: true },
+            'suitcase': { shape: 'box', avg_width: 450, avg_height: 650, avg_depth: 250 },
+            'frisbee': { shape: 'cylinder', avg_diameter: 270, avg_height: 30 },
+            'skis': { shape: 'box', avg_width: 100, avg_height: 1700, avg_depth: 20, elongated: true },
+            'snowboard': { shape: 'box', avg_width: 250, avg_height: 1550, avg_depth: 20, elongated: true },
+            'sports ball': { shape: 'sphere', avg_diameter: 220 },
+            'kite': { shape: 'box', avg_width: 1000, avg_height: 1000, avg_depth: 10 },
+            'baseball bat': { shape: 'cylinder', avg_diameter: 60, avg_height: 850, elongated: true },
+            'baseball glove': { shape: 'box', avg_width: 250, avg_height: 300, avg_depth: 100 },
+            'skateboard': { shape: 'box', avg_width: 200, avg_height: 800, avg_depth: 100, elongated: true },
+            'surfboard': { shape: 'box', avg_width: 550, avg_height: 1800, avg_depth: 70, elongated: true },
+            'tennis racket': { shape: 'box', avg_width: 270, avg_height: 685, avg_depth: 30 },
+
+            // Kitchen
+            'bottle': { shape: 'cylinder', avg_diameter: 65, avg_height: 230, elongated: true },
+            'wine glass': { shape: 'cone', avg_diameter: 80, avg_height: 200, container: true, fill_level: 0.5 },
+            'cup': { shape: 'cylinder', avg_diameter: 75, avg_height: 95, container: true, fill_level: 0.8 },
+            'fork': { shape: 'box', avg_width: 25, avg_height: 190, avg_depth: 15, elongated: true },
+            'knife': { shape: 'box', avg_width: 20, avg_height: 220, avg_depth: 10, elongated: true },
+            'spoon': { shape: 'box', avg_width: 40, avg_height: 180, avg_depth: 15, elongated: true },
+            'bowl': { shape: 'bowl', avg_diameter: 150, avg_height: 65, depth_ratio: 0.45, fill_level: 0.7, container: true },
+
+            // Food
+            'banana': { shape: 'cylinder', avg_diameter: 35, avg_height: 180, elongated: true }, // Approximated as a cylinder
+            'apple': { shape: 'ellipsoid', avg_diameter: 80, depth_ratio: 1.0 },
+            'sandwich': { shape: 'box', avg_width: 100, avg_height: 100, avg_depth: 30 },
+            'orange': { shape: 'ellipsoid', avg_diameter: 75, depth_ratio: 1.0 },
+            'broccoli': { shape: 'hemisphere', avg_diameter: 150 },
+            'carrot': { shape: 'cone', avg_diameter: 30, avg_height: 180, elongated: true },
+            'hot dog': { shape: 'cylinder', avg_diameter: 35, avg_height: 150, elongated: true },
+            'pizza': { shape: 'flat-slice', avg_width: 180, avg_height: 150, thickness: 12 }, // Two slices
+            'donut': { shape: 'ellipsoid', avg_diameter: 90, depth_ratio: 0.35 },
+            'cake': { shape: 'box', avg_width: 90, avg_height: 60, avg_depth: 30 }, // One slice
+
+            // Furniture & household
+            'chair': { shape: 'box', avg_width: 450, avg_height: 900, avg_depth: 500 },
+            'couch': { shape: 'box', avg_width: 2000, avg_height: 850, avg_depth: 900 },
+            'potted plant': { shape: 'cylinder', avg_diameter: 250, avg_height: 500 },
+            'bed': { shape: 'box', avg_width: 1500, avg_height: 500, avg_depth: 2000 },
+            'dining table': { shape: 'box', avg_width: 1500, avg_height: 750, avg_depth: 900 },
+            'toilet': { shape: 'box', avg_width: 380, avg_height: 780, avg_depth: 700 },
+            'sink': { shape: 'box', avg_width: 600, avg_height: 200, avg_depth: 450 },
+            'book': { shape: 'box', avg_width: 150, avg_height: 230, avg_depth: 25 },
+            'clock': { shape: 'cylinder', avg_diameter: 300, avg_height: 50 },
+            'vase': { shape: 'cylinder', avg_diameter: 120, avg_height: 250 },
+            'scissors': { shape: 'box', avg_width: 80, avg_height: 200, avg_depth: 10 },
+            'teddy bear': { shape: 'box', avg_width: 300, avg_height: 400, avg_depth: 200 },
+            'hair drier': { shape: 'box', avg_width: 250, avg_height: 250, avg_depth: 90 },
+            'toothbrush': { shape: 'box', avg_width: 15, avg_height: 190, avg_depth: 15, elongated: true },
+
+            // Electronics & appliances
+            'tv': { shape: 'box', avg_width: 1100, avg_height: 650, avg_depth: 80 },
+            'laptop': { shape: 'box', avg_width: 330, avg_height: 230, avg_depth: 20 },
+            'mouse': { shape: 'box', avg_width: 65, avg_height: 110, avg_depth: 40 },
+            'remote': { shape: 'box', avg_width: 50, avg_height: 180, avg_depth: 25, elongated: true },
+            'keyboard': { shape: 'box', avg_width: 440, avg_height: 130, avg_depth: 30 },
+            'cell phone': { shape: 'box', avg_width: 72, avg_height: 150, avg_depth: 8 },
+            'microwave': { shape: 'box', avg_width: 500, avg_height: 300, avg_depth: 400 },
+            'oven': { shape: 'box', avg_width: 600, avg_height: 600, avg_depth: 600 },
+            'toaster': { shape: 'box', avg_width: 280, avg_height: 200, avg_depth: 180 },
+            'refrigerator': { shape: 'box', avg_width: 700, avg_height: 1800, avg_depth: 700 }
+        };
+
+        // Estimation modes, from most to least reliable
+        this.MODES = {
+            CALIBRATED: 'calibrated',
+            STANDARD_SERVING: 'standard-serving',
+            CLASS_AVERAGE: 'class-average',
+            TWO_VIEW: 'two-view'
+        };
+
+        // Geometric primitives computeVolume understands
+        this.SHAPES = ['sphere', 'ellipsoid', 'cylinder', 'cone', 'hemisphere', 'box', 'flat-slice', 'bowl'];
+        this.DEFAULT_FILL_LEVEL = 0.7;
+        this.SLICE_FOOTPRINT = 0.5; // a wedge covers about half of its bbox
+        this.INTERIOR_VOLUME_RATIO = 0.85; // walls and base of a cup or bowl
+        // Shapes measured by their outline as seen from above; only these are rectified onto
+        // the table plane, since the height of a standing cup or bottle is not on the plane
+        this.FOOTPRINT_SHAPES = ['sphere', 'ellipsoid', 'hemisphere', 'box', 'flat-slice', 'bowl'];
+        // Shapes whose unseen dimension is the height above the table, so a depth map can
+        // measure it; vessels and upright cylinders or cones already show their height
+        this.DEPTH_SHAPES = ['sphere', 'ellipsoid', 'hemisphere', 'box', 'flat-slice'];
+        this.MIN_MEASURED_HEIGHT = 3; // mm; below this the depth map cannot tell food from table
+        this.MAX_HEIGHT_RATIO = 3; // a height over this multiple of the footprint is a bad sample
+
+        // User corrections per track: trackId -> { shape, depthRatio, fillLevel }
+        this.overrides = new Map();
+    }
+
+    setOverride(trackId, override) {
+        this.overrides.set(trackId, { ...this.overrides.get(trackId), ...override });
+    }
+
+    clearOverride(trackId) {
+        this.overrides.delete(trackId);
+    }
+
+    clearOverrides() {
+        this.overrides.clear();
+    }
+
+    // Class defaults merged with any user override
+    getShapeProfile(objectInfo, override = {}) {
+        const defaultDepthRatio = objectInfo.depth_ratio
+            || (objectInfo.avg_depth && objectInfo.avg_width ? objectInfo.avg_depth / objectInfo.avg_width : 1);
+        const shape = override.shape || objectInfo.shape;
+        return {
+            shape,
+            depthRatio: override.depthRatio || defaultDepthRatio,
+            // A depth ratio the user set by hand wins over a measured height
+            hasDepthOverride: !!override.depthRatio,
+            fillLevel: override.fillLevel !== undefined
+                ? override.fillLevel
+                : (objectInfo.fill_level !== undefined ? objectInfo.fill_level : this.DEFAULT_FILL_LEVEL),
+            // An absolute thickness only makes sense for the shape it was measured for
+            thickness: shape === objectInfo.shape ? objectInfo.thickness || null : null,
+            elongated: !!objectInfo.elongated
+        };
+    }
+
+    // servingVolume (cm^3): one standard serving of the class, or null when it is not food
+    estimate(detection, calibrationStatus, servingVolume = null) {
+        const objectInfo = this.OBJECT_DATABASE[detection.class];
+        if (!objectInfo) {
+            return {
+                volume: null,
+                realWidth: null,
+                realHeight: null,
+                mode: null,
+                isAssumed: false,
+                error: "Object not in database"
+            };
+        }
+
+        const override = detection.trackId !== undefined ? this.overrides.get(detection.trackId) : undefined;
+        const profile = this.getShapeProfile(objectInfo, override);
+
+        let result = calibrationStatus.isCalibrated
+            ? this.estimateCalibrated(detection, objectInfo, calibrationStatus.mmPerPixel, profile,
+                calibrationStatus.plane, objectInfo.container ? null : calibrationStatus.depthAnchor)
+            : this.estimateAssumed(objectInfo, profile, !!override, servingVolume);
+        result = { ...result, shape: profile.shape, fillLevel: profile.fillLevel, isOverridden: !!override };
+
+        return objectInfo.container
+            ? this.estimateContainer(objectInfo, profile, result)
+            : { ...result, isContainer: false, capacity: null };
+    }
+
+    isContainer(className) {
+        const objectInfo = this.OBJECT_DATABASE[className];
+        return !!(objectInfo && objectInfo.container);
+    }
+
+    // A vessel's volume is what it holds: capacity is the full interior, volume the
+    // part filled to fillLevel (the bowl shape already applies the fill level itself)
+    estimateContainer(objectInfo, profile, result) {
+        const capacity = this.computeVolume(objectInfo, result.realWidth, result.realHeight, { ...profile, fillLevel: 1 })
+            * this.INTERIOR_VOLUME_RATIO;
+        const contents = profile.shape === 'bowl'
+            ? result.volume * this.INTERIOR_VOLUME_RATIO
+            : capacity * profile.fillLevel;
+
+        return {
+            ...result,
+            volume: parseFloat(contents.toFixed(2)),
+            capacity: parseFloat(capacity.toFixed(2)),
+            isContainer: true
+        };
+    }
+
+    // A segmentation mask measures the object itself: its extents along the principal
+    // axes replace the bbox sides, and its share of that rectangle is the footprint.
+    // With a table plane the footprint is measured in millimetres on the plane instead,
+    // so a tilted camera no longer shrinks objects farther from the lens.
+    // With a depth anchor the object's height comes from the depth map instead of the depth ratio.
+    estimateCalibrated(detection, objectInfo, mmPerPixel, profile = this.getShapeProfile(objectInfo), plane = null, depthAnchor = null) {
+        const { realWidth, realHeight, footprint, isRectified } = this.measureFootprint(detection, mmPerPixel, profile, plane);
+
+        const isDepthShape = this.DEPTH_SHAPES.includes(profile.shape) || !this.SHAPES.includes(profile.shape);
+        const measuredHeight = depthAnchor && isDepthShape && !profile.hasDepthOverride
+            ? this.measureHeight(detection.depthSample, depthAnchor, mmPerPixel, Math.max(realWidth, realHeight))
+            : null;
+
+        let measuredProfile = footprint ? { ...profile, footprint } : profile;
+        if (measuredHeight) {
+            measuredProfile = { ...measuredProfile, measuredDepth: measuredHeight };
+        }
+        const volume = this.computeVolume(objectInfo, realWidth, realHeight, measuredProfile);
+
+        return {
+            volume: parseFloat(volume.toFixed(2)),
+            realWidth: parseFloat(realWidth.toFixed(2)),
+            realHeight: parseFloat(realHeight.toFixed(2)),
+            mode: this.MODES.CALIBRATED,
+            isAssumed: false,
+            isSegmented: !!detection.mask,
+            isRectified,
+            isDepthMeasured: !!measuredHeight,
+            measuredHeight: measuredHeight ? parseFloat(measuredHeight.toFixed(2)) : null,
+            error: null
+        };
+    }
+
+    // Real-world extents in mm and the footprint share of them (null without a mask)
+    measureFootprint(detection, mmPerPixel, profile, plane = null) {
+        const mask = detection.mask || null;
+        const rectified = plane && this.FOOTPRINT_SHAPES.includes(profile.shape)
+            ? this.measureOnPlane(detection, plane.homography)
+            : null;
+
+        if (rectified) {
+            return {
+                realWidth: rectified.width,
+                realHeight: rectified.height,
+                footprint: mask ? rectified.footprint : null,
+                isRectified: true
+            };
+        }
+        const size = mask || detection.bbox;
+        return {
+            realWidth: size.width * mmPerPixel,
+            realHeight: size.height * mmPerPixel,
+            footprint: mask ? mask.fillRatio : null,
+            isRectified: false
+        };
+    }
+
+    // Footprint from a top-down photo and the height seen in a side photo of the same object.
+    // Upright cylinders and cones take the top view's width as their diameter; every other
+    // shape takes the side height where it would otherwise assume a depth.
+    estimateTwoView(detection, calibrationStatus, height) {
+        const objectInfo = this.OBJECT_DATABASE[detection.class];
+        if (!objectInfo || !calibrationStatus.isCalibrated || !(height > 0)) {
+            return null;
+        }
+
+        const override = detection.trackId !== undefined ? this.overrides.get(detection.trackId) : undefined;
+        const profile = this.getShapeProfile(objectInfo, override);
+        const { realWidth, realHeight, footprint, isRectified } = this.measureFootprint(
+            detection, calibrationStatus.mmPerPixel, profile, calibrationStatus.plane);
+
+        // Upright shapes report diameter and height, like a single view from the side would
+        const isUpright = profile.shape === 'cylinder' || profile.shape === 'cone';
+        const width = isUpright ? Math.min(realWidth, realHeight) : realWidth;
+        const length = isUpright ? height : realHeight;
+        const measuredProfile = isUpright
+            ? profile
+            : { ...profile, measuredDepth: height, ...(footprint ? { footprint } : {}) };
+        const volume = this.computeVolume(objectInfo, width, length, measuredProfile);
+
+        const result = {
+            volume: parseFloat(volume.toFixed(2)),
+            realWidth: parseFloat(width.toFixed(2)),
+            realHeight: parseFloat(length.toFixed(2)),
+            measuredHeight: parseFloat(height.toFixed(2)),
+            mode: this.MODES.TWO_VIEW,
+            isAssumed: false,
+            isSegmented: !!detection.mask,
+            isRectified,
+            shape: profile.shape,
+            fillLevel: profile.fillLevel,
+            error: null
+        };
+        return objectInfo.container
+            ? this.estimateContainer(objectInfo, measuredProfile, result)
+            : { ...result, isContainer: false, capacity: null };
+    }
+
+    // Height in mm of the object's top above the surrounding table. The model's inverse depth
+    // is proportional to 1/distance with an unknown scale per map; the reference lies on the
+    // table at focalLength * mmPerPixel mm from the camera, which fixes the scale for its map.
+    // Returns null when the sample comes from another map or the result is implausible.
+    measureHeight(sample, depthAnchor, mmPerPixel, realSize) {
+        if (!sample || sample.mapTimestamp !== depthAnchor.mapTimestamp
+            || !(sample.top > 0) || !(sample.table > 0) || !(depthAnchor.disparity > 0)) {
+            return null;
+        }
+
+        const scale = sample.focalLength * mmPerPixel * depthAnchor.disparity;
+        const height = scale / sample.table - scale / sample.top;
+        if (height < this.MIN_MEASURED_HEIGHT || height > realSize * this.MAX_HEIGHT_RATIO) {
+            return null;
+        }
+        return height;
+    }
+
+    // Map the mask outline (or the bbox corners) onto the plane and measure it there in mm:
+    // extents along the principal axes, width being the one nearer the plane's x axis
+    measureOnPlane(detection, homography) {
+        const { x, y, width, height } = detection.bbox;
+        const outline = detection.mask && detection.mask.outline.length >= 3
+            ? detection.mask.outline
+            : [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+
+        const points = outline.map(point => applyHomography(homography, point));
+        if (points.some(point => point === null)) {
+            return null;
+        }
+
+        let area = 0;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        area = Math.abs(area) / 2;
+
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        let sxx = 0;
+        let syy = 0;
+        let sxy = 0;
+        for (const point of points) {
+            sxx += (point.x - meanX) * (point.x - meanX);
+            syy += (point.y - meanY) * (point.y - meanY);
+            sxy += (point.x - meanX) * (point.y - meanY);
+        }
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const extent = values => Math.max(...values) - Math.min(...values);
+        const major = extent(points.map(point => point.x * cos + point.y * sin));
+        const minor = extent(points.map(point => -point.x * sin + point.y * cos));
+
+        const isMajorAlongX = Math.abs(cos) >= Math.abs(sin);
+        const realWidth = isMajorAlongX ? major : minor;
+        const realHeight = isMajorAlongX ? minor : major;
+        if (!(realWidth > 0) || !(realHeight > 0)) {
+            return null;
+        }
+        return {
+            width: realWidth,
+            height: realHeight,
+            footprint: Math.min(1, area / (realWidth * realHeight))
+        };
+    }
+
+    // No reference object: assume one standard serving for food, the class-average size otherwise.
+    // A user shape override replaces the serving with the class-average geometry so the edit shows.
+    estimateAssumed(objectInfo, profile = this.getShapeProfile(objectInfo), isOverridden = false, servingVolume = null) {
+        const realWidth = objectInfo.avg_diameter || objectInfo.avg_width;
+        const realHeight = objectInfo.avg_height || objectInfo.avg_diameter;
+        const useServing = servingVolume !== null && !isOverridden;
+        const volume = useServing
+            ? servingVolume
+            : this.computeVolume(objectInfo, realWidth, realHeight, profile);
+
+        return {
+            volume: parseFloat(volume.toFixed(2)),
+            realWidth: parseFloat(realWidth.toFixed(2)),
+            realHeight: parseFloat(realHeight.toFixed(2)),
+            mode: useServing ? this.MODES.STANDARD_SERVING : this.MODES.CLASS_AVERAGE,
+            isAssumed: true,
+            isSegmented: false,
+            isRectified: false,
+            isDepthMeasured: false,
+            measuredHeight: null,
+            error: null
+        };
+    }
+
+    // Volume in cm^3 from real-world width/height in mm.
+    // profile.measuredDepth (mm), when present, is the height above the table from a depth map.
+    computeVolume(objectInfo, realWidth, realHeight, profile = this.getShapeProfile(objectInfo)) {
+        let volume = 0;
+
+        // A lying banana or knife has a wide bbox; measure along its own long axis instead
+        let width = realWidth;
+        let height = realHeight;
+        if (profile.elongated) {
+            width = Math.min(realWidth, realHeight);
+            height = Math.max(realWidth, realHeight);
+        }
+
+        const w = width / 10; // Convert mm to cm
+        const h = height / 10;
+        const measuredDepth = profile.measuredDepth ? profile.measuredDepth / 10 : null;
+        const depth = measuredDepth || w * profile.depthRatio;
+
+        switch (profile.shape) {
+            case 'sphere':
+                // V = 4/3 * pi * r^3; a measured height turns it into an ellipsoid
+                volume = measuredDepth
+                    ? (4 / 3) * Math.PI * (w / 2) * (h / 2) * (measuredDepth / 2)
+                    : (4 / 3) * Math.PI * Math.pow(w / 2, 3);
+                break;
+            case 'ellipsoid':
+                // V = 4/3 * pi * a * b * c, with the unseen semi-axis from the depth ratio
+                volume = (4 / 3) * Math.PI * (w / 2) * (h / 2) * (depth / 2);
+                break;
+            case 'cylinder':
+                // V = pi * r^2 * h
+                volume = Math.PI * Math.pow(w / 2, 2) * h;
+                break;
+            case 'cone':
+                // V = 1/3 * pi * r^2 * h
+                volume = (1 / 3) * Math.PI * Math.pow(w / 2, 2) * h;
+                break;
+            case 'hemisphere':
+                // V = 2/3 * pi * r^3; with a measured height, half an ellipsoid of that height
+                volume = measuredDepth
+                    ? (2 / 3) * Math.PI * (w / 2) * (h / 2) * measuredDepth
+                    : (2 / 3) * Math.PI * Math.pow(w / 2, 3);
+                break;
+            case 'box':
+                // Depth keeps the class's typical depth-to-width proportion
+                volume = w * h * depth;
+                break;
+            case 'flat-slice': {
+                // Seen from above: footprint times a thin, roughly constant thickness.
+                // A mask knows the real footprint; the bbox alone assumes a wedge.
+                const thickness = measuredDepth || (profile.thickness ? profile.thickness / 10 : depth);
+                volume = w * h * (profile.footprint || this.SLICE_FOOTPRINT) * thickness;
+                break;
+            }
+            case 'bowl': {
+                // Contents of a spherical-cap bowl (rim radius a, inner depth d) filled to fillLevel:
+                // sphere radius R = (a^2 + d^2) / 2d, liquid cap of height f*d has V = pi * f^2 * (3R - f) / 3
+                const rimRadius = w / 2;
+                const fill = Math.max(0, Math.min(1, profile.fillLevel)) * depth;
+                const sphereRadius = (rimRadius * rimRadius + depth * depth) / (2 * depth);
+                volume = Math.PI * fill * fill * (3 * sphereRadius - fill) / 3;
+                break;
+            }
+            default:
+                // Fallback for undefined shapes: rough box volume
+                // This is a very rough approximation.
+                const roughDepth = profile.measuredDepth || (realWidth + realHeight) / 2; // Rough depth estimate
+                volume = (realWidth / 10) * (realHeight / 10) * (roughDepth / 10);
+                break;
+        }
+
+        return volume;
+    }
+}
+
+// 영양 정보 제공자 설정 (window.NUTRITION_PROVIDER_CONFIG 로 덮어쓸 수 있음)
+const NUTRITION_PROVIDER_CONFIG = {
+    provider: 'bundled', // 'bundled' | 'mfds'
+    bundledUrl: 'data/nutrition-db.json',
+    mfds: {
+        // 로컬 목(mock) 서버를 가리키도록 변경 가능
+        baseUrl: 'https://apis.data.go.kr/1471000/FoodNtrCpntDbInfo02/getFoodNtrCpntDbInq02',
+        serviceKey: '',
+        timeout: 5000,
+        cacheTtl: 7 * 24 * 60 * 60 * 1000 // 7 days
+    }
+};
+
+class IndexedDBStore {
+    constructor(dbName, storeName, version = 1) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    put(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+}
+
+// Base interface for nutrition data sources.
+// getNutrition() resolves to { className, nameKo, nameEn, calories, carbs, protein, fat, source }
+// with values per 100 g, or null when the class is not a known food.
+class NutritionProvider {
+    async load() {
+        return true;
+    }
+
+    async getNutrition(className) {
+        throw new Error(`getNutrition() not implemented for ${className}`);
+    }
+
+    // A class is food exactly when the provider recognizes it
+    async isFood(className) {
+        return (await this.getNutrition(className)) !== null;
+    }
+}
+
+class BundledNutritionProvider extends NutritionProvider {
+    constructor(url = NUTRITION_PROVIDER_CONFIG.bundledUrl) {
+        super();
+        this.url = url;
+        this.foods = null;
+        this.loadPromise = null;
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load nutrition dataset: HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(dataset => {
+                    this.foods = dataset.foods || {};
+                    return true;
+                });
+            // A failed load stays failed: lookups fail fast instead of refetching every frame
+            this.loadPromise.catch(error => console.warn('Bundled nutrition dataset unavailable:', error.message));
+        }
+        return this.loadPromise;
+    }
+
+    async getNutrition(className) {
+        await this.load();
+        const food = this.foods[className];
+        if (!food) {
+            return null;
+        }
+        return { className, ...food, source: 'bundled' };
+    }
+}
+
+// Adapter for the MFDS (식품의약품안전처) food composition API.
+// Results, including negative ones, are cached in IndexedDB; the bundled dataset
+// is used whenever the API cannot be reached.
+class MfdsNutritionProvider extends NutritionProvider {
+    constructor(options = {}, fallbackProvider = new BundledNutritionProvider()) {
+        super();
+        this.options = { ...NUTRITION_PROVIDER_CONFIG.mfds, ...options };
+        this.fallback = fallbackProvider;
+        this.cache = new IndexedDBStore('calorie-estimator-nutrition', 'mfds');
+
+        // header.resultCode of a normal response; errors such as a missing or invalid
+        // serviceKey still come back as HTTP 200 with another code
+        this.SUCCESS_CODE = '00';
+
+        // Response field -> nutrient (values are per 100 g)
+        this.FIELD_MAP = {
+            calories: 'AMT_NUM1',
+            protein: 'AMT_NUM3',
+            fat: 'AMT_NUM4',
+            carbs: 'AMT_NUM6'
+        };
+    }
+
+    load() {
+        // The fallback also provides the Korean query names for detector labels
+        return this.fallback.load();
+    }
+
+    async getNutrition(className) {
+        const cached = await this.readCache(className);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const bundled = await this.fallback.getNutrition(className);
+
+        try {
+            const queryName = bundled ? bundled.nameKo : className;
+            const nutrition = await this.fetchNutrition(className, queryName, bundled);
+            await this.writeCache(className, nutrition);
+            return nutrition;
+        } catch (error) {
+            console.warn(`MFDS API unavailable for "${className}", using bundled data:`, error.message);
+            return bundled;
+        }
+    }
+
+    // Falls back to the bundled record when the API has no match; null means neither knows the class
+    async fetchNutrition(className, queryName, bundled) {
+        const params = new URLSearchParams({
+            serviceKey: this.options.serviceKey,
+            FOOD_NM_KR: queryName,
+            type: 'json',
+            pageNo: '1',
+            numOfRows: '1'
+        });
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+
+        try {
+            const response = await fetch(`${this.options.baseUrl}?${params}`, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const header = data && data.header;
+            if (!header || header.resultCode !== this.SUCCESS_CODE) {
+                throw new Error(`API error ${header ? `${header.resultCode} ${header.resultMsg || ''}`.trim() : 'without a result code'}`);
+            }
+
+            const items = data.body && data.body.items;
+            const item = Array.isArray(items) ? items[0] : null;
+            if (!item) {
+                return bundled;
+            }
+
+            const nutrition = {
+                className,
+                nameKo: item.FOOD_NM_KR || queryName,
+                nameEn: bundled ? bundled.nameEn : className,
+                // The API has no serving sizes; keep the bundled one so the class stays a food serving
+                servingVolume: bundled ? bundled.servingVolume : undefined,
+                source: 'mfds'
+            };
+            for (const [nutrient, field] of Object.entries(this.FIELD_MAP)) {
+                const value = parseFloat(item[field]);
+                nutrition[nutrient] = Number.isFinite(value) ? value : 0;
+            }
+            return nutrition;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Resolves to undefined on a cache miss, so a cached null (not a food) is distinguishable
+    async readCache(className) {
+        try {
+            const entry = await this.cache.get(className);
+            if (entry && Date.now() - entry.timestamp < this.options.cacheTtl) {
+                return entry.nutrition;
+            }
+        } catch (error) {
+            console.warn('Nutrition cache read failed:', error);
+        }
+        return undefined;
+    }
+
+    async writeCache(className, nutrition) {
+        try {
+            await this.cache.put(className, { nutrition, timestamp: Date.now() });
+        } catch (error) {
+            console.warn('Nutrition cache write failed:', error);
+        }
+    }
+}
+
+function createNutritionProvider(config = NUTRITION_PROVIDER_CONFIG) {
+    const bundled = new BundledNutritionProvider(config.bundledUrl);
+    if (config.provider === 'mfds') {
+        return new MfdsNutritionProvider(config.mfds, bundled);
+    }
+    return bundled;
+}
+
+// Food with a calorie estimate: what counts toward totals and can be logged as eaten
+function isFoodEstimate(detection) {
+    return !!detection.nutrition
+        && detection.nutrition.category === 'food'
+        && detection.nutrition.calories !== null;
+}
+
+class CalorieEstimator {
+    constructor(nutritionProvider = new BundledNutritionProvider()) {
+        this.nutritionProvider = nutritionProvider;
+
+        // className -> nutrition record (null for non-food), filled asynchronously from the provider
+        this.nutritionByClass = new Map();
+        this.pendingLookups = new Map(); // className -> lookup promise
+        this.failedLookups = new Set(); // classes the provider could not answer; not retried
+
+        // Average bulk density of each food class in g/cm^3.
+        // Only converts volume to weight: whether a class is food is up to the provider.
+        // Bulk rather than solid density, because volumes come from the bbox and include air gaps.
+        this.FOOD_DENSITY = {
+            'apple': 0.8,
+            'banana': 0.94,
+            'orange': 0.87,
+            'broccoli': 0.37,
+            'carrot': 1.0,
+            'sandwich': 0.5,
+            'hot dog': 0.7,
+            'pizza': 0.6,
+            'donut': 0.35,
+            'cake': 0.5,
+            // Dishes named by the crop classifier; soups and stews are mostly broth
+            'kimchi_jjigae': 1.0,
+            'doenjang_jjigae': 1.0,
+            'sundubu_jjigae': 1.0,
+            'samgyetang': 1.0,
+            'ramyeon': 0.95,
+            'naengmyeon': 0.95,
+            'jjamppong': 0.95
+        };
+        this.DEFAULT_FOOD_DENSITY = 0.7;
+
+        // What an empty-looking cup or bowl may hold, chosen by the user; nutrition per 100 g.
+        // Density in g/cm^3 (bulk density for rice).
+        this.CONTAINER_CONTENTS = {
+            'soup': { nameKo: '국/수프', nameEn: 'soup', density: 1.0, calories: 30, carbs: 3.0, protein: 2.0, fat: 1.0 },
+            'rice': { nameKo: '밥', nameEn: 'cooked rice', density: 0.85, calories: 143, carbs: 31.2, protein: 2.7, fat: 0.3 },
+            'coffee': { nameKo: '커피', nameEn: 'black coffee', density: 1.0, calories: 2, carbs: 0.3, protein: 0.1, fat: 0 },
+            'water': { nameKo: '물', nameEn: 'water', density: 1.0, calories: 0, carbs: 0, protein: 0, fat: 0 }
+        };
+
+        // Materials used for the theoretical energy of non-food objects.
+        // kcalPerGram is the theoretical energy content, composition the share of each component by weight.
+        this.MATERIALS = {
+            'cellulose': { name: '종이(셀룰로스)', density: 0.8, kcalPerGram: 4.0, composition: { cellulose: 1.0 } },
+            'wood': { name: '목재', density: 0.6, kcalPerGram: 4.3, composition: { cellulose: 0.7, lignin: 0.3 } },
+            'plant matter': { name: '식물(셀룰로스, 수분)', density: 0.5, kcalPerGram: 1.0, composition: { water: 0.75, cellulose: 0.25 } },
+            'fabric': { name: '섬유', density: 0.3, kcalPerGram: 4.0, composition: { cellulose: 0.6, polyester: 0.4 } },
+            'polyethylene': { name: '플라스틱(폴리에틸렌)', density: 0.95, kcalPerGram: 11.0, composition: { polyethylene: 1.0 } },
+            'rubber': { name: '고무', density: 1.1, kcalPerGram: 10.0, composition: { rubber: 1.0 } },
+            'organic matter': { name: '유기물(단백질, 지방 혼합)', density: 1.05, kcalPerGram: 2.07, composition: { water: 0.65, protein: 0.18, fat: 0.15, minerals: 0.02 } },
+            'electronics': { name: '전자제품(플라스틱, 금속 혼합)', density: 0.5, kcalPerGram: 3.3, composition: { plastic: 0.3, metal: 0.5, glass: 0.2 } },
+            'glass': { name: '유리', density: 2.5, kcalPerGram: 0, composition: { glass: 1.0 } },
+            'ceramic': { name: '도자기', density: 2.4, kcalPerGram: 0, composition: { ceramic: 1.0 } },
+            'metal': { name: '금속', density: 7.8, kcalPerGram: 0, composition: { metal: 1.0 } }
+        };
+
+        // Object -> material mapping for the non-food COCO classes.
+        this.OBJECT_MATERIAL_MAP = {
+            'person': 'organic matter', 'bird': 'organic matter', 'cat': 'organic matter',
+            'dog': 'organic matter', 'horse': 'organic matter', 'sheep': 'organic matter',
+            'cow': 'organic matter', 'elephant': 'organic matter', 'bear': 'organic matter',
+            'zebra': 'organic matter', 'giraffe': 'organic matter',
+            'book': 'cellulose', 'kite': 'fabric',
+            'chair': 'wood', 'bench': 'wood', 'dining table': 'wood', 'baseball bat': 'wood',
+            'skis': 'wood', 'skateboard': 'wood',
+            'couch': 'fabric', 'bed': 'fabric', 'teddy bear': 'fabric', 'umbrella': 'fabric',
+            'handbag': 'fabric', 'backpack': 'fabric', 'suitcase': 'fabric', 'tie': 'fabric',
+            'baseball glove': 'organic matter',
+            'bottle': 'polyethylene', 'toothbrush': 'polyethylene', 'frisbee': 'polyethylene',
+            'surfboard': 'polyethylene', 'snowboard': 'polyethylene', 'tennis racket': 'polyethylene',
+            'sports ball': 'rubber',
+            'potted plant': 'plant matter',
+            'tv': 'electronics', 'laptop': 'electronics', 'mouse': 'electronics', 'remote': 'electronics',
+            'keyboard': 'electronics', 'cell phone': 'electronics', 'microwave': 'electronics',
+            'oven': 'electronics', 'toaster': 'electronics', 'refrigerator': 'electronics',
+            'hair drier': 'electronics', 'clock': 'electronics',
+            'wine glass': 'glass',
+            'cup': 'ceramic', 'bowl': 'ceramic', 'vase': 'ceramic', 'sink': 'ceramic', 'toilet': 'ceramic',
+            'fork': 'metal', 'knife': 'metal', 'spoon': 'metal', 'scissors': 'metal',
+            'bicycle': 'metal', 'car': 'metal', 'motorcycle': 'metal', 'airplane': 'metal',
+            'bus': 'metal', 'train': 'metal', 'truck': 'metal', 'boat': 'metal',
+            'traffic light': 'metal', 'fire hydrant': 'metal', 'stop sign': 'metal', 'parking meter': 'metal'
+        };
+        this.DEFAULT_MATERIAL = 'organic matter';
+    }
+
+    // Returns the cached record, null for non-food, or undefined while the lookup is in flight.
+    // Detection runs every frame, so provider lookups never block estimate().
+    getNutrition(className) {
+        if (this.nutritionByClass.has(className)) {
+            return this.nutritionByClass.get(className);
+        }
+
+        this.lookup(className);
+        return undefined;
+    }
+
+    // Starts (or joins) the provider lookup for a class; resolves once it is cached
+    lookup(className) {
+        if (this.nutritionByClass.has(className) || this.failedLookups.has(className)) {
+            return Promise.resolve();
+        }
+        if (!this.pendingLookups.has(className)) {
+            // The provider reports its own failure once; the class just stays without nutrition
+            const pending = this.nutritionProvider.getNutrition(className)
+                .then(nutrition => {
+                    this.nutritionByClass.set(className, nutrition);
+                })
+                .catch(() => {
+                    this.failedLookups.add(className);
+                })
+                .finally(() => {
+                    this.pendingLookups.delete(className);
+                });
+            this.pendingLookups.set(className, pending);
+        }
+        return this.pendingLookups.get(className);
+    }
+
+    // Food exactly when the provider has a record for the class; false until it has answered
+    isFoodClass(className) {
+        const nutrition = this.getNutrition(className);
+        return nutrition !== undefined && nutrition !== null;
+    }
+
+    // One standard serving in cm^3 from the nutrition record, or null (not food, or not known yet)
+    getServingVolume(className) {
+        const nutrition = this.getNutrition(className);
+        return nutrition && nutrition.servingVolume !== undefined ? nutrition.servingVolume : null;
+    }
+
+    // Resolve lookups ahead of time so estimate() is complete from the first frame
+    async preload(classNames) {
+        await Promise.all([...new Set(classNames)].map(className => this.lookup(className)));
+    }
+
+    // Turn a detection and its volume estimate into weight, kcal and macros
+    estimate(detection, volumeResult) {
+        const nutrition = this.getNutrition(detection.class);
+        if (nutrition === undefined) {
+            return this.emptyResult('unknown', this.failedLookups.has(detection.class)
+                ? 'Nutrition data unavailable'
+                : 'Nutrition lookup pending');
+        }
+
+        const category = nutrition ? 'food' : 'object';
+
+        if (!volumeResult || volumeResult.volume === null) {
+            return this.emptyResult(category, volumeResult && volumeResult.error ? volumeResult.error : 'No volume estimate', nutrition);
+        }
+
+        return category === 'food'
+            ? this.estimateFood(detection.class, volumeResult.volume, nutrition)
+            : this.estimateObject(detection.class, volumeResult.volume);
+    }
+
+    // Contents of a container with no food detected inside, from the user's content choice
+    estimateContents(contentType, volume) {
+        const contents = this.CONTAINER_CONTENTS[contentType];
+        if (!contents) {
+            return this.emptyResult('container', 'Container contents not selected');
+        }
+        if (volume === null) {
+            return this.emptyResult('container', 'No volume estimate');
+        }
+
+        const weight = volume * contents.density;
+        const factor = weight / 100;
+        return {
+            category: 'food',
+            weight: this.round(weight),
+            calories: this.round(contents.calories * factor),
+            carbs: this.round(contents.carbs * factor),
+            protein: this.round(contents.protein * factor),
+            fat: this.round(contents.fat * factor),
+            material: null,
+            materialName: null,
+            composition: null,
+            isTheoretical: false,
+            displayName: { ko: contents.nameKo, en: contents.nameEn },
+            source: 'container-contents',
+            contentType,
+            error: null
+        };
+    }
+
+    emptyResult(category, error, nutrition = null) {
+        return {
+            category,
+            weight: null,
+            calories: null,
+            carbs: null,
+            protein: null,
+            fat: null,
+            material: null,
+            materialName: null,
+            composition: null,
+            isTheoretical: category === 'object',
+            displayName: nutrition ? { ko: nutrition.nameKo, en: nutrition.nameEn } : null,
+            source: nutrition ? nutrition.source : null,
+            error
+        };
+    }
+
+    estimateFood(className, volume, nutrition) {
+        const density = this.FOOD_DENSITY[className] || this.DEFAULT_FOOD_DENSITY;
+        const weight = volume * density; // grams
+        const factor = weight / 100; // nutrition facts are per 100 g
+
+        return {
+            category: 'food',
+            weight: this.round(weight),
+            calories: this.round(nutrition.calories * factor),
+            carbs: this.round(nutrition.carbs * factor),
+            protein: this.round(nutrition.protein * factor),
+            fat: this.round(nutrition.fat * factor),
+            material: null,
+            materialName: null,
+            composition: null,
+            isTheoretical: false,
+            displayName: { ko: nutrition.nameKo, en: nutrition.nameEn },
+            source: nutrition.source,
+            error: null
+        };
+    }
+
+    // Theoretical energy path: the object is treated as a lump of its main material
+    estimateObject(className, volume) {
+        const materialKey = this.OBJECT_MATERIAL_MAP[className] || this.DEFAULT_MATERIAL;
+        const material = this.MATERIALS[materialKey];
+        const weight = volume * material.density; // grams
+
+        return {
+            category: 'object',
+            weight: this.round(weight),
+            calories: this.round(weight * material.kcalPerGram),
+            carbs: null,
+            protein: null,
+            fat: null,
+            material: materialKey,
+            materialName: material.name,
+            composition: { ...material.composition },
+            isTheoretical: true,
+            displayName: null,
+            source: null,
+            error: null
+        };
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+// Aggregates per-track estimates over a sliding window so a few pixels of bbox jitter
+// do not swing the cubic volume formulas
+class EstimateSmoother {
+    constructor() {
+        this.WINDOW_SIZE = 15;
+        // Samples further than this many scaled MADs from the median are rejected
+        this.OUTLIER_MAD_THRESHOLD = 3;
+        // Uncertainty range reported as these percentiles of the inliers
+        this.LOW_PERCENTILE = 0.1;
+        this.HIGH_PERCENTILE = 0.9;
+        this.ENTRY_TTL = 5000; // ms without updates before a track's window is dropped
+
+        this.METRICS = ['realWidth', 'realHeight', 'volume', 'weight', 'calories', 'carbs', 'protein', 'fat'];
+        this.entries = new Map(); // trackId -> { mode, updatedAt, samples: { metric: [] } }
+    }
+
+    // Returns { metric: { value, low, high, samples } | null } for the given track
+    smooth(trackId, mode, values, timestamp = performance.now()) {
+        let entry = this.entries.get(trackId);
+
+        // Calibrated and assumed estimates are not comparable; start over when the mode changes
+        if (!entry || entry.mode !== mode) {
+            entry = { mode, updatedAt: timestamp, samples: {} };
+            this.METRICS.forEach(metric => {
+                entry.samples[metric] = [];
+            });
+            this.entries.set(trackId, entry);
+        }
+        entry.updatedAt = timestamp;
+
+        const smoothed = {};
+        for (const metric of this.METRICS) {
+            const window = entry.samples[metric];
+            const value = values[metric];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                window.push(value);
+                if (window.length > this.WINDOW_SIZE) {
+                    window.shift();
+                }
+            }
+            smoothed[metric] = this.aggregate(window);
+        }
+
+        this.prune(timestamp);
+        return smoothed;
+    }
+
+    aggregate(window) {
+        if (window.length === 0) {
+            return null;
+        }
+
+        const sorted = [...window].sort((a, b) => a - b);
+        const median = this.percentile(sorted, 0.5);
+
+        // Median absolute deviation, scaled to be comparable to a standard deviation
+        const deviations = sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+        const mad = this.percentile(deviations, 0.5) * 1.4826;
+        const inliers = mad > 0
+            ? sorted.filter(value => Math.abs(value - median) <= this.OUTLIER_MAD_THRESHOLD * mad)
+            : sorted.filter(value => value === median);
+
+        return {
+            value: this.percentile(inliers, 0.5),
+            low: this.percentile(inliers, this.LOW_PERCENTILE),
+            high: this.percentile(inliers, this.HIGH_PERCENTILE),
+            samples: window.length
+        };
+    }
+
+    // Linear interpolation between closest ranks; expects a sorted array
+    percentile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    prune(timestamp) {
+        for (const [trackId, entry] of this.entries) {
+            if (timestamp - entry.updatedAt > this.ENTRY_TTL) {
+                this.entries.delete(trackId);
+            }
+        }
+    }
+
+    // Drop a track's history, e.g. after the user corrected its shape
+    forget(trackId) {
+        this.entries.delete(trackId);
+    }
+
+    reset() {
+        this.entries.clear();
+    }
+}
+
+// Calibration -> volume -> calories -> smoothing for one frame's tracked detections.
+// Shared by the live camera view and headless runs.
+class EstimationChain {
+    constructor(components = {}) {
+        this.calibrationController = components.calibrationController || new CalibrationController();
+        this.volumeEstimator = components.volumeEstimator || new VolumeEstimator();
+        this.calorieEstimator = components.calorieEstimator || new CalorieEstimator();
+        this.estimateSmoother = components.estimateSmoother || new EstimateSmoother();
+
+        // Food counts as inside a container when this share of its box overlaps the container's
+        this.CONTAINMENT_THRESHOLD = 0.6;
+        // Contents of containers with no food detected in them: a default, and per-track choices
+        this.defaultContent = 'none';
+        this.containerContents = new Map(); // trackId -> content type
+    }
+
+    setDefaultContent(contentType) {
+        this.defaultContent = contentType;
+    }
+
+    // contentType null falls back to the default again
+    setContainerContent(trackId, contentType) {
+        if (contentType) {
+            this.containerContents.set(trackId, contentType);
+        } else {
+            this.containerContents.delete(trackId);
+        }
+    }
+
+    getContainerContent(detection) {
+        return this.containerContents.get(detection.trackId) || this.defaultContent;
+    }
+
+    // The dish named by the second-stage classifier, when it is confident and has nutrition data
+    getDishClass(detection) {
+        const dish = detection.dish;
+        if (!dish || !dish.isConfident) {
+            return null;
+        }
+        return this.calorieEstimator.getNutrition(dish.label) ? dish.label : null;
+    }
+
+    // A still image passes its own CalibrationController, since its reference objects differ.
+    // timestamp (ms) drives the smoothing windows; headless runs pass the frame's own time.
+    analyze(detections, calibrationController = this.calibrationController, timestamp = performance.now()) {
+        // Reference objects in this frame are applied before anything is measured
+        calibrationController.update(detections);
+        const calibrationStatus = calibrationController.getStatus();
+
+        const volumes = detections.map(detection => this.volumeEstimator.estimate(
+            detection, calibrationStatus, this.calorieEstimator.getServingVolume(detection.class)));
+        const containerOf = this.associateContainers(detections, volumes);
+        this.boundByContainers(volumes, containerOf);
+
+        const containedCounts = new Map();
+        for (const containerIndex of containerOf.values()) {
+            containedCounts.set(containerIndex, (containedCounts.get(containerIndex) || 0) + 1);
+        }
+
+        return detections.map((detection, index) => {
+            const volume = volumes[index];
+            let dishClass = this.getDishClass(detection);
+            let nutrition;
+            if (!volume.isContainer) {
+                nutrition = this.calorieEstimator.estimate({ ...detection, class: dishClass || detection.class }, volume);
+            } else if (containedCounts.has(index)) {
+                // The food inside carries the calories; the vessel itself adds none
+                dishClass = null;
+                nutrition = this.calorieEstimator.emptyResult('container', 'Contents detected separately');
+            } else if (dishClass && !this.containerContents.has(detection.trackId)) {
+                // A recognised dish fills the vessel; an explicit content choice still wins
+                nutrition = this.calorieEstimator.estimate({ ...detection, class: dishClass }, volume);
+            } else {
+                dishClass = null;
+                nutrition = this.calorieEstimator.estimateContents(this.getContainerContent(detection), volume.volume);
+            }
+            nutrition.containedCount = containedCounts.get(index) || 0;
+
+            // Smoothed value and uncertainty range over the track's recent estimates.
+            // A new dish name restarts the window like a new volume mode does.
+            const smoothed = detection.trackId !== undefined
+                ? this.estimateSmoother.smooth(detection.trackId, `${volume.mode}:${dishClass || detection.class}`, {
+                    realWidth: volume.realWidth,
+                    realHeight: volume.realHeight,
+                    volume: volume.volume,
+                    weight: nutrition.weight,
+                    calories: nutrition.calories,
+                    carbs: nutrition.carbs,
+                    protein: nutrition.protein,
+                    fat: nutrition.fat
+                }, timestamp)
+                : null;
+
+            const container = containerOf.has(index) ? detections[containerOf.get(index)] : null;
+            const containedIn = container
+                ? { class: container.class, trackId: container.trackId !== undefined ? container.trackId : null }
+                : null;
+
+            return { ...detection, volume, nutrition, smoothed, containedIn, dishClass };
+        });
+    }
+
+    // Map of food index -> index of the container holding it (largest overlap wins)
+    associateContainers(detections, volumes) {
+        const containerIndices = volumes
+            .map((volume, index) => (volume.isContainer ? index : -1))
+            .filter(index => index >= 0);
+        const containerOf = new Map();
+        if (containerIndices.length === 0) {
+            return containerOf;
+        }
+
+        detections.forEach((detection, index) => {
+            if (volumes[index].isContainer || !this.calorieEstimator.isFoodClass(detection.class)) {
+                return;
+            }
+
+            const area = detection.bbox.width * detection.bbox.height;
+            let bestOverlap = this.CONTAINMENT_THRESHOLD;
+            for (const containerIndex of containerIndices) {
+                const overlap = intersectionArea(detection.bbox, detections[containerIndex].bbox) / area;
+                if (overlap >= bestOverlap) {
+                    bestOverlap = overlap;
+                    containerOf.set(index, containerIndex);
+                }
+            }
+        });
+        return containerOf;
+    }
+
+    // Food in a container cannot take more room than the container's interior
+    boundByContainers(volumes, containerOf) {
+        const foodsByContainer = new Map();
+        for (const [foodIndex, containerIndex] of containerOf) {
+            if (!foodsByContainer.has(containerIndex)) {
+                foodsByContainer.set(containerIndex, []);
+            }
+            foodsByContainer.get(containerIndex).push(foodIndex);
+        }
+
+        for (const [containerIndex, foodIndices] of foodsByContainer) {
+            const capacity = volumes[containerIndex].capacity;
+            const total = foodIndices.reduce((sum, index) => sum + (volumes[index].volume || 0), 0);
+            if (!capacity || total <= capacity) {
+                continue;
+            }
+
+            const scale = capacity / total;
+            for (const index of foodIndices) {
+                if (volumes[index].volume === null) continue;
+                volumes[index] = {
+                    ...volumes[index],
+                    volume: parseFloat((volumes[index].volume * scale).toFixed(2)),
+                    isBounded: true
+                };
+            }
+        }
+    }
+
+    reset() {
+        this.calibrationController.reset();
+        this.estimateSmoother.reset();
+        this.containerContents.clear();
+    }
+}
+
+// Combines a top-down photo and a side photo of the same plate. The top view's analysis
+// gives footprints and the single-view estimates; the side view is scaled by the same
+// reference object and gives each matched object its height.
+// The side photo must be taken from the same side of the table as the top photo's bottom
+// edge, so that left and right agree between the two views.
+class TwoViewEstimator {
+    constructor(estimationChain) {
+        this.estimationChain = estimationChain;
+        this.calibrationController = estimationChain.calibrationController;
+        this.volumeEstimator = estimationChain.volumeEstimator;
+
+        // Pairs costing more than this are left unmatched; the cost adds the horizontal offset
+        // from the reference (in object widths) and the log ratio of the two widths
+        this.MAX_MATCH_COST = 1.2;
+    }
+
+    // topResults: analyzed detections of the top view, with topStatus their calibration.
+    // sideDetections: raw detections of the side view.
+    // sideReferenceBox: for a manual top calibration, the user's box around the same object in the side view.
+    // Returns { sideCalibration, matchedCount, detections } where every top detection
+    // carries twoView: { volume, sideIndex, weight, calories, ... } or null.
+    combine(topResults, topStatus, sideDetections, sideReferenceBox = null) {
+        const sideCalibration = this.calibrateSide(topResults, topStatus, sideDetections, sideReferenceBox);
+        if (!sideCalibration) {
+            return { sideCalibration: null, matchedCount: 0, detections: topResults.map(detection => ({ ...detection, twoView: null })) };
+        }
+
+        const matches = this.matchViews(topResults, topStatus, sideDetections, sideCalibration);
+        const detections = topResults.map((detection, index) => {
+            const sideIndex = matches.get(index);
+            if (sideIndex === undefined) {
+                return { ...detection, twoView: null };
+            }
+            const side = sideDetections[sideIndex];
+            const height = (side.mask || side.bbox).height * sideCalibration.mmPerPixel;
+            const volume = this.volumeEstimator.estimateTwoView(detection, topStatus, height);
+            return { ...detection, twoView: volume ? { ...volume, ...this.scaleNutrition(detection, volume), sideIndex } : null };
+        });
+
+        return {
+            sideCalibration,
+            matchedCount: detections.filter(detection => detection.twoView).length,
+            detections
+        };
+    }
+
+    // The reference the top view was calibrated with, found again in the side view.
+    // The side view sees the reference edge-on, so only its horizontal extent is usable:
+    // the real length of the edge that ran left to right in the top view.
+    calibrateSide(topResults, topStatus, sideDetections, sideReferenceBox = null) {
+        if (topStatus.isManual) {
+            return this.calibrateSideManually(topStatus, sideReferenceBox);
+        }
+
+        const reference = topStatus.calibrationObject;
+        const refObject = this.calibrationController.REFERENCE_OBJECTS[reference];
+        if (!refObject) {
+            return null;
+        }
+
+        const isReference = detection => this.getReference(detection) === reference;
+        const topReference = this.pickMostConfident(topResults.filter(isReference));
+        const sideReference = this.pickMostConfident(sideDetections.filter(isReference));
+        if (!topReference || !sideReference || sideReference.bbox.width <= 0) {
+            return null;
+        }
+
+        let horizontalLength;
+        if (refObject.shape === 'circle') {
+            horizontalLength = refObject.width;
+        } else if (topStatus.plane && topStatus.plane.reference === reference) {
+            // The plane's x axis follows the reference's top edge
+            horizontalLength = topStatus.plane.width;
+        } else {
+            const isWide = topReference.bbox.width >= topReference.bbox.height;
+            horizontalLength = isWide
+                ? Math.max(refObject.width, refObject.height)
+                : Math.min(refObject.width, refObject.height);
+        }
+
+        return {
+            reference,
+            mmPerPixel: horizontalLength / sideReference.bbox.width,
+            topCenterX: topReference.bbox.x + topReference.bbox.width / 2,
+            sideCenterX: sideReference.bbox.x + sideReference.bbox.width / 2
+        };
+    }
+
+    // A drawn reference has no label to find again, so the user draws it in the side view too.
+    // The entered width ran left to right in the top view, unless its corners fitted the plane.
+    calibrateSideManually(topStatus, sideReferenceBox) {
+        const reference = topStatus.manualReference;
+        if (!reference || !sideReferenceBox || sideReferenceBox.width <= 0) {
+            return null;
+        }
+
+        const horizontalLength = topStatus.plane && topStatus.plane.reference === 'manual'
+            ? topStatus.plane.width
+            : reference.realWidth;
+        return {
+            reference: 'manual',
+            mmPerPixel: horizontalLength / sideReferenceBox.width,
+            topCenterX: reference.bbox.x + reference.bbox.width / 2,
+            sideCenterX: sideReferenceBox.x + sideReferenceBox.width / 2
+        };
+    }
+
+    getReference(detection) {
+        return this.calibrationController.getReference(detection.class);
+    }
+
+    pickMostConfident(detections) {
+        return detections.reduce((best, detection) =>
+            (!best || detection.confidence > best.confidence ? detection : best), null);
+    }
+
+    // Map of top index -> side index. Objects pair up only within a class; across
+    // classes of several objects, the cheapest pairs are taken first.
+    matchViews(topResults, topStatus, sideDetections, sideCalibration) {
+        const measure = (detection, mmPerPixel, referenceCenterX) => ({
+            x: (detection.bbox.x + detection.bbox.width / 2 - referenceCenterX) * mmPerPixel,
+            width: detection.bbox.width * mmPerPixel
+        });
+
+        const pairs = [];
+        topResults.forEach((top, topIndex) => {
+            if (this.getReference(top)) return;
+            const topSize = measure(top, topStatus.mmPerPixel, sideCalibration.topCenterX);
+
+            sideDetections.forEach((side, sideIndex) => {
+                if (side.class !== top.class) return;
+                const sideSize = measure(side, sideCalibration.mmPerPixel, sideCalibration.sideCenterX);
+                if (!(topSize.width > 0) || !(sideSize.width > 0)) return;
+
+                const cost = Math.abs(topSize.x - sideSize.x) / Math.max(topSize.width, sideSize.width)
+                    + Math.abs(Math.log(topSize.width / sideSize.width));
+                if (cost <= this.MAX_MATCH_COST) {
+                    pairs.push({ topIndex, sideIndex, cost });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const matches = new Map();
+        const usedSide = new Set();
+        for (const { topIndex, sideIndex } of pairs) {
+            if (matches.has(topIndex) || usedSide.has(sideIndex)) continue;
+            matches.set(topIndex, sideIndex);
+            usedSide.add(sideIndex);
+        }
+        return matches;
+    }
+
+    // Weight and nutrients follow volume linearly (density times volume), so the single-view
+    // nutrition is rescaled rather than looked up again
+    scaleNutrition(detection, volume) {
+        const nutrition = detection.nutrition;
+        const singleVolume = detection.volume ? detection.volume.volume : null;
+        if (!nutrition || nutrition.calories === null || !(singleVolume > 0)) {
+            return { weight: null, calories: null };
+        }
+
+        const scale = volume.volume / singleVolume;
+        const scaled = value => (typeof value === 'number' ? parseFloat((value * scale).toFixed(2)) : null);
+        return {
+            weight: scaled(nutrition.weight),
+            calories: scaled(nutrition.calories),
+            carbs: scaled(nutrition.carbs),
+            protein: scaled(nutrition.protein),
+            fat: scaled(nutrition.fat)
+        };
+    }
+}
+
+// config: { type: 'scripted', frames } | { type: 'images', images } | { type: 'video', file, video?, realtime? }
+// plus frameInterval and, for scripted frames, width/height
+function createFrameSource(config) {
+    switch (config.type) {
+        case 'scripted':
+            return new ScriptedFrameSource(config.frames, config);
+        case 'images':
+            return new ImageSequenceFrameSource(config.images, config);
+        case 'video':
+            return new VideoFileFrameSource(config.file, config);
+        default:
+            throw new Error(`Unknown frame source type: ${config.type}`);
+    }
+}
+
+// Entry point for regression tests: runs a frame source through tracking, calibration,
+// volume and calorie estimation without a camera or canvas, and resolves to
+// [{ frameIndex, timestamp, detections }]. Scripted frames need no model download;
+// other sources need options.model (a loaded ObjectDetectionModel).
+async function runHeadlessEstimation(source, options = {}) {
+    const frameSource = source instanceof FrameSource ? source : createFrameSource(source);
+    const chain = options.estimationChain || new EstimationChain({
+        calorieEstimator: new CalorieEstimator(options.nutritionProvider || createNutritionProvider())
+    });
+    const pipeline = new ObjectDetectionPipeline(null, options.model || null, null);
+    if (options.confidenceThreshold !== undefined) {
+        pipeline.setConfidenceThreshold(options.confidenceThreshold);
+    }
+
+    // Resolve nutrition up front so the first frames are not reported as 'unknown'
+    const classes = options.preloadClasses
+        || (frameSource instanceof ScriptedFrameSource ? frameSource.getLabels() : []);
+    await chain.calorieEstimator.preload(classes);
+
+    // Smoothing windows follow the frames' own timestamps, not how fast the run happens to go
+    return pipeline.runHeadless(frameSource, (detections, timestamp) => chain.analyze(detections, undefined, timestamp), options.onFrame);
+}
+
+// 브라우저 콘솔에서도 실행할 수 있게 노출
+window.runHeadlessEstimation = runHeadlessEstimation;
+
+// 캔버스 위에 사용자가 사각형을 그려 영역을 선택하도록 하는 도우미
+class CanvasBoxSelector {
+    constructor(canvas, container) {
+        this.canvas = canvas;
+        this.container = container;
+        this.isActive = false;
+        this.startPoint = null;
+        this.selection = null; // canvas pixel coordinates
+        this.onSelect = null;
+        this.isMirrored = false;
+
+        this.selectionElement = document.createElement('div');
+        this.selectionElement.className = 'selection-box';
+        this.selectionElement.style.display = 'none';
+        this.container.appendChild(this.selectionElement);
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    start(onSelect) {
+        this.onSelect = onSelect;
+        this.isActive = true;
+        this.selection = null;
+        this.canvas.classList.add('selecting');
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    stop() {
+        this.isActive = false;
+        this.startPoint = null;
+        this.onSelect = null;
+        this.canvas.classList.remove('selecting');
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.selectionElement.style.display = 'none';
+    }
+
+    // 전면 카메라 미리보기처럼 캔버스가 좌우 반전되어 표시되는 경우
+    setMirrored(mirrored) {
+        this.isMirrored = mirrored;
+    }
+
+    // 화면 좌표를 캔버스(비디오) 픽셀 좌표로 변환
+    toCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        return {
+            x: this.isMirrored ? this.canvas.width - x : x,
+            y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    handlePointerDown(event) {
+        this.canvas.setPointerCapture(event.pointerId);
+        this.startPoint = this.toCanvasPoint(event);
+        this.selection = null;
+    }
+
+    handlePointerMove(event) {
+        if (!this.startPoint) return;
+
+        const point = this.toCanvasPoint(event);
+        this.selection = {
+            x: Math.min(this.startPoint.x, point.x),
+            y: Math.min(this.startPoint.y, point.y),
+            width: Math.abs(point.x - this.startPoint.x),
+            height: Math.abs(point.y - this.startPoint.y)
+        };
+        this.renderSelection();
+    }
+
+    handlePointerUp(event) {
+        if (!this.startPoint) return;
+
+        this.handlePointerMove(event);
+        this.startPoint = null;
+        if (this.selection && this.selection.width > 2 && this.selection.height > 2 && this.onSelect) {
+            this.onSelect({ ...this.selection });
+        }
+    }
+
+    // 선택 상자는 캔버스 내용과 독립적으로 유지되도록 DOM 요소로 표시
+    renderSelection() {
+        const { x, y, width, height } = this.selection;
+        const style = this.selectionElement.style;
+        const left = this.isMirrored ? this.canvas.width - x - width : x;
+        style.display = 'block';
+        style.left = (left / this.canvas.width * 100) + '%';
+        style.top = (y / this.canvas.height * 100) + '%';
+        style.width = (width / this.canvas.width * 100) + '%';
+        style.height = (height / this.canvas.height * 100) + '%';
+    }
+}
+
+// 식사 기록: 추적 중인 음식을 현재 식사에 추가하고, 세션을 기기(IndexedDB)에만 저장
+class MealSessionManager {
+    constructor(store = new IndexedDBStore('calorie-estimator-meals', 'sessions')) {
+        this.store = store;
+        this.currentSession = null;
+        this.NUTRIENTS = ['calories', 'carbs', 'protein', 'fat', 'weight'];
+    }
+
+    // Resume a meal that was still open when the page was closed
+    async restore() {
+        const sessions = await this.getSessions();
+        this.currentSession = sessions.find(session => session.endedAt === null) || null;
+        return this.currentSession;
+    }
+
+    async start() {
+        if (this.currentSession) {
+            return this.currentSession;
+        }
+        this.currentSession = {
+            id: `meal-${Date.now()}`,
+            startedAt: Date.now(),
+            endedAt: null,
+            items: [],
+            nextItemId: 1
+        };
+        await this.persist();
+        return this.currentSession;
+    }
+
+    // Track IDs are only unique within one tracker, so items from an earlier epoch never match
+    hasItem(trackId, trackerEpoch = null) {
+        return !!this.currentSession && this.currentSession.items.some(item =>
+            item.trackId === trackId && item.trackerEpoch === trackerEpoch);
+    }
+
+    // Only food detections with a calorie estimate can be added
+    async addItem(detection, trackerEpoch = null) {
+        if (!this.currentSession) {
+            throw new Error('No meal session in progress');
+        }
+        if (!isFoodEstimate(detection)) {
+            throw new Error(`"${detection.class}" has no food calorie estimate`);
+        }
+        if (this.hasItem(detection.trackId, trackerEpoch)) {
+            return null;
+        }
+
+        const value = metric => (detection.smoothed && detection.smoothed[metric]
+            ? detection.smoothed[metric].value
+            : detection.nutrition[metric]);
+
+        // Sessions saved before items had IDs continue after their existing items
+        const session = this.currentSession;
+        const itemNumber = session.nextItemId || session.items.length + 1;
+        session.nextItemId = itemNumber + 1;
+
+        const item = {
+            id: `${session.id}-${itemNumber}`,
+            trackId: detection.trackId,
+            trackerEpoch,
+            class: detection.class,
+            name: detection.nutrition.displayName ? detection.nutrition.displayName.ko : detection.class,
+            displayName: detection.nutrition.displayName,
+            mode: detection.volume ? detection.volume.mode : null,
+            addedAt: Date.now()
+        };
+        for (const nutrient of this.NUTRIENTS) {
+            item[nutrient] = parseFloat((value(nutrient) || 0).toFixed(2));
+        }
+
+        this.currentSession.items.push(item);
+        await this.persist();
+        return item;
+    }
+
+    async removeItem(id) {
+        if (!this.currentSession) return;
+        const index = this.currentSession.items.findIndex(item => item.id === id);
+        if (index === -1) return;
+        this.currentSession.items.splice(index, 1);
+        await this.persist();
+    }
+
+    async finish() {
+        if (!this.currentSession) return null;
+
+        const session = this.currentSession;
+        this.currentSession = null;
+        if (session.items.length === 0) {
+            // Nothing eaten, nothing to keep
+            await this.store.delete(session.id);
+            return null;
+        }
+
+        session.endedAt = Date.now();
+        await this.store.put(session.id, session);
+        return session;
+    }
+
+    async persist() {
+        await this.store.put(this.currentSession.id, this.currentSession);
+    }
+
+    async getSessions() {
+        const sessions = await this.store.getAll();
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async deleteSession(id) {
+        await this.store.delete(id);
+    }
+
+    getTotals(items) {
+        const totals = {};
+        for (const nutrient of this.NUTRIENTS) {
+            totals[nutrient] = items.reduce((sum, item) => sum + (item[nutrient] || 0), 0);
+        }
+        return totals;
+    }
+
+    // Groups finished sessions per local day or per week (starting Monday), newest first
+    summarize(sessions, period = 'day') {
+        const groups = new Map();
+
+        for (const session of sessions) {
+            if (session.endedAt === null) continue;
+
+            const start = this.getPeriodStart(session.startedAt, period);
+            if (!groups.has(start)) {
+                groups.set(start, { start, meals: 0, items: [] });
+            }
+            const group = groups.get(start);
+            group.meals++;
+            group.items.push(...session.items);
+        }
+
+        return [...groups.values()]
+            .sort((a, b) => b.start - a.start)
+            .map(group => ({ start: group.start, meals: group.meals, totals: this.getTotals(group.items) }));
+    }
+
+    getPeriodStart(timestamp, period) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        if (period === 'week') {
+            const daysSinceMonday = (date.getDay() + 6) % 7;
+            date.setDate(date.getDate() - daysSinceMonday);
+        }
+        return date.getTime();
+    }
+}
+
+// 식사 기록 패널 UI
+class MealLogView {
+    constructor(manager, onStatus, exporter, tracker) {
+        this.manager = manager;
+        this.onStatus = onStatus;
+        this.exporter = exporter;
+        this.tracker = tracker; // 후보의 trackId가 속한 추적기 (중복 추가 판단용)
+        this.candidateElements = new Map(); // trackId -> list item
+        this.summaryPeriod = 'day';
+
+        this.toggleButton = document.getElementById('mealToggleButton');
+        this.activePanel = document.getElementById('mealActivePanel');
+        this.candidateList = document.getElementById('mealCandidateList');
+        this.itemList = document.getElementById('mealItemList');
+        this.totalElement = document.getElementById('mealTotal');
+        this.historyButton = document.getElementById('mealHistoryButton');
+        this.historyPanel = document.getElementById('mealHistoryPanel');
+        this.summaryList = document.getElementById('mealSummaryList');
+        this.sessionList = document.getElementById('mealSessionList');
+        this.periodButtons = document.querySelectorAll('[data-summary-period]');
+
+        this.toggleButton.addEventListener('click', () => this.toggleSession());
+        this.historyButton.addEventListener('click', () => this.toggleHistory());
+        this.periodButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.summaryPeriod = button.dataset.summaryPeriod;
+                this.renderHistory();
+            });
+        });
+
+        this.manager.restore()
+            .then(() => this.render())
+            .catch(error => console.error('식사 기록 불러오기 실패:', error));
+    }
+
+    get isActive() {
+        return this.manager.currentSession !== null;
+    }
+
+    async toggleSession() {
+        try {
+            if (this.isActive) {
+                const session = await this.manager.finish();
+                this.onStatus(i18n.t(session ? 'meal.saved' : 'meal.nothingAdded'), 'success');
+            } else {
+                await this.manager.start();
+            }
+        } catch (error) {
+            console.error('식사 기록 오류:', error);
+            this.onStatus(i18n.t('meal.saveFailed'), 'error');
+        }
+        this.render();
+        if (!this.historyPanel.hidden) {
+            this.renderHistory();
+        }
+    }
+
+    // 탐지 콜백마다 호출: 추가 가능한 음식 후보 목록 갱신
+    updateCandidates(detections) {
+        if (!this.isActive) return;
+
+        const foods = detections.filter(detection => detection.trackId !== undefined && isFoodEstimate(detection));
+        const seen = new Set();
+
+        for (const detection of foods) {
+            seen.add(detection.trackId);
+            let element = this.candidateElements.get(detection.trackId);
+            if (!element) {
+                element = this.createCandidate();
+                this.candidateElements.set(detection.trackId, element);
+                this.candidateList.appendChild(element);
+            }
+            element.detection = detection;
+
+            const calories = detection.smoothed && detection.smoothed.calories
+                ? detection.smoothed.calories.value
+                : detection.nutrition.calories;
+            const name = i18n.localizedName(detection.nutrition.displayName, detection.class);
+            element.label.textContent = `#${detection.trackId} ${name} · ${i18n.formatEnergy(calories)}`;
+
+            const added = this.manager.hasItem(detection.trackId, this.tracker.epoch);
+            element.button.disabled = added;
+            element.button.textContent = i18n.t(added ? 'meal.added' : 'meal.add');
+        }
+
+        for (const [trackId, element] of this.candidateElements) {
+            if (!seen.has(trackId)) {
+                element.remove();
+                this.candidateElements.delete(trackId);
+            }
+        }
+    }
+
+    createCandidate() {
+        const element = document.createElement('li');
+        element.className = 'meal-row';
+        element.label = document.createElement('span');
+        element.button = document.createElement('button');
+        element.button.className = 'btn btn-small';
+        element.button.addEventListener('click', async () => {
+            try {
+                await this.manager.addItem(element.detection, this.tracker.epoch);
+                this.renderItems();
+            } catch (error) {
+                console.error('음식 추가 실패:', error);
+                this.onStatus(i18n.t('meal.addFailed', { error: error.message }), 'error');
+            }
+        });
+        element.append(element.label, element.button);
+        return element;
+    }
+
+    render() {
+        this.toggleButton.textContent = i18n.t(this.isActive ? 'meal.finish' : 'meal.start');
+        this.toggleButton.classList.toggle('paused', this.isActive);
+        this.activePanel.hidden = !this.isActive;
+        if (!this.isActive) {
+            this.candidateList.replaceChildren();
+            this.candidateElements.clear();
+        }
+        this.renderItems();
+    }
+
+    renderItems() {
+        const items = this.isActive ? this.manager.currentSession.items : [];
+        this.itemList.replaceChildren(...items.map(item => {
+            const row = document.createElement('li');
+            row.className = 'meal-row';
+            const label = document.createElement('span');
+            label.textContent = `${this.getItemName(item)} · ${i18n.formatWeight(item.weight)} · ${i18n.formatEnergy(item.calories)}`;
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-small btn-secondary';
+            removeButton.textContent = i18n.t('common.delete');
+            removeButton.addEventListener('click', async () => {
+                try {
+                    await this.manager.removeItem(item.id);
+                } catch (error) {
+                    console.error('음식 삭제 실패:', error);
+                    this.onStatus(i18n.t('meal.saveFailed'), 'error');
+                }
+                this.renderItems();
+            });
+            row.append(label, removeButton);
+            return row;
+        }));
+
+        const totals = this.manager.getTotals(items);
+        this.totalElement.textContent = this.formatTotals(totals);
+    }
+
+    formatTotals(totals) {
+        return i18n.t('meal.totals', {
+            calories: i18n.formatEnergy(totals.calories),
+            carbs: i18n.formatWeight(totals.carbs, 1),
+            protein: i18n.formatWeight(totals.protein, 1),
+            fat: i18n.formatWeight(totals.fat, 1)
+        });
+    }
+
+    // 예전 기록에는 한국어 이름(name)만 저장되어 있다
+    getItemName(item) {
+        return item.displayName ? i18n.localizedName(item.displayName, item.class) : item.name;
+    }
+
+    // 언어나 단위가 바뀌면 코드에서 채운 문구를 다시 그린다
+    applyLocale() {
+        this.historyButton.textContent = i18n.t(this.historyPanel.hidden ? 'meal.showHistory' : 'meal.hideHistory');
+        this.render();
+        if (!this.historyPanel.hidden) {
+            this.renderHistory();
+        }
+    }
+
+    toggleHistory() {
+        this.historyPanel.hidden = !this.historyPanel.hidden;
+        this.historyButton.textContent = i18n.t(this.historyPanel.hidden ? 'meal.showHistory' : 'meal.hideHistory');
+        if (!this.historyPanel.hidden) {
+            this.renderHistory();
+        }
+    }
+
+    async renderHistory() {
+        let sessions;
+        try {
+            sessions = (await this.manager.getSessions()).filter(session => session.endedAt !== null);
+        } catch (error) {
+            console.error('식사 기록 불러오기 실패:', error);
+            this.onStatus(i18n.t('meal.loadFailed'), 'error');
+            return;
+        }
+
+        this.periodButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.summaryPeriod === this.summaryPeriod);
+        });
+
+        const summaries = this.manager.summarize(sessions, this.summaryPeriod);
+        this.summaryList.replaceChildren(...summaries.map(summary => {
+            const row = document.createElement('li');
+            row.className = 'meal-row';
+            const date = i18n.formatDate(summary.start);
+            const period = this.summaryPeriod === 'week' ? i18n.t('meal.week', { date }) : date;
+            row.textContent = i18n.t('meal.summary', {
+                period,
+                count: summary.meals,
+                totals: this.formatTotals(summary.totals)
+            });
+            return row;
+        }));
+
+        this.sessionList.replaceChildren(...sessions.map(session => {
+            const row = document.createElement('li');
+            row.className = 'meal-row';
+            const label = document.createElement('span');
+            const time = i18n.formatDateTime(session.startedAt);
+            const names = session.items.map(item => this.getItemName(item)).join(', ');
+            label.textContent = `${time} · ${names} · ${i18n.formatEnergy(this.manager.getTotals(session.items).calories)}`;
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn btn-small btn-secondary';
+            deleteButton.textContent = i18n.t('common.delete');
+            deleteButton.addEventListener('click', async () => {
+                try {
+                    await this.manager.deleteSession(session.id);
+                } catch (error) {
+                    console.error('식사 기록 삭제 실패:', error);
+                    this.onStatus(i18n.t('meal.deleteFailed'), 'error');
+                }
+                this.renderHistory();
+            });
+            row.append(label, this.createExportButton(session, 'json'), this.createExportButton(session, 'csv'), deleteButton);
+            return row;
+        }));
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'meal-empty';
+            empty.textContent = i18n.t('meal.empty');
+            this.sessionList.appendChild(empty);
+        }
+    }
+
+    createExportButton(session, format) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = format.toUpperCase();
+        button.addEventListener('click', () => {
+            const baseName = this.exporter.getFileBaseName(session.startedAt, 'meal');
+            if (format === 'json') {
+                this.exporter.downloadJSON(this.exporter.buildSessionReport(session), `${baseName}.json`);
+            } else {
+                this.exporter.downloadCSV(this.exporter.sessionToCSV(session), `${baseName}.csv`);
+            }
+        });
+        return button;
+    }
+}
+
+// Turns an analyzed frame or a meal session into files the nutrition team can
+// review outside the browser: a JSON report, a CSV of items and an annotated PNG
+class ResultExporter {
+    constructor(labelOverlay) {
+        this.labelOverlay = labelOverlay;
+        this.REPORT_VERSION = 1;
+        this.FRAME_CSV_COLUMNS = [
+            'trackId', 'class', 'name', 'confidence', 'dish', 'dishScore', 'x', 'y', 'width', 'height',
+            'mode', 'isAssumed', 'isSegmented', 'isRectified', 'shape', 'realWidth', 'realHeight', 'measuredHeight', 'volume', 'capacity', 'containedIn', 'category',
+            'weight', 'calories', 'caloriesLow', 'caloriesHigh', 'carbs', 'protein', 'fat', 'nutritionSource',
+            'twoViewVolume', 'twoViewHeight', 'twoViewWeight', 'twoViewCalories'
+        ];
+        this.SESSION_CSV_COLUMNS = [
+            'trackId', 'class', 'name', 'mode', 'weight', 'calories', 'carbs', 'protein', 'fat', 'addedAt'
+        ];
+        this.TOTAL_METRICS = ['weight', 'calories', 'carbs', 'protein', 'fat'];
+    }
+
+    // One flat record per detection; smoothed values win over single-frame ones
+    toItem(detection) {
+        const volume = detection.volume || {};
+        const nutrition = detection.nutrition || {};
+        const smoothed = detection.smoothed || {};
+        const value = (metric, raw) => this.round(smoothed[metric] ? smoothed[metric].value : raw);
+        const { x, y, width, height } = detection.bbox;
+
+        return {
+            trackId: detection.trackId !== undefined ? detection.trackId : null,
+            class: detection.class,
+            name: i18n.localizedName(nutrition.displayName, detection.class),
+            confidence: this.round(detection.confidence),
+            dish: detection.dish ? detection.dish.label : null,
+            dishScore: detection.dish ? this.round(detection.dish.score) : null,
+            bbox: { x: this.round(x), y: this.round(y), width: this.round(width), height: this.round(height) },
+            mode: volume.mode || null,
+            isAssumed: !!volume.isAssumed,
+            isSegmented: !!volume.isSegmented,
+            isRectified: !!volume.isRectified,
+            shape: volume.shape || null,
+            realWidth: value('realWidth', volume.realWidth),
+            realHeight: value('realHeight', volume.realHeight),
+            measuredHeight: this.round(volume.measuredHeight),
+            volume: value('volume', volume.volume),
+            capacity: this.round(volume.capacity),
+            containedIn: detection.containedIn ? detection.containedIn.trackId : null,
+            category: nutrition.category || 'unknown',
+            weight: value('weight', nutrition.weight),
+            calories: value('calories', nutrition.calories),
+            caloriesLow: smoothed.calories ? this.round(smoothed.calories.low) : null,
+            caloriesHigh: smoothed.calories ? this.round(smoothed.calories.high) : null,
+            carbs: value('carbs', nutrition.carbs),
+            protein: value('protein', nutrition.protein),
+            fat: value('fat', nutrition.fat),
+            nutritionSource: nutrition.source || null,
+            // Footprint from a top photo with the height from a side photo, next to the single-view values
+            twoViewVolume: detection.twoView ? this.round(detection.twoView.volume) : null,
+            twoViewHeight: detection.twoView ? this.round(detection.twoView.measuredHeight) : null,
+            twoViewWeight: detection.twoView ? this.round(detection.twoView.weight) : null,
+            twoViewCalories: detection.twoView ? this.round(detection.twoView.calories) : null
+        };
+    }
+
+    // snapshot: { frame, detections, calibration, source, fileName, capturedAt }
+    buildFrameReport(snapshot) {
+        const items = snapshot.detections.map(detection => this.toItem(detection));
+        // Objects keep their theoretical values per item but stay out of the totals, like the meal log
+        const foodItems = items.filter((item, index) => isFoodEstimate(snapshot.detections[index]));
+        const calibration = snapshot.calibration || {};
+
+        return {
+            version: this.REPORT_VERSION,
+            type: 'frame',
+            exportedAt: new Date().toISOString(),
+            capturedAt: new Date(snapshot.capturedAt).toISOString(),
+            source: snapshot.source,
+            fileName: snapshot.fileName || null,
+            image: { width: snapshot.frame.width, height: snapshot.frame.height },
+            calibration: {
+                isCalibrated: !!calibration.isCalibrated,
+                isManual: !!calibration.isManual,
+                isStale: !!calibration.isStale,
+                confidence: this.round(calibration.confidence),
+                mmPerPixel: calibration.mmPerPixel ? parseFloat(calibration.mmPerPixel.toFixed(4)) : null,
+                calibrationObject: calibration.calibrationObject || null,
+                calibrationObjects: calibration.calibrationObjects || [],
+                planeCorners: calibration.plane ? calibration.plane.corners : null
+            },
+            totals: this.getTotals(foodItems),
+            items
+        };
     }
-    
-    getDetectionStats() {
+
+    buildSessionReport(session) {
         return {
-            isDetecting: this.isDetecting,
-            fps: this.fps,
-            detectionCount: this.detectionCount,
-            currentDetections: this.currentDetections.length,
-            confidenceThreshold: this.confidenceThreshold,
-            detectionInterval: this.detectionInterval
+            version: this.REPORT_VERSION,
+            type: 'meal-session',
+            exportedAt: new Date().toISOString(),
+            session: {
+                id: session.id,
+                startedAt: new Date(session.startedAt).toISOString(),
+                endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null
+            },
+            totals: this.getTotals(session.items),
+            items: session.items
         };
     }
-    
-    dispose() {
-        this.stopDetection();
-        this.clearCanvas();
-        this.currentDetections = [];
-        this.onDetectionUpdate = null;
+
+    getTotals(items) {
+        const totals = {};
+        for (const metric of this.TOTAL_METRICS) {
+            totals[metric] = this.round(items.reduce((sum, item) => sum + (item[metric] || 0), 0));
+        }
+        return totals;
+    }
+
+    frameToCSV(report) {
+        const rows = report.items.map(item => ({ ...item, ...item.bbox }));
+        return this.toCSV(rows, this.FRAME_CSV_COLUMNS);
+    }
+
+    sessionToCSV(session) {
+        const rows = session.items.map(item => ({ ...item, addedAt: new Date(item.addedAt).toISOString() }));
+        return this.toCSV(rows, this.SESSION_CSV_COLUMNS);
+    }
+
+    // The BOM lets spreadsheet apps read the Korean names as UTF-8
+    toCSV(rows, columns) {
+        const lines = [columns.join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => this.escapeCSV(row[column])).join(','));
+        }
+        return '\ufeff' + lines.join('\r\n');
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Copy the frame and burn in the boxes plus the same label lines the AR overlay shows
+    renderAnnotatedImage(frame, detections, colorFor) {
+        const canvas = document.createElement('canvas');
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(frame, 0, 0);
+
+        // Scale strokes and text with the image so they stay readable on large photos
+        const fontSize = Math.max(12, Math.round(canvas.width / 60));
+        const padding = Math.round(fontSize / 3);
+        const lineHeight = Math.round(fontSize * 1.3);
+        ctx.font = `${fontSize}px Arial`;
+        ctx.textBaseline = 'top';
+
+        detections.forEach((detection, index) => {
+            const { x, y, width, height } = detection.bbox;
+            const color = colorFor(detection, index);
+
+            const lineWidth = Math.max(3, Math.round(fontSize / 4));
+            ctx.strokeStyle = color;
+            ctx.lineWidth = detection.mask ? Math.max(1, Math.round(lineWidth / 3)) : lineWidth;
+            ctx.strokeRect(x, y, width, height);
+            if (detection.mask) {
+                drawMaskOutline(ctx, detection.mask, color, lineWidth);
+            }
+
+            const lines = Object.values(this.labelOverlay.getLabelLines(detection)).filter(Boolean);
+            const labelWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+            const labelHeight = lines.length * lineHeight + padding * 2;
+
+            // Above the box when it fits, otherwise inside its top edge
+            const labelX = Math.min(Math.max(0, x), Math.max(0, canvas.width - labelWidth));
+            const labelY = y - labelHeight >= 0 ? y - labelHeight : y;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(labelX, labelY, labelWidth, labelHeight);
+            ctx.fillStyle = color;
+            ctx.fillRect(labelX, labelY, padding / 2, labelHeight);
+
+            ctx.fillStyle = 'white';
+            lines.forEach((line, lineIndex) => {
+                ctx.fillText(line, labelX + padding, labelY + padding + lineIndex * lineHeight);
+            });
+        });
+
+        return canvas;
+    }
+
+    downloadJSON(report, fileName) {
+        this.download(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), fileName);
+    }
+
+    downloadCSV(csv, fileName) {
+        this.download(new Blob([csv], { type: 'text/csv;charset=utf-8' }), fileName);
+    }
+
+    async downloadPNG(canvas, fileName) {
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode PNG'))), 'image/png');
+        });
+        this.download(blob, fileName);
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // e.g. calorie-estimate-20240115-123045
+    getFileBaseName(timestamp, prefix = 'calorie-estimate') {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        return `${prefix}-${day}-${time}`;
+    }
+
+    round(value) {
+        return typeof value === 'number' && isFinite(value) ? parseFloat(value.toFixed(2)) : null;
     }
 }
 
-class CalibrationController {
-    constructor() {
-        // Known dimensions of reference objects in millimeters
-        this.REFERENCE_OBJECTS = {
-            'credit card': { width: 85.6, height: 53.98, area: 85.6 * 53.98 }
-            // Future objects can be added here, e.g., A4 paper, coins
+// 프레임 고정과 업로드한 사진 화면. 카메라, 탐지 파이프라인과 상태 표시는 CameraController의 것을 쓴다
+class StillViewController {
+    constructor(camera) {
+        this.camera = camera;
+
+        // 화면 모드: 'live' (실시간), 'frozen' (프레임 고정), 'still' (업로드한 사진)
+        this.viewMode = 'live';
+        this.currentSnapshot = null;
+        this.imageUrl = null;
+        this.freezeButton = document.getElementById('freezeButton');
+        this.uploadButton = document.getElementById('uploadButton');
+        this.uploadInput = document.getElementById('imageUploadInput');
+        this.image = document.getElementById('stillImage');
+
+        // 프레임 고정 / 고정 해제 / 사진 닫기
+        this.freezeButton.addEventListener('click', () => {
+            if (this.viewMode === 'live') {
+                this.freezeFrame();
+            } else {
+                this.resumeLive();
+            }
+        });
+
+        // 사진 업로드 분석
+        this.uploadButton.addEventListener('click', () => this.uploadInput.click());
+        this.uploadInput.addEventListener('change', (e) => {
+            this.analyzeUploadedImage(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+
+    // 지금 화면에 보이는 원본 (사진 또는 비디오)
+    getSourceElement() {
+        return this.viewMode === 'still' ? this.image : this.camera.video;
+    }
+
+    // 현재 프레임과 탐지 결과를 그대로 고정
+    freezeFrame() {
+        const camera = this.camera;
+        if (!camera.isCameraActive() || !camera.detectionPipeline.isDetecting) {
+            camera.updateStatus(i18n.t('status.freezeRequiresDetection'), 'error');
+            return;
+        }
+
+        camera.detectionPipeline.freeze();
+        camera.video.pause();
+        this.currentSnapshot = {
+            source: 'camera',
+            frame: camera.captureFrame(),
+            detections: [...camera.detectionPipeline.currentDetections],
+            calibration: camera.calibrationController.getStatus(),
+            capturedAt: Date.now()
         };
 
-        this.mmPerPixel = null;
-        this.lastCalibrationTime = 0;
-        this.isCalibrated = false;
-        this.calibrationObject = null;
+        this.viewMode = 'frozen';
+        this.updateControls();
+        camera.updateStatus(i18n.t('status.frozen'), 'success');
     }
 
-    // Attempt to calibrate using the detected objects
-    update(detections) {
-        for (const detection of detections) {
-            if (this.REFERENCE_OBJECTS[detection.class]) {
-                const refObject = this.REFERENCE_OBJECTS[detection.class];
-                const detectedWidth = detection.bbox.width;
-                const detectedHeight = detection.bbox.height;
-
-                // Calculate mm/pixel ratio from both width and height and average them
-                const mmPerPixelWidth = refObject.width / detectedWidth;
-                const mmPerPixelHeight = refObject.height / detectedHeight;
-                
-                // A simple average. More complex logic could be used here.
-                const newMmPerPixel = (mmPerPixelWidth + mmPerPixelHeight) / 2;
+    // 업로드한 사진에 실시간과 같은 탐지 → 보정 → 부피 → 칼로리 과정을 적용
+    async analyzeUploadedImage(file) {
+        if (!file) return;
+        const camera = this.camera;
+
+        // 모델은 한 번에 한 프레임만 처리하므로 실시간 탐지를 멈춘다
+        camera.detectionPipeline.freeze();
+        if (camera.isCameraActive()) {
+            camera.video.pause();
+        }
+
+        try {
+            camera.updateStatus(i18n.t('status.loadingPhoto'), 'loading');
+            this.showPhoto(file);
+            await this.image.decode();
+
+            await camera.objectDetectionModel.loadModel();
+            camera.updateStatus(i18n.t('status.analyzingPhoto'), 'loading');
+
+            // 사진마다 기준 객체가 다르므로 별도의 보정 상태를 사용
+            const stillCalibration = new CalibrationController();
+            const detections = await camera.detectionPipeline.analyzeImage(
+                this.image,
+                (results) => camera.analyzeDetections(results, stillCalibration)
+            );
+
+            const { width, height } = getSourceSize(this.image);
+            camera.detectionPipeline.renderDetections(detections, width, height);
+            camera.showDetectionControls();
+            camera.updateDetectionStats(detections, 0);
+            camera.updateCalibrationStatusUI(stillCalibration.getStatus());
+
+            this.currentSnapshot = {
+                source: 'upload',
+                fileName: file.name,
+                frame: copyFrameToCanvas(this.image),
+                detections,
+                calibration: stillCalibration.getStatus(),
+                capturedAt: Date.now()
+            };
+            camera.updateStatus(i18n.t('status.photoAnalyzed', { count: detections.length }), 'success');
+        } catch (error) {
+            console.error('사진 분석 실패:', error);
+            camera.updateStatus(i18n.t('status.photoFailed', { error: error.message }), 'error');
+        }
+    }
+
+    showPhoto(file) {
+        const camera = this.camera;
+        if (this.imageUrl) {
+            URL.revokeObjectURL(this.imageUrl);
+        }
+        this.imageUrl = URL.createObjectURL(file);
+        this.image.src = this.imageUrl;
+        this.image.style.display = 'block';
+        camera.video.style.display = 'none';
+        camera.labelOverlay.setDisplayElement(this.image);
+        camera.detectionPipeline.clearCanvas();
+
+        // 실시간 화면에서 그린 관심 영역은 사진 좌표와 맞지 않는다
+        camera.stopRoiSelection();
+        camera.closeManualCalibration();
+        camera.setRegionOfInterest(null);
+
+        this.viewMode = 'still';
+        this.currentSnapshot = null;
+        this.updateControls();
+        camera.applyMirroring();
+    }
+
+    showLive() {
+        const camera = this.camera;
+        if (this.imageUrl) {
+            URL.revokeObjectURL(this.imageUrl);
+            this.imageUrl = null;
+        }
+        this.image.removeAttribute('src');
+        this.image.style.display = 'none';
+        camera.video.style.display = '';
+        camera.labelOverlay.setDisplayElement(camera.video);
+        camera.detectionPipeline.clearCanvas();
+
+        this.viewMode = 'live';
+        this.currentSnapshot = null;
+        this.updateControls();
+        camera.applyMirroring();
+    }
+
+    // 실시간 화면으로 복귀하고, 카메라가 켜져 있으면 탐지 재개
+    resumeLive() {
+        const camera = this.camera;
+        this.showLive();
+
+        if (camera.isCameraActive()) {
+            camera.video.play();
+            if (camera.objectDetectionModel.isLoaded) {
+                camera.resumeDetection();
+            }
+        } else {
+            camera.hideDetectionControls();
+        }
+        camera.updateStatus(i18n.t(camera.isCameraActive() ? 'status.resumed' : 'status.ready'), 'default');
+    }
+
+    updateControls() {
+        const labels = { live: 'controls.freeze', frozen: 'controls.unfreeze', still: 'controls.closePhoto' };
+        this.freezeButton.textContent = i18n.t(labels[this.viewMode]);
+        this.freezeButton.disabled = this.viewMode === 'live' && !this.camera.isCameraActive();
+    }
+}
+
+// 두 방향 촬영 마법사: 위 사진으로 보정하고 옆 사진으로 높이를 잰다.
+// 사진은 StillViewController 화면에 띄우고, 모델과 분석 단계는 CameraController의 것을 쓴다
+class TwoViewWizard {
+    constructor(camera, stillView, estimator) {
+        this.camera = camera;
+        this.stillView = stillView;
+        this.estimator = estimator;
+
+        // { step: 'top' | 'topReference' | 'side' | 'sideReference' | 'done', top, pending, result },
+        // 마법사가 닫혀 있으면 null. pending은 기준 물체를 그려야 하는 사진 { image, detections }
+        this.capture = null;
+        this.isBusy = false;
+        this.referenceBox = null; // 사용자가 사진 위에 그린 기준 물체 (사진 픽셀)
+        this.openButton = document.getElementById('twoViewButton');
+        this.panel = document.getElementById('twoViewPanel');
+        this.stepElement = document.getElementById('twoViewStep');
+        this.captureButton = document.getElementById('twoViewCaptureButton');
+        this.uploadButton = document.getElementById('twoViewUploadButton');
+        this.uploadInput = document.getElementById('twoViewUploadInput');
+        this.resultList = document.getElementById('twoViewResultList');
+        this.restartButton = document.getElementById('twoViewRestartButton');
+        this.closeButton = document.getElementById('closeTwoViewButton');
+        this.referencePanel = document.getElementById('twoViewReferencePanel');
+        this.referenceSize = document.getElementById('twoViewReferenceSize');
+        this.referenceWidthInput = document.getElementById('twoViewReferenceWidthInput');
+        this.referenceHeightInput = document.getElementById('twoViewReferenceHeightInput');
+        this.applyReferenceButton = document.getElementById('twoViewReferenceApplyButton');
+
+        this.openButton.addEventListener('click', () => this.open());
+        this.captureButton.addEventListener('click', () => this.captureShot());
+        this.uploadButton.addEventListener('click', () => this.uploadInput.click());
+        this.uploadInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.captureShot(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.restartButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.applyReferenceButton.addEventListener('click', () => this.applyReference());
+    }
+
+    get isOpen() {
+        return this.capture !== null;
+    }
+
+    get isDrawingReference() {
+        return this.isOpen && (this.capture.step === 'topReference' || this.capture.step === 'sideReference');
+    }
+
+    // 두 방향 촬영 시작: 위 사진부터 찍는다. 모델은 찍은 사진에만 쓰므로 실시간 탐지는 멈춘다
+    open() {
+        if (this.isBusy) return;
+
+        this.cancelReferenceSelection();
+        this.camera.closeShapeEditor();
+        this.capture = { step: 'top', top: null, result: null };
+        this.panel.style.display = 'block';
+        this.showPreview();
+        this.render();
+    }
+
+    close() {
+        if (this.isBusy) return;
 
-                // Simple smoothing to stabilize the value
-                if (this.mmPerPixel) {
-                    this.mmPerPixel = this.mmPerPixel * 0.9 + newMmPerPixel * 0.1;
+        this.cancelReferenceSelection();
+        const isDone = this.capture && this.capture.step === 'done';
+        this.capture = null;
+        this.panel.style.display = 'none';
+        // 결과 사진은 '사진 닫기'까지 남겨 두고, 촬영 중이었으면 실시간 탐지로 돌아간다
+        if (!isDone) {
+            this.stillView.resumeLive();
+        }
+    }
+
+    // 다음 사진을 찍을 수 있게 실시간 화면을 보여 준다 (탐지는 멈춘 채로)
+    showPreview() {
+        const camera = this.camera;
+        camera.detectionPipeline.freeze();
+        camera.labelOverlay.clear();
+        if (this.stillView.viewMode !== 'live') {
+            this.stillView.showLive();
+        }
+        camera.detectionPipeline.clearCanvas();
+        if (camera.isCameraActive()) {
+            camera.video.play();
+        }
+    }
+
+    // file이 없으면 카메라의 현재 프레임을 찍는다
+    async captureShot(file = null) {
+        const capture = this.capture;
+        if (!capture || capture.step === 'done' || this.isBusy) return;
+        const camera = this.camera;
+        const stillView = this.stillView;
+
+        // 기준 물체를 그리던 중이면 그 단계의 사진을 새로 찍는다
+        this.cancelReferenceSelection();
+        await this.runStep(async () => {
+            const image = file || await new Promise((resolve, reject) => {
+                camera.captureFrame().toBlob(blob => (blob ? resolve(blob) : reject(new Error(i18n.t('error.cameraInactive')))), 'image/jpeg', 0.92);
+            });
+
+            camera.updateStatus(i18n.t('status.loadingPhoto'), 'loading');
+            stillView.showPhoto(image);
+            await stillView.image.decode();
+            await camera.objectDetectionModel.loadModel();
+            camera.updateStatus(i18n.t('status.analyzingPhoto'), 'loading');
+
+            if (capture.step === 'top') {
+                // 위 사진은 업로드한 사진처럼 끝까지 분석한다 (한 장으로 추정한 값)
+                const topCalibration = new CalibrationController();
+                let rawDetections = [];
+                const detections = await camera.detectionPipeline.analyzeImage(
+                    stillView.image,
+                    (results) => {
+                        rawDetections = results;
+                        return camera.analyzeDetections(results, topCalibration);
+                    }
+                );
+                const calibration = topCalibration.getStatus();
+                if (calibration.isCalibrated) {
+                    await this.finishTopShot(image, detections, calibration);
+                } else {
+                    // 기준 물체가 없으면 사진 위에 직접 그려 수동으로 보정한다
+                    this.startReferenceSelection('topReference', image, rawDetections, detections);
+                }
+            } else {
+                // 옆 사진은 보정과 부피 계산 없이 탐지(와 마스크)만 쓴다
+                const sideDetections = await camera.detectionPipeline.analyzeImage(stillView.image, null);
+                if (capture.top.calibration.isManual) {
+                    // 직접 그린 기준 물체는 탐지되지 않으므로 옆 사진에서도 그린다
+                    this.startReferenceSelection('sideReference', image, sideDetections, []);
                 } else {
-                    this.mmPerPixel = newMmPerPixel;
+                    await this.finishSideShot(sideDetections, null);
                 }
+            }
+        });
+    }
 
-                this.isCalibrated = true;
-                this.lastCalibrationTime = performance.now();
-                this.calibrationObject = detection.class;
-                
-                // Once a reference object is found and used, we can stop for this frame.
-                return true;
+    // 단계는 한 번에 하나씩 진행하고, 실패하면 같은 단계를 다시 찍을 수 있게 한다
+    async runStep(task) {
+        const camera = this.camera;
+        this.isBusy = true;
+        this.render();
+        // '사진 닫기'로 실시간 탐지가 다시 돌고 있으면 모델이 사진을 받지 못한다
+        camera.detectionPipeline.freeze();
+        try {
+            await task();
+        } catch (error) {
+            console.error('두 방향 촬영 실패:', error);
+            camera.updateStatus(i18n.t('status.twoViewFailed', { error: error.message }), 'error');
+            if (camera.isCameraActive()) {
+                this.showPreview();
+            }
+        } finally {
+            this.isBusy = false;
+            if (this.capture) {
+                this.render();
             }
         }
-        return false;
     }
 
-    // Get the current calibration status
-    getStatus() {
-        return {
-            isCalibrated: this.isCalibrated,
-            mmPerPixel: this.mmPerPixel,
-            lastCalibrationTime: this.lastCalibrationTime,
-            calibrationObject: this.calibrationObject
-        };
-    }
+    // 분석한 사진을 화면에 둔 채로 기준 물체 주위에 상자를 그리게 한다
+    startReferenceSelection(step, image, detections, shownDetections) {
+        const camera = this.camera;
+        this.capture.step = step;
+        this.capture.pending = { image, detections };
+        this.referenceBox = null;
 
-    // Reset calibration if the object is lost for a while or on demand
-    reset() {
-        this.mmPerPixel = null;
-        this.isCalibrated = false;
-        this.calibrationObject = null;
+        const { width, height } = getSourceSize(this.stillView.image);
+        camera.detectionPipeline.renderDetections(shownDetections, width, height);
+        camera.boxSelector.start((bbox) => {
+            this.referenceBox = bbox;
+            this.applyReferenceButton.disabled = false;
+        });
+        camera.updateStatus(i18n.t(`twoView.step.${step}`), 'default');
     }
-}
 
-class VolumeEstimator {
-    constructor() {
-        // Pre-defined database of common objects and their typical dimensions (in mm)
-        // or volume (in cm^3). This is a simplified example.
-        this.OBJECT_DATABASE = {
-            'cup': { shape: 'cylinder', avg_diameter: 75, avg_height: 95 },
-            'bottle': { shape: 'cylinder', avg_diameter: 65, avg_height: 230 },
-            'apple': { shape: 'sphere', avg_diameter: 80 },
-            'orange': { shape: 'sphere', avg_diameter: 75 },
-            'banana': { shape: 'cylinder', avg_diameter: 35, avg_height: 180 }, // Approximated as a cylinder
-            'bowl': { shape: 'hemisphere', avg_diameter: 150 },
-            // Add more objects as needed
-        };
+    // 그리던 상자를 버리고 그 단계의 사진부터 다시 찍게 한다
+    cancelReferenceSelection() {
+        if (!this.isDrawingReference) return;
+
+        this.camera.boxSelector.stop();
+        this.referenceBox = null;
+        this.capture.step = this.capture.step === 'topReference' ? 'top' : 'side';
+        this.capture.pending = null;
     }
 
-    estimate(detection, calibrationStatus) {
-        if (!calibrationStatus.isCalibrated || !this.OBJECT_DATABASE[detection.class]) {
-            return {
-                volume: null,
-                realWidth: null,
-                realHeight: null,
-                error: !calibrationStatus.isCalibrated ? "Not calibrated" : "Object not in database"
-            };
+    // 위 사진에서는 그린 상자와 입력한 길이로 보정하고, 옆 사진에서는 같은 물체의 상자로 배율을 잰다
+    async applyReference() {
+        const capture = this.capture;
+        const box = this.referenceBox;
+        if (!this.isDrawingReference || !box || this.isBusy) return;
+        const camera = this.camera;
+
+        const realWidth = parseFloat(this.referenceWidthInput.value);
+        const realHeight = parseFloat(this.referenceHeightInput.value);
+        if (capture.step === 'topReference' && !(realWidth > 0)) {
+            camera.updateStatus(i18n.t('status.manualCalibrationInput'), 'error');
+            return;
         }
 
-        const objectInfo = this.OBJECT_DATABASE[detection.class];
-        const mmPerPixel = calibrationStatus.mmPerPixel;
-        
-        const realWidth = detection.bbox.width * mmPerPixel;
-        const realHeight = detection.bbox.height * mmPerPixel;
+        // 그리기를 마친다. 실패하면 그 단계의 사진부터 다시 찍는다
+        const step = capture.step;
+        const { image, detections } = capture.pending;
+        this.cancelReferenceSelection();
+        await this.runStep(async () => {
+            if (step === 'topReference') {
+                // 원근 보정이 켜져 있으면 그린 상자 안에서 물체의 네 모서리를 찾아 테이블 평면도 맞춘다
+                const topCalibration = new CalibrationController();
+                const corners = camera.cornerFinder.enabled && realHeight > 0
+                    ? camera.cornerFinder.findCorners(box, this.stillView.image)
+                    : null;
+                topCalibration.calibrateManually(box, realWidth, realHeight, { corners });
+                const results = camera.analyzeDetections(detections, topCalibration);
+                await this.finishTopShot(image, results, topCalibration.getStatus());
+            } else {
+                await this.finishSideShot(detections, box);
+            }
+        });
+    }
 
-        let volume = 0; // Volume in cm^3
+    // 보정된 위 사진을 기억하고 옆 사진 단계로 넘어간다
+    async finishTopShot(image, detections, calibration) {
+        const camera = this.camera;
+        const stillView = this.stillView;
+        this.capture.top = { image, detections, calibration };
+        this.capture.pending = null;
+        this.capture.step = 'side';
+        camera.updateStatus(i18n.t('twoView.step.side'), 'success');
+        this.showPreview();
+        if (!camera.isCameraActive()) {
+            // 카메라 없이 사진만 고르는 경우 위 사진의 탐지 결과를 보여 준다
+            stillView.showPhoto(image);
+            await stillView.image.decode();
+            const { width, height } = getSourceSize(stillView.image);
+            camera.detectionPipeline.renderDetections(detections, width, height);
+        }
+    }
 
-        switch (objectInfo.shape) {
-            case 'sphere':
-                // V = 4/3 * pi * r^3
-                const radiusSphere = (realWidth / 2) / 10; // Convert mm to cm
-                volume = (4 / 3) * Math.PI * Math.pow(radiusSphere, 3);
-                break;
-            case 'cylinder':
-                // V = pi * r^2 * h
-                const radiusCylinder = (realWidth / 2) / 10; // Convert mm to cm
-                const heightCylinder = realHeight / 10; // Convert mm to cm
-                volume = Math.PI * Math.pow(radiusCylinder, 2) * heightCylinder;
-                break;
-            case 'hemisphere':
-                 // V = 2/3 * pi * r^3
-                 const radiusHemisphere = (realWidth / 2) / 10; // Convert mm to cm
-                 volume = (2 / 3) * Math.PI * Math.pow(radiusHemisphere, 3);
-                 break;
-            default:
-                // Fallback for undefined shapes: rough box volume
-                // This is a very rough approximation.
-                const depth = (realWidth + realHeight) / 2; // Rough depth estimate
-                volume = (realWidth / 10) * (realHeight / 10) * (depth / 10);
-                break;
+    // sideReferenceBox: 위 사진을 수동으로 보정했을 때 옆 사진에 그린 같은 물체
+    async finishSideShot(sideDetections, sideReferenceBox) {
+        const capture = this.capture;
+        const result = this.estimator.combine(capture.top.detections, capture.top.calibration, sideDetections, sideReferenceBox);
+        if (!result.sideCalibration) {
+            throw new Error(i18n.t('twoView.noSideReference'));
         }
-        
-        return {
-            volume: parseFloat(volume.toFixed(2)),
-            realWidth: parseFloat(realWidth.toFixed(2)),
-            realHeight: parseFloat(realHeight.toFixed(2)),
-            error: null
+
+        capture.result = result;
+        capture.pending = null;
+        capture.step = 'done';
+        await this.showResult();
+    }
+
+    // 결과는 위 사진 위에 보여 주고, 내보내기에도 두 방향 값이 함께 들어간다
+    async showResult() {
+        const camera = this.camera;
+        const stillView = this.stillView;
+        const { top, result } = this.capture;
+        stillView.showPhoto(top.image);
+        await stillView.image.decode();
+
+        const { width, height } = getSourceSize(stillView.image);
+        camera.detectionPipeline.setReferencePlane(top.calibration.plane);
+        camera.detectionPipeline.renderDetections(result.detections, width, height);
+        camera.showDetectionControls();
+        camera.updateDetectionStats(result.detections, 0);
+        camera.updateCalibrationStatusUI(top.calibration);
+
+        stillView.currentSnapshot = {
+            source: 'two-view',
+            fileName: top.image.name,
+            frame: copyFrameToCanvas(stillView.image),
+            detections: result.detections,
+            calibration: top.calibration,
+            capturedAt: Date.now()
         };
+        camera.updateStatus(i18n.t('status.twoViewDone', { count: result.matchedCount }), 'success');
+    }
+
+    render() {
+        const capture = this.capture;
+        this.stepElement.textContent = i18n.t(`twoView.step.${capture.step}`);
+        this.captureButton.disabled = this.isBusy || capture.step === 'done' || !this.camera.isCameraActive();
+        this.uploadButton.disabled = this.isBusy || capture.step === 'done';
+        this.restartButton.disabled = this.isBusy;
+        this.closeButton.disabled = this.isBusy;
+        this.referencePanel.style.display = this.isDrawingReference ? 'block' : 'none';
+        this.referenceSize.style.display = capture.step === 'topReference' ? 'block' : 'none';
+        this.applyReferenceButton.disabled = this.isBusy || !this.referenceBox;
+
+        if (!capture.result) {
+            this.resultList.replaceChildren();
+            return;
+        }
+
+        // 기준 물체와 부피를 모르는 객체는 빼고, 한 장 추정과 두 장 추정을 나란히 보여 준다
+        const rows = capture.result.detections
+            .filter(detection => detection.volume && detection.volume.volume !== null
+                && !this.camera.calibrationController.isReferenceLabel(detection.class))
+            .map(detection => {
+                const row = document.createElement('li');
+                row.className = 'meal-row';
+                const label = document.createElement('span');
+                const name = i18n.localizedName(detection.nutrition ? detection.nutrition.displayName : null, detection.class);
+                const single = Math.round(detection.volume.volume);
+                const twoView = detection.twoView;
+                label.textContent = twoView
+                    ? i18n.t('twoView.row', {
+                        name,
+                        single,
+                        combined: Math.round(twoView.volume),
+                        height: Math.round(twoView.measuredHeight)
+                    }) + (twoView.calories !== null ? ` · ${i18n.formatEnergy(twoView.calories)}` : '')
+                    : i18n.t('twoView.unmatched', { name, single });
+                row.appendChild(label);
+                return row;
+            });
+
+        if (capture.result.matchedCount === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'meal-empty';
+            empty.textContent = i18n.t('twoView.noMatches');
+            rows.unshift(empty);
+        }
+        this.resultList.replaceChildren(...rows);
     }
 }
 
+const MODEL_PREFERENCE_KEY = 'calorieEstimator.modelId';
+const CLASSIFIER_PREFERENCE_KEY = 'calorieEstimator.classifierId';
+const DEPTH_MODEL_PREFERENCE_KEY = 'calorieEstimator.depthModelId';
+const CAMERA_PREFERENCE_KEY = 'calorieEstimator.camera';
+
+// 선택 가능한 카메라 해상도 (브라우저가 가장 가까운 값으로 맞춘다)
+const CAMERA_RESOLUTIONS = {
+    '640x480': { width: 640, height: 480, label: '640 × 480 (VGA)' },
+    '1280x720': { width: 1280, height: 720, label: '1280 × 720 (HD)' },
+    '1920x1080': { width: 1920, height: 1080, label: '1920 × 1080 (Full HD)' }
+};
+const DEFAULT_CAMERA_SETTINGS = { deviceId: null, facingMode: 'environment', resolution: '1280x720' };
+
+// 깊이 비율이 계산에 쓰이는 도형
+const SHAPES_WITH_DEPTH = ['ellipsoid', 'box', 'flat-slice', 'bowl'];
+
 class CameraController {
     constructor() {
         this.video = document.getElementById('video');
@@ -512,6 +6041,28 @@ class CameraController {
         this.stream = null;
         this.isStreaming = false;
         
+        // 언어와 표시 단위 선택
+        this.languageSelect = document.getElementById('languageSelect');
+        this.energyUnitSelect = document.getElementById('energyUnitSelect');
+        this.weightUnitSelect = document.getElementById('weightUnitSelect');
+        
+        // 카메라 설정 (장치, 전면/후면, 해상도는 다음 방문에도 유지)
+        this.cameraSettings = this.loadCameraPreference();
+        this.isMirrored = false;
+        this.isTorchOn = false;
+        this.cameraSettingsPanel = document.getElementById('cameraSettings');
+        this.cameraDeviceSelect = document.getElementById('cameraDeviceSelect');
+        this.switchFacingButton = document.getElementById('switchFacingButton');
+        this.resolutionSelect = document.getElementById('resolutionSelect');
+        this.zoomControl = document.getElementById('zoomControl');
+        this.zoomSlider = document.getElementById('zoomSlider');
+        this.zoomValue = document.getElementById('zoomValue');
+        this.torchButton = document.getElementById('torchButton');
+        this.streamInfo = document.getElementById('streamInfo');
+        
+        // 프레임 고정과 사진 분석 화면
+        this.stillView = new StillViewController(this);
+        
         // AI 모델 인스턴스 생성
         this.objectDetectionModel = new ObjectDetectionModel();
         
@@ -520,10 +6071,78 @@ class CameraController {
         
         // 보정 컨트롤러 인스턴스 생성
         this.calibrationController = new CalibrationController();
+        // 기준 물체를 인식하는 탐지 모델이 없으면 수동 보정만 가능하다
+        const undetectable = this.calibrationController.findUndetectableReferences();
+        if (undetectable.length > 0) {
+            console.warn('기준 물체를 인식하는 탐지 모델이 없습니다:', undetectable.join(', '));
+        }
 
         // 부피 추정기 인스턴스 생성
         this.volumeEstimator = new VolumeEstimator();
 
+        // 영양 정보 제공자 및 칼로리 추정기 인스턴스 생성
+        this.nutritionProvider = createNutritionProvider({
+            ...NUTRITION_PROVIDER_CONFIG,
+            ...(window.NUTRITION_PROVIDER_CONFIG || {})
+        });
+        this.nutritionProvider.load().catch(error => {
+            console.error('영양 정보 데이터 로드 실패:', error);
+        });
+        this.calorieEstimator = new CalorieEstimator(this.nutritionProvider);
+
+        // 객체별 추정치 시간 평활화
+        this.estimateSmoother = new EstimateSmoother();
+        
+        // 탐지 결과에 보정/부피/칼로리를 붙이는 분석 단계
+        this.estimationChain = new EstimationChain({
+            calibrationController: this.calibrationController,
+            volumeEstimator: this.volumeEstimator,
+            calorieEstimator: this.calorieEstimator,
+            estimateSmoother: this.estimateSmoother
+        });
+
+        // 음식과 그릇만 세부 분석 대상으로 삼는다
+        const isFoodOrContainer = detection =>
+            this.calorieEstimator.isFoodClass(detection.class) || this.volumeEstimator.isContainer(detection.class);
+
+        // 2단계 음식 분류기: 음식과 그릇 영역을 잘라 실제 요리 이름을 인식 (켤 때 모델을 받는다)
+        this.dishClassifier = new DishClassifier(isFoodOrContainer);
+        this.detectionPipeline.setDishClassifier(this.dishClassifier);
+
+        // 세그멘테이션 마스크: 상자 대신 객체 윤곽으로 크기를 잰다
+        this.maskSegmenter = new MaskSegmenter(isFoodOrContainer);
+        this.detectionPipeline.setMaskSegmenter(this.maskSegmenter);
+
+        // 원근 보정: 카드/A4 용지의 네 모서리로 테이블 평면을 찾는다
+        this.cornerFinder = new ReferenceCornerFinder(detection =>
+            this.calibrationController.isRectangleReference(detection.class));
+        this.detectionPipeline.setCornerFinder(this.cornerFinder);
+
+        // 깊이 추정: 깊이 지도와 기준 물체로 테이블 위 음식의 높이를 잰다 (켤 때 모델을 받는다)
+        this.depthSampler = new DepthSampler();
+        this.detectionPipeline.setDepthSampler(this.depthSampler);
+
+        // AR 라벨 오버레이 생성 및 파이프라인 연결
+        this.labelOverlay = new ARLabelOverlay(this.video, this.video.parentElement);
+        this.detectionPipeline.setLabelOverlay(this.labelOverlay);
+
+        // 결과 내보내기 (JSON / CSV / PNG)
+        this.resultExporter = new ResultExporter(this.labelOverlay);
+        this.exportJsonButton = document.getElementById('exportJsonButton');
+        this.exportCsvButton = document.getElementById('exportCsvButton');
+        this.exportPngButton = document.getElementById('exportPngButton');
+
+        // 두 방향 촬영: 위 사진의 바닥 면적과 옆 사진의 높이를 합친 부피 추정
+        this.twoViewWizard = new TwoViewWizard(this, this.stillView, new TwoViewEstimator(this.estimationChain));
+
+        // 식사 기록 (사용자가 시작할 때만 동작, 기기에만 저장)
+        this.mealLogView = new MealLogView(
+            new MealSessionManager(),
+            (message, type) => this.updateStatus(message, type),
+            this.resultExporter,
+            this.detectionPipeline.tracker
+        );
+
         // 탐지 컨트롤 요소들
         this.detectionControls = document.getElementById('detectionControls');
         this.confidenceSlider = document.getElementById('confidenceSlider');
@@ -533,41 +6152,258 @@ class CameraController {
         this.maxDetectionsSlider = document.getElementById('maxDetectionsSlider');
         this.maxDetectionsValue = document.getElementById('maxDetectionsValue');
         this.toggleDetectionButton = document.getElementById('toggleDetectionButton');
+        this.modelSelect = document.getElementById('modelSelect');
+        this.dishClassifierToggle = document.getElementById('dishClassifierToggle');
+        this.classifierSelect = document.getElementById('classifierSelect');
+        this.classifierUnavailable = document.getElementById('classifierUnavailable');
+        this.segmentationToggle = document.getElementById('segmentationToggle');
+        this.perspectiveToggle = document.getElementById('perspectiveToggle');
+        this.depthToggle = document.getElementById('depthToggle');
+        this.depthModelSelect = document.getElementById('depthModelSelect');
+        this.depthUnavailable = document.getElementById('depthUnavailable');
         this.detectionFps = document.getElementById('detectionFps');
+        
+        // 성능 자동 조절 (목표 FPS 유지)
+        this.performanceGovernor = new PerformanceGovernor();
+        this.autoPerformanceToggle = document.getElementById('autoPerformanceToggle');
+        this.targetFpsValue = document.getElementById('targetFpsValue');
+        this.perfInferenceLatency = document.getElementById('perfInferenceLatency');
+        this.perfTotalLatency = document.getElementById('perfTotalLatency');
+        this.perfInputSize = document.getElementById('perfInputSize');
+        this.perfLevel = document.getElementById('perfLevel');
         this.detectedObjects = document.getElementById('detectedObjects');
+        this.totalCalories = document.getElementById('totalCalories');
 
         // 보정 상태 UI 요소
         this.calibrationStatus = document.getElementById('calibrationStatus');
         this.calibrationValue = document.getElementById('calibrationValue');
+        this.calibrationConfidence = document.getElementById('calibrationConfidence');
+
+        // 수동 보정 UI 요소
+        this.manualCalibrationButton = document.getElementById('manualCalibrationButton');
+        this.resetCalibrationButton = document.getElementById('resetCalibrationButton');
+        this.manualCalibrationPanel = document.getElementById('manualCalibrationPanel');
+        this.manualWidthInput = document.getElementById('manualWidthInput');
+        this.manualHeightInput = document.getElementById('manualHeightInput');
+        this.applyManualCalibrationButton = document.getElementById('applyManualCalibrationButton');
+        this.cancelManualCalibrationButton = document.getElementById('cancelManualCalibrationButton');
+        this.boxSelector = new CanvasBoxSelector(this.canvas, this.video.parentElement);
+        this.manualCalibrationBox = null;
+        
+        // 관심 영역(ROI)과 클래스 필터 UI 요소
+        this.classFilterSelect = document.getElementById('classFilterSelect');
+        this.customClassFilter = document.getElementById('customClassFilter');
+        this.allowClassesInput = document.getElementById('allowClassesInput');
+        this.denyClassesInput = document.getElementById('denyClassesInput');
+        this.roiButton = document.getElementById('roiButton');
+        this.clearRoiButton = document.getElementById('clearRoiButton');
+        this.cropRoiToggle = document.getElementById('cropRoiToggle');
+        this.isSelectingRoi = false;
+        
+        // 모양 수정 패널 (AR 라벨을 탭하면 열림)
+        this.shapeEditPanel = document.getElementById('shapeEditPanel');
+        this.shapeEditTarget = document.getElementById('shapeEditTarget');
+        this.shapeSelect = document.getElementById('shapeSelect');
+        this.depthRatioControl = document.getElementById('depthRatioControl');
+        this.depthRatioSlider = document.getElementById('depthRatioSlider');
+        this.depthRatioValue = document.getElementById('depthRatioValue');
+        this.fillLevelControl = document.getElementById('fillLevelControl');
+        this.fillLevelSlider = document.getElementById('fillLevelSlider');
+        this.fillLevelValue = document.getElementById('fillLevelValue');
+        this.containerContentControl = document.getElementById('containerContentControl');
+        this.trackContentSelect = document.getElementById('trackContentSelect');
+        this.containerContentSelect = document.getElementById('containerContentSelect');
+        this.shapeEditVolume = document.getElementById('shapeEditVolume');
+        this.resetShapeButton = document.getElementById('resetShapeButton');
+        this.closeShapeEditButton = document.getElementById('closeShapeEditButton');
+        this.shapeEditDetection = null;
 
         // 결과 표시 UI 요소
         this.objectList = document.getElementById('objectList');
         this.totalVolume = document.getElementById('totalVolume');
         
-        this.initializeEventListeners();
-        this.initializeDetectionControls();
-        this.updateStatus('카메라를 시작하려면 버튼을 클릭하세요', 'default');
+        this.initializeLocaleControls();
+        this.initializeEventListeners();
+        this.initializeDetectionControls();
+        this.initializeCalibrationControls();
+        this.initializeFilterControls();
+        this.initializeShapeEditControls();
+        this.initializeExportControls();
+        this.initializeCameraSettingsControls();
+        this.updateStatus(i18n.t('status.ready'), 'default');
+    }
+    
+    initializeLocaleControls() {
+        this.languageSelect.value = i18n.locale;
+        this.energyUnitSelect.value = i18n.energyUnit;
+        this.weightUnitSelect.value = i18n.weightUnit;
+        
+        this.languageSelect.addEventListener('change', (e) => i18n.setLocale(e.target.value));
+        this.energyUnitSelect.addEventListener('change', (e) => i18n.setEnergyUnit(e.target.value));
+        this.weightUnitSelect.addEventListener('change', (e) => i18n.setWeightUnit(e.target.value));
+        
+        i18n.onChange(() => this.applyLocale());
+        i18n.applyToDocument();
+    }
+    
+    // HTML의 고정 문구는 data-i18n으로, 코드에서 채운 문구는 여기서 다시 그린다
+    applyLocale() {
+        i18n.applyToDocument();
+        
+        this.stillView.updateControls();
+        this.toggleDetectionButton.textContent = i18n.t(
+            this.toggleDetectionButton.classList.contains('paused') ? 'detection.resume' : 'detection.pause'
+        );
+        this.roiButton.textContent = i18n.t(this.isSelectingRoi ? 'roi.cancel' : 'roi.select');
+        this.torchButton.textContent = i18n.t(this.isTorchOn ? 'camera.torchOff' : 'camera.torchOn');
+        for (const option of this.shapeSelect.options) {
+            option.textContent = i18n.t(`shape.${option.value}`);
+        }
+        for (const select of [this.containerContentSelect, this.trackContentSelect]) {
+            for (const option of select.options) {
+                if (option.value) {
+                    option.textContent = this.getContentLabel(option.value);
+                }
+            }
+        }
+        
+        this.updatePerformancePanel();
+        this.updateCalibrationStatusUI(this.stillView.currentSnapshot
+            ? this.stillView.currentSnapshot.calibration
+            : this.calibrationController.getStatus());
+        this.mealLogView.applyLocale();
+        if (this.twoViewWizard.isOpen) {
+            this.twoViewWizard.render();
+        }
+        if (this.shapeEditDetection) {
+            this.refreshShapeEditor();
+        }
+        if (this.isCameraActive()) {
+            this.updateCameraSettingsUI();
+        }
+        
+        // 실시간 화면은 다음 탐지 때 라벨이 갱신되고, 고정된 화면은 바로 다시 그린다
+        const snapshot = this.stillView.currentSnapshot;
+        if (snapshot) {
+            const { width, height } = getSourceSize(this.stillView.getSourceElement());
+            this.detectionPipeline.renderDetections(snapshot.detections, width, height);
+            this.updateDetectionStats(snapshot.detections, 0);
+        }
     }
     
     initializeEventListeners() {
         this.startButton.addEventListener('click', () => this.startCamera());
         this.stopButton.addEventListener('click', () => this.stopCamera());
         
-        // 비디오 메타데이터 로드 이벤트
+        // 비디오 메타데이터 로드 이벤트 (상태 메시지는 startCamera/switchCamera가 정한다)
         this.video.addEventListener('loadedmetadata', () => {
             this.video.play();
             this.isStreaming = true;
-            this.updateStatus('카메라가 성공적으로 시작되었습니다', 'success');
         });
         
         // 비디오 에러 이벤트
         this.video.addEventListener('error', (e) => {
             console.error('비디오 에러:', e);
-            this.updateStatus('비디오 스트림에 오류가 발생했습니다', 'error');
+            this.updateStatus(i18n.t('status.videoError'), 'error');
         });
     }
     
     initializeDetectionControls() {
+        // 탐지 모델 선택 (레지스트리 기반, 선택 값은 로컬에 저장)
+        for (const [modelId, entry] of Object.entries(MODEL_REGISTRY)) {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = entry.name;
+            this.modelSelect.appendChild(option);
+        }
+        const savedModelId = localStorage.getItem(MODEL_PREFERENCE_KEY);
+        if (savedModelId && MODEL_REGISTRY[savedModelId]) {
+            this.objectDetectionModel.modelId = savedModelId;
+        }
+        this.modelSelect.value = this.objectDetectionModel.modelId;
+        this.modelSelect.addEventListener('change', (e) => this.switchDetectionModel(e.target.value));
+        this.removeUnavailableModels(this.modelSelect, MODEL_REGISTRY, MODEL_CACHE_PREFIX).then(available => {
+            // 저장된 모델을 불러올 수 없으면 기본 모델로 시작한다
+            const model = this.objectDetectionModel;
+            if (!available.includes(model.modelId) && !model.isLoaded && !model.isLoading) {
+                model.modelId = DEFAULT_MODEL_ID;
+            }
+            this.modelSelect.value = model.modelId;
+        });
+        
+        // 음식 이름 세부 인식 (2단계 분류 모델, 선택 값은 로컬에 저장)
+        for (const [classifierId, entry] of Object.entries(CLASSIFIER_REGISTRY)) {
+            const option = document.createElement('option');
+            option.value = classifierId;
+            option.textContent = entry.name;
+            this.classifierSelect.appendChild(option);
+        }
+        const savedClassifierId = localStorage.getItem(CLASSIFIER_PREFERENCE_KEY);
+        if (savedClassifierId && CLASSIFIER_REGISTRY[savedClassifierId]) {
+            this.dishClassifier.classifierId = savedClassifierId;
+        }
+        this.classifierSelect.value = this.dishClassifier.classifierId;
+        this.dishClassifierToggle.addEventListener('change', () => this.updateDishClassifier());
+        this.classifierSelect.addEventListener('change', () => this.updateDishClassifier());
+        this.removeUnavailableModels(this.classifierSelect, CLASSIFIER_REGISTRY, CLASSIFIER_CACHE_PREFIX).then(available => {
+            // 불러올 수 있는 분류 모델이 하나도 없으면 켜지 못하게 하고 이유를 보여 준다
+            if (available.length === 0) {
+                this.dishClassifierToggle.disabled = true;
+                this.classifierSelect.disabled = true;
+                this.classifierUnavailable.style.display = 'block';
+                return;
+            }
+            if (!available.includes(this.dishClassifier.classifierId)) {
+                this.dishClassifier.classifierId = available[0];
+            }
+            this.classifierSelect.value = this.dishClassifier.classifierId;
+        });
+        
+        // 세그멘테이션 마스크로 크기 측정 (상자 기준 값과 섞이지 않도록 평활화를 다시 시작)
+        this.segmentationToggle.addEventListener('change', (e) => {
+            this.maskSegmenter.setEnabled(e.target.checked);
+            this.estimateSmoother.reset();
+        });
+        
+        // 원근 보정 (끄면 찾은 평면도 버리고 mm/px 하나로 잰다)
+        this.perspectiveToggle.checked = this.cornerFinder.enabled;
+        this.perspectiveToggle.addEventListener('change', (e) => {
+            this.cornerFinder.setEnabled(e.target.checked);
+            if (!e.target.checked) {
+                this.calibrationController.clearPlane();
+                this.detectionPipeline.setReferencePlane(null);
+            }
+            this.estimateSmoother.reset();
+        });
+        
+        // 깊이 모델로 높이 측정 (선택 값은 로컬에 저장)
+        for (const [depthModelId, entry] of Object.entries(DEPTH_REGISTRY)) {
+            const option = document.createElement('option');
+            option.value = depthModelId;
+            option.textContent = entry.name;
+            this.depthModelSelect.appendChild(option);
+        }
+        const savedDepthModelId = localStorage.getItem(DEPTH_MODEL_PREFERENCE_KEY);
+        if (savedDepthModelId && DEPTH_REGISTRY[savedDepthModelId]) {
+            this.depthSampler.depthModelId = savedDepthModelId;
+        }
+        this.depthModelSelect.value = this.depthSampler.depthModelId;
+        this.depthToggle.addEventListener('change', () => this.updateDepthSampler());
+        this.depthModelSelect.addEventListener('change', () => this.updateDepthSampler());
+        this.removeUnavailableModels(this.depthModelSelect, DEPTH_REGISTRY, DEPTH_CACHE_PREFIX).then(available => {
+            // 불러올 수 있는 깊이 모델이 없으면 켜지 못하게 하고 이유를 보여 준다
+            if (available.length === 0) {
+                this.depthToggle.disabled = true;
+                this.depthModelSelect.disabled = true;
+                this.depthUnavailable.style.display = 'block';
+                return;
+            }
+            if (!available.includes(this.depthSampler.depthModelId)) {
+                this.depthSampler.depthModelId = available[0];
+            }
+            this.depthModelSelect.value = this.depthSampler.depthModelId;
+        });
+        
         // 신뢰도 슬라이더
         this.confidenceSlider.addEventListener('input', (e) => {
             const value = e.target.value;
@@ -593,23 +6429,405 @@ class CameraController {
         this.toggleDetectionButton.addEventListener('click', () => {
             if (this.detectionPipeline.isDetecting) {
                 this.detectionPipeline.stopDetection();
-                this.toggleDetectionButton.textContent = '탐지 재시작';
+                this.toggleDetectionButton.textContent = i18n.t('detection.resume');
                 this.toggleDetectionButton.classList.add('paused');
             } else {
-                this.detectionPipeline.startDetection();
-                this.toggleDetectionButton.textContent = '탐지 일시정지';
-                this.toggleDetectionButton.classList.remove('paused');
+                this.resumeDetection();
+            }
+        });
+        
+        // 탐지 결과 분석기 설정: 보정 → 부피 → 칼로리
+        this.detectionPipeline.setDetectionAnalyzer((detections) => this.analyzeDetections(detections));
+        
+        // 성능 자동 조절: 켜져 있으면 탐지 주기/최대 탐지 수 슬라이더는 표시만 한다
+        this.detectionPipeline.setPerformanceGovernor(this.performanceGovernor);
+        this.targetFpsValue.textContent = this.performanceGovernor.targetFps;
+        this.autoPerformanceToggle.checked = this.performanceGovernor.enabled;
+        this.autoPerformanceToggle.addEventListener('change', (e) => {
+            this.performanceGovernor.setEnabled(e.target.checked);
+            if (e.target.checked) {
+                this.detectionPipeline.applyPerformanceSettings(this.performanceGovernor.getSettings());
+            } else {
+                // 수동 모드에서는 슬라이더 값을 그대로 사용하고 입력은 원본 해상도로
+                this.detectionPipeline.setDetectionInterval(parseInt(this.detectionIntervalSlider.value));
+                this.detectionPipeline.setMaxDetections(parseInt(this.maxDetectionsSlider.value));
+                this.detectionPipeline.setInputScale(1);
             }
+            this.updatePerformancePanel();
         });
+        this.updatePerformancePanel();
         
         // 탐지 결과 콜백 설정
         this.detectionPipeline.setDetectionCallback((detections, fps) => {
             this.updateDetectionStats(detections, fps);
-
-            // 보정 시도 및 UI 업데이트
-            this.calibrationController.update(detections);
+            this.updatePerformancePanel();
+            this.updateCalibrationStatusUI(this.calibrationController.getStatus());
+            
+            // 식사 기록 중이면 추가 가능한 음식 후보 갱신
+            this.mealLogView.updateCandidates(detections);
+            
+            // 모양 수정 중인 객체의 최신 크기로 부피 표시 갱신
+            if (this.shapeEditDetection) {
+                const current = detections.find(detection => detection.trackId === this.shapeEditDetection.trackId);
+                if (current) {
+                    this.shapeEditDetection = current;
+                    this.refreshShapeEditor();
+                }
+            }
+        });
+    }
+    
+    // 불러올 곳(원격 URL, 오프라인 사본, 로컬 파일)이 없는 모델은 선택지에서 빼고 남은 ID를 돌려준다
+    async removeUnavailableModels(select, registry, cachePrefix) {
+        const ids = Object.keys(registry);
+        const availability = await Promise.all(ids.map(id => isModelSourceAvailable(registry[id], cachePrefix + id)));
+        const available = ids.filter((id, index) => availability[index]);
+        for (const option of [...select.options]) {
+            if (!available.includes(option.value)) {
+                option.remove();
+            }
+        }
+        return available;
+    }
+    
+    async switchDetectionModel(modelId) {
+        const wasDetecting = this.detectionPipeline.isDetecting;
+        this.detectionPipeline.stopDetection();
+        this.modelSelect.disabled = true;
+        
+        try {
+            await this.objectDetectionModel.switchModel(modelId);
+            localStorage.setItem(MODEL_PREFERENCE_KEY, modelId);
+            
+            // 모델마다 추론 속도가 다르므로 성능 측정을 처음부터 다시 한다
+            this.performanceGovernor.reset();
+            if (this.performanceGovernor.enabled) {
+                this.detectionPipeline.applyPerformanceSettings(this.performanceGovernor.getSettings());
+            }
+            this.updateStatus(i18n.t('status.modelSwitched', { name: MODEL_REGISTRY[modelId].name }), 'success');
+        } catch (error) {
+            console.error('모델 전환 실패:', error);
+            this.updateStatus(i18n.t('status.modelSwitchFailed', { error: error.message }), 'error');
+        } finally {
+            // 폴백으로 다른 모델이 로드되었을 수 있으므로 실제 모델을 표시
+            this.modelSelect.value = this.objectDetectionModel.modelId;
+            this.modelSelect.disabled = false;
+            if (wasDetecting && this.objectDetectionModel.isLoaded) {
+                this.detectionPipeline.startDetection();
+            }
+        }
+    }
+    
+    async updateDishClassifier() {
+        if (!this.dishClassifierToggle.checked) {
+            this.dishClassifier.setEnabled(false);
+            return;
+        }
+        
+        const classifierId = this.classifierSelect.value;
+        const name = CLASSIFIER_REGISTRY[classifierId].name;
+        this.dishClassifierToggle.disabled = true;
+        this.classifierSelect.disabled = true;
+        this.updateStatus(i18n.t('model.downloading', { name }), 'loading');
+        
+        try {
+            await this.dishClassifier.load(classifierId, (fraction) => {
+                this.updateStatus(i18n.t('model.downloadProgress', { name, percent: Math.round(fraction * 100) }), 'loading');
+            });
+            localStorage.setItem(CLASSIFIER_PREFERENCE_KEY, classifierId);
+            this.dishClassifier.setEnabled(true);
+            this.updateStatus(i18n.t('status.classifierReady', { name }), 'success');
+        } catch (error) {
+            console.error('음식 분류 모델 로딩 실패:', error);
+            this.dishClassifier.setEnabled(false);
+            this.dishClassifierToggle.checked = false;
+            this.updateStatus(i18n.t('status.classifierFailed', { error: error.message }), 'error');
+        } finally {
+            // 로딩에 실패하면 이전에 쓰던 모델을 표시
+            this.classifierSelect.value = this.dishClassifier.classifierId;
+            this.dishClassifierToggle.disabled = false;
+            this.classifierSelect.disabled = false;
+        }
+    }
+    
+    async updateDepthSampler() {
+        // 측정 높이와 가정한 깊이 비율이 섞이지 않도록 평활화를 다시 시작
+        this.estimateSmoother.reset();
+        if (!this.depthToggle.checked) {
+            this.depthSampler.setEnabled(false);
+            return;
+        }
+        
+        const depthModelId = this.depthModelSelect.value;
+        const name = DEPTH_REGISTRY[depthModelId].name;
+        this.depthToggle.disabled = true;
+        this.depthModelSelect.disabled = true;
+        this.updateStatus(i18n.t('model.downloading', { name }), 'loading');
+        
+        try {
+            await this.depthSampler.load(depthModelId, (fraction) => {
+                this.updateStatus(i18n.t('model.downloadProgress', { name, percent: Math.round(fraction * 100) }), 'loading');
+            });
+            localStorage.setItem(DEPTH_MODEL_PREFERENCE_KEY, depthModelId);
+            this.depthSampler.setEnabled(true);
+            this.updateStatus(i18n.t('status.depthReady', { name }), 'success');
+        } catch (error) {
+            console.error('깊이 모델 로딩 실패:', error);
+            this.depthSampler.setEnabled(false);
+            this.depthToggle.checked = false;
+            this.updateStatus(i18n.t('status.depthFailed', { error: error.message }), 'error');
+        } finally {
+            // 로딩에 실패하면 이전에 쓰던 모델을 표시
+            this.depthModelSelect.value = this.depthSampler.depthModelId;
+            this.depthToggle.disabled = false;
+            this.depthModelSelect.disabled = false;
+        }
+    }
+    
+    initializeCalibrationControls() {
+        // 보정 초기화 버튼
+        this.resetCalibrationButton.addEventListener('click', () => {
+            this.calibrationController.reset();
+            this.updateCalibrationStatusUI(this.calibrationController.getStatus());
+        });
+        
+        // 수동 보정: 캔버스에 상자를 그린 뒤 실제 길이를 입력
+        this.manualCalibrationButton.addEventListener('click', () => {
+            this.stopRoiSelection();
+            this.manualCalibrationBox = null;
+            this.applyManualCalibrationButton.disabled = true;
+            this.manualCalibrationPanel.style.display = 'block';
+            this.boxSelector.start((bbox) => {
+                this.manualCalibrationBox = bbox;
+                this.applyManualCalibrationButton.disabled = false;
+            });
+        });
+        
+        this.applyManualCalibrationButton.addEventListener('click', () => {
+            const realWidth = parseFloat(this.manualWidthInput.value);
+            const realHeight = parseFloat(this.manualHeightInput.value);
+            
+            if (!this.manualCalibrationBox || !(realWidth > 0)) {
+                this.updateStatus(i18n.t('status.manualCalibrationInput'), 'error');
+                return;
+            }
+            
+            // 원근 보정이 켜져 있으면 그린 상자 안에서 물체의 네 모서리를 찾아 테이블 평면도 맞춘다
+            const box = this.manualCalibrationBox;
+            const corners = this.cornerFinder.enabled && realHeight > 0 && this.video.videoWidth > 0
+                ? this.cornerFinder.findCorners(box, this.video)
+                : null;
+            // 깊이 모델이 켜져 있으면 상자 주변 테이블 깊이를 새 깊이 지도마다 기준으로 삼는다
+            this.calibrationController.calibrateManually(box, realWidth, realHeight, {
+                corners,
+                sampleDepth: () => this.depthSampler.sampleRegion(box)
+            });
             this.updateCalibrationStatusUI(this.calibrationController.getStatus());
+            this.updateStatus(i18n.t('status.manualCalibrationApplied'), 'success');
+            this.closeManualCalibration();
+        });
+        
+        this.cancelManualCalibrationButton.addEventListener('click', () => this.closeManualCalibration());
+    }
+    
+    closeManualCalibration() {
+        this.boxSelector.stop();
+        this.manualCalibrationBox = null;
+        this.manualCalibrationPanel.style.display = 'none';
+    }
+    
+    initializeFilterControls() {
+        this.classFilterSelect.addEventListener('change', () => this.applyClassFilter());
+        this.allowClassesInput.addEventListener('change', () => this.applyClassFilter());
+        this.denyClassesInput.addEventListener('change', () => this.applyClassFilter());
+        
+        // 관심 영역: 캔버스에 상자를 그리면 바로 적용
+        this.roiButton.addEventListener('click', () => {
+            if (this.isSelectingRoi) {
+                this.stopRoiSelection();
+                return;
+            }
+            this.closeManualCalibration();
+            this.isSelectingRoi = true;
+            this.roiButton.textContent = i18n.t('roi.cancel');
+            this.updateStatus(i18n.t('status.roiDrag'), 'default');
+            this.boxSelector.start((bbox) => {
+                this.setRegionOfInterest(bbox);
+                this.stopRoiSelection();
+                this.updateStatus(i18n.t('status.roiSet'), 'success');
+            });
         });
+        
+        this.clearRoiButton.addEventListener('click', () => this.setRegionOfInterest(null));
+        
+        this.cropRoiToggle.addEventListener('change', (e) => {
+            this.detectionPipeline.setRegionOfInterest(this.detectionPipeline.roi, e.target.checked);
+        });
+    }
+    
+    initializeShapeEditControls() {
+        for (const shape of this.volumeEstimator.SHAPES) {
+            const option = document.createElement('option');
+            option.value = shape;
+            option.textContent = i18n.t(`shape.${shape}`);
+            this.shapeSelect.appendChild(option);
+        }
+        
+        // 그릇/컵 내용물: 전체 기본값과 객체별 선택
+        for (const type of ['none', ...Object.keys(this.calorieEstimator.CONTAINER_CONTENTS)]) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.getContentLabel(type);
+            this.containerContentSelect.appendChild(option);
+            this.trackContentSelect.appendChild(option.cloneNode(true));
+        }
+        this.containerContentSelect.addEventListener('change', (e) => {
+            this.estimationChain.setDefaultContent(e.target.value);
+            this.estimateSmoother.reset();
+        });
+        this.trackContentSelect.addEventListener('change', (e) => {
+            if (!this.shapeEditDetection) return;
+            const trackId = this.shapeEditDetection.trackId;
+            this.estimationChain.setContainerContent(trackId, e.target.value || null);
+            this.estimateSmoother.forget(trackId);
+        });
+        
+        this.labelOverlay.setSelectHandler((detection) => this.openShapeEditor(detection));
+        
+        this.shapeSelect.addEventListener('change', (e) => this.overrideShape({ shape: e.target.value }));
+        this.depthRatioSlider.addEventListener('input', (e) => {
+            this.overrideShape({ depthRatio: parseFloat(e.target.value) });
+        });
+        this.fillLevelSlider.addEventListener('input', (e) => {
+            this.overrideShape({ fillLevel: parseInt(e.target.value) / 100 });
+        });
+        
+        this.resetShapeButton.addEventListener('click', () => {
+            if (!this.shapeEditDetection) return;
+            this.volumeEstimator.clearOverride(this.shapeEditDetection.trackId);
+            this.estimationChain.setContainerContent(this.shapeEditDetection.trackId, null);
+            this.estimateSmoother.forget(this.shapeEditDetection.trackId);
+            this.refreshShapeEditor();
+        });
+        this.closeShapeEditButton.addEventListener('click', () => this.closeShapeEditor());
+    }
+    
+    getContentLabel(type) {
+        const contents = this.calorieEstimator.CONTAINER_CONTENTS[type];
+        return contents
+            ? i18n.localizedName({ ko: contents.nameKo, en: contents.nameEn }, type)
+            : i18n.t('container.none');
+    }
+    
+    // 추적 ID가 있어야 다음 프레임에도 같은 객체에 수정값을 적용할 수 있다
+    openShapeEditor(detection) {
+        if (detection.trackId === undefined || !this.volumeEstimator.OBJECT_DATABASE[detection.class]) {
+            this.updateStatus(i18n.t('shapeEdit.trackedOnly'), 'error');
+            return;
+        }
+        
+        this.shapeEditDetection = detection;
+        this.shapeEditPanel.style.display = 'block';
+        this.refreshShapeEditor();
+    }
+    
+    closeShapeEditor() {
+        this.shapeEditDetection = null;
+        this.shapeEditPanel.style.display = 'none';
+    }
+    
+    overrideShape(change) {
+        if (!this.shapeEditDetection) return;
+        
+        const trackId = this.shapeEditDetection.trackId;
+        this.volumeEstimator.setOverride(trackId, change);
+        // 이전 모양으로 계산한 값이 평활화 창에 남지 않도록 기록을 비운다
+        this.estimateSmoother.forget(trackId);
+        this.refreshShapeEditor();
+    }
+    
+    refreshShapeEditor() {
+        const detection = this.shapeEditDetection;
+        const objectInfo = this.volumeEstimator.OBJECT_DATABASE[detection.class];
+        const override = this.volumeEstimator.overrides.get(detection.trackId);
+        const profile = this.volumeEstimator.getShapeProfile(objectInfo, override);
+        
+        const name = i18n.localizedName(detection.nutrition ? detection.nutrition.displayName : null, detection.class);
+        const modified = override ? ` (${i18n.t('shapeEdit.modified')})` : '';
+        this.shapeEditTarget.textContent = `#${detection.trackId} ${name}${modified}`;
+        
+        this.shapeSelect.value = profile.shape;
+        this.depthRatioControl.style.display = SHAPES_WITH_DEPTH.includes(profile.shape) ? 'block' : 'none';
+        this.depthRatioSlider.value = profile.depthRatio;
+        this.depthRatioValue.textContent = profile.depthRatio.toFixed(2);
+        this.fillLevelControl.style.display = profile.shape === 'bowl' || objectInfo.container ? 'block' : 'none';
+        this.fillLevelSlider.value = Math.round(profile.fillLevel * 100);
+        this.fillLevelValue.textContent = Math.round(profile.fillLevel * 100);
+        this.containerContentControl.style.display = objectInfo.container ? 'block' : 'none';
+        this.trackContentSelect.value = this.estimationChain.containerContents.get(detection.trackId) || '';
+        
+        // 다음 프레임을 기다리지 않고 바로 다시 계산해 보여준다.
+        // 고정 화면, 사진, 두 장 촬영 결과는 그 결과를 만든 보정 값을 쓴다
+        const calibrationStatus = this.stillView.currentSnapshot
+            ? this.stillView.currentSnapshot.calibration
+            : this.calibrationController.getStatus();
+        const volume = this.volumeEstimator.estimate(detection, calibrationStatus,
+            this.calorieEstimator.getServingVolume(detection.class));
+        this.shapeEditVolume.textContent = volume.volume !== null
+            ? `${volume.isAssumed ? '≈ ' : ''}${Math.round(volume.volume)} cm³`
+                + (volume.isContainer ? ` / ${i18n.t('shapeEdit.capacity')} ${Math.round(volume.capacity)} ml` : '')
+                + (volume.isDepthMeasured ? ` / ${i18n.t('shapeEdit.measuredHeight')} ${Math.round(volume.measuredHeight)} mm` : '')
+            : 'N/A';
+    }
+    
+    stopRoiSelection() {
+        if (!this.isSelectingRoi) return;
+        this.isSelectingRoi = false;
+        this.boxSelector.stop();
+        this.roiButton.textContent = i18n.t('roi.select');
+    }
+    
+    setRegionOfInterest(roi) {
+        this.detectionPipeline.setRegionOfInterest(roi, this.cropRoiToggle.checked);
+        this.clearRoiButton.disabled = !roi;
+        // 추적 중인 객체가 영역 밖으로 빠지므로 트랙을 새로 시작
+        this.detectionPipeline.tracker.reset();
+    }
+    
+    parseClassList(text) {
+        return new Set(text.split(',').map(name => name.trim().toLowerCase()).filter(Boolean));
+    }
+    
+    // 보정 기준 객체는 어떤 필터에서도 제외하지 않는다
+    applyClassFilter() {
+        const mode = this.classFilterSelect.value;
+        this.customClassFilter.style.display = mode === 'custom' ? 'block' : 'none';
+        
+        let filter = null;
+        if (mode === 'food') {
+            filter = (className) => this.calorieEstimator.isFoodClass(className);
+        } else if (mode === 'objects') {
+            filter = (className) => !this.calorieEstimator.isFoodClass(className);
+        } else if (mode === 'custom') {
+            const allow = this.parseClassList(this.allowClassesInput.value);
+            const deny = this.parseClassList(this.denyClassesInput.value);
+            filter = (className) => {
+                const name = className.toLowerCase();
+                return (allow.size === 0 || allow.has(name)) && !deny.has(name);
+            };
+        }
+        
+        const referenceLabels = Object.values(this.calibrationController.REFERENCE_OBJECTS)
+            .flatMap(refObject => refObject.labels);
+        this.detectionPipeline.setClassFilter(filter, referenceLabels);
+    }
+    
+    // 보정 → 부피 → 칼로리 → 평활화 (EstimationChain 참고)
+    analyzeDetections(detections, calibrationController = this.calibrationController) {
+        const results = this.estimationChain.analyze(detections, calibrationController);
+        // 찾은 테이블 평면을 격자로 표시
+        this.detectionPipeline.setReferencePlane(calibrationController.getStatus().plane);
+        return results;
     }
     
     updateDetectionStats(detections, fps) {
@@ -619,20 +6837,352 @@ class CameraController {
         if (this.detectedObjects) {
             this.detectedObjects.textContent = detections.length;
         }
+        if (this.totalCalories) {
+            // 음식만 합산 (의자 등 사물의 이론적 칼로리는 제외)
+            const foods = detections.filter(isFoodEstimate);
+            const total = foods.reduce((sum, detection) => sum + (detection.smoothed && detection.smoothed.calories
+                ? detection.smoothed.calories.value
+                : detection.nutrition.calories), 0);
+            // 기준 객체 없이 가정한 값이 섞이면 낮은 신뢰도로 표시
+            const isAssumed = foods.some(detection => detection.volume && detection.volume.isAssumed);
+            this.totalCalories.textContent = `${isAssumed ? '≈ ' : ''}${i18n.formatEnergy(total)}`;
+            this.totalCalories.classList.toggle('assumed', isAssumed);
+        }
+    }
+    
+    updatePerformancePanel() {
+        const stats = this.detectionPipeline.getDetectionStats();
+        const isAuto = this.performanceGovernor.enabled;
+        
+        // 자동 조절 중에는 선택된 값을 슬라이더에 반영하고 직접 조작은 막는다
+        this.detectionIntervalSlider.disabled = isAuto;
+        this.maxDetectionsSlider.disabled = isAuto;
+        if (isAuto) {
+            this.detectionIntervalSlider.value = stats.detectionInterval;
+            this.detectionIntervalValue.textContent = stats.detectionInterval;
+            this.maxDetectionsSlider.value = stats.maxDetections;
+            this.maxDetectionsValue.textContent = stats.maxDetections;
+        }
+        
+        const { inference, total, samples } = stats.performance;
+        this.perfInferenceLatency.textContent = samples
+            ? `${Math.round(inference.p50)} / ${Math.round(inference.p90)} / ${Math.round(inference.p99)} ms`
+            : 'N/A';
+        this.perfTotalLatency.textContent = samples ? `${Math.round(total.p50)} ms` : 'N/A';
+        
+        const { width, height } = this.detectionPipeline.frameSize;
+        const scale = stats.inputScale;
+        this.perfInputSize.textContent = width
+            ? `${Math.round(scale * 100)}% (${Math.round(width * scale)}×${Math.round(height * scale)})`
+            : `${Math.round(scale * 100)}%`;
+        this.perfLevel.textContent = isAuto
+            ? i18n.t('performance.autoLevel', {
+                level: this.performanceGovernor.level + 1,
+                count: this.performanceGovernor.LEVELS.length
+            })
+            : i18n.t('performance.manual');
     }
     
     updateCalibrationStatusUI(status) {
         if (!this.calibrationStatus) return;
 
-        if (status.isCalibrated) {
-            this.calibrationStatus.textContent = `보정 완료 (${status.calibrationObject})`;
+        const name = this.getCalibrationObjectName(status);
+        if (status.isCalibrated && status.isStale) {
+            this.calibrationStatus.textContent = i18n.t('calibration.stale', { name });
+            this.calibrationStatus.className = 'stat-value stale';
+            this.calibrationValue.textContent = `${status.mmPerPixel.toFixed(4)} mm/px`;
+        } else if (status.isCalibrated) {
+            const more = status.calibrationObjects.length > 1
+                ? i18n.t('calibration.more', { count: status.calibrationObjects.length - 1 })
+                : '';
+            this.calibrationStatus.textContent = i18n.t('calibration.done', { name, more })
+                + (status.plane ? i18n.t('calibration.plane') : '');
             this.calibrationStatus.className = 'stat-value calibrated';
             this.calibrationValue.textContent = `${status.mmPerPixel.toFixed(4)} mm/px`;
         } else {
-            this.calibrationStatus.textContent = '기준 객체 찾는 중...';
+            // 기준 물체 라벨이 없는 모델이면 자동 보정이 불가능하므로 수동 보정을 안내
+            const labels = MODEL_REGISTRY[this.objectDetectionModel.modelId].labels;
+            this.calibrationStatus.textContent = this.calibrationController.canDetectReferences(labels)
+                ? i18n.t('calibration.searching')
+                : i18n.t('calibration.noReferenceModel');
             this.calibrationStatus.className = 'stat-value not-calibrated';
             this.calibrationValue.textContent = 'N/A';
         }
+
+        if (this.calibrationConfidence) {
+            this.calibrationConfidence.textContent = status.isCalibrated
+                ? `${Math.round(status.confidence * 100)}%`
+                : 'N/A';
+        }
+    }
+    
+    getCalibrationObjectName(status) {
+        if (status.isManual) {
+            return i18n.t('calibration.manualName');
+        }
+        const key = `reference.${status.calibrationObject}`;
+        return i18n.has(key) ? i18n.t(key) : status.calibrationObjectName;
+    }
+    
+    initializeExportControls() {
+        this.exportJsonButton.addEventListener('click', () => this.exportResults('json'));
+        this.exportCsvButton.addEventListener('click', () => this.exportResults('csv'));
+        this.exportPngButton.addEventListener('click', () => this.exportResults('png'));
+    }
+    
+    // 고정된 프레임/업로드 사진이 있으면 그것을, 없으면 현재 실시간 프레임을 내보낸다
+    getExportSnapshot() {
+        if (this.stillView.currentSnapshot) {
+            return this.stillView.currentSnapshot;
+        }
+        if (!this.isCameraActive() || this.detectionPipeline.currentDetections.length === 0) {
+            return null;
+        }
+        return {
+            source: 'camera',
+            frame: this.captureFrame(),
+            detections: [...this.detectionPipeline.currentDetections],
+            calibration: this.calibrationController.getStatus(),
+            capturedAt: Date.now()
+        };
+    }
+    
+    async exportResults(format) {
+        const snapshot = this.getExportSnapshot();
+        if (!snapshot) {
+            this.updateStatus(i18n.t('status.nothingToExport'), 'error');
+            return;
+        }
+        
+        const exporter = this.resultExporter;
+        const baseName = exporter.getFileBaseName(snapshot.capturedAt);
+        try {
+            if (format === 'json') {
+                exporter.downloadJSON(exporter.buildFrameReport(snapshot), `${baseName}.json`);
+            } else if (format === 'csv') {
+                exporter.downloadCSV(exporter.frameToCSV(exporter.buildFrameReport(snapshot)), `${baseName}.csv`);
+            } else {
+                const image = exporter.renderAnnotatedImage(
+                    snapshot.frame,
+                    snapshot.detections,
+                    (detection, index) => this.detectionPipeline.getDetectionColor(detection, index)
+                );
+                await exporter.downloadPNG(image, `${baseName}.png`);
+            }
+            this.updateStatus(i18n.t('status.exported', { format: format.toUpperCase() }), 'success');
+        } catch (error) {
+            console.error('결과 내보내기 실패:', error);
+            this.updateStatus(i18n.t('status.exportFailed', { error: error.message }), 'error');
+        }
+    }
+    
+    loadCameraPreference() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CAMERA_PREFERENCE_KEY));
+            const settings = { ...DEFAULT_CAMERA_SETTINGS, ...(saved || {}) };
+            if (!CAMERA_RESOLUTIONS[settings.resolution]) {
+                settings.resolution = DEFAULT_CAMERA_SETTINGS.resolution;
+            }
+            return settings;
+        } catch {
+            return { ...DEFAULT_CAMERA_SETTINGS };
+        }
+    }
+    
+    saveCameraPreference() {
+        localStorage.setItem(CAMERA_PREFERENCE_KEY, JSON.stringify(this.cameraSettings));
+    }
+    
+    initializeCameraSettingsControls() {
+        for (const [key, resolution] of Object.entries(CAMERA_RESOLUTIONS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = resolution.label;
+            this.resolutionSelect.appendChild(option);
+        }
+        this.resolutionSelect.value = this.cameraSettings.resolution;
+        
+        this.cameraDeviceSelect.addEventListener('change', (e) => {
+            this.switchCamera({ deviceId: e.target.value });
+        });
+        
+        // 장치 ID 대신 facingMode로 요청해야 전면/후면이 전환된다
+        this.switchFacingButton.addEventListener('click', () => {
+            const facingMode = this.cameraSettings.facingMode === 'user' ? 'environment' : 'user';
+            this.switchCamera({ deviceId: null, facingMode });
+        });
+        
+        this.resolutionSelect.addEventListener('change', (e) => {
+            this.switchCamera({ resolution: e.target.value });
+        });
+        
+        this.zoomSlider.addEventListener('input', (e) => {
+            const zoom = parseFloat(e.target.value);
+            this.zoomValue.textContent = zoom.toFixed(1);
+            this.applyTrackConstraint({ zoom });
+        });
+        
+        this.torchButton.addEventListener('click', async () => {
+            const torch = !this.isTorchOn;
+            if (await this.applyTrackConstraint({ torch })) {
+                this.isTorchOn = torch;
+                this.torchButton.textContent = i18n.t(torch ? 'camera.torchOff' : 'camera.torchOn');
+                this.torchButton.classList.toggle('active', torch);
+            }
+        });
+    }
+    
+    buildVideoConstraints() {
+        const { width, height } = CAMERA_RESOLUTIONS[this.cameraSettings.resolution];
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height }
+        };
+        if (this.cameraSettings.deviceId) {
+            video.deviceId = { exact: this.cameraSettings.deviceId };
+        } else {
+            video.facingMode = this.cameraSettings.facingMode; // 모바일 기본값은 후면 카메라
+        }
+        return { video, audio: false };
+    }
+    
+    // 저장된 장치가 사라졌으면 facingMode만으로 다시 요청
+    async openStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.buildVideoConstraints());
+        } catch (error) {
+            if (!this.cameraSettings.deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+                throw error;
+            }
+            console.warn('저장된 카메라를 찾을 수 없어 기본 카메라를 사용합니다:', error);
+            this.cameraSettings.deviceId = null;
+            return navigator.mediaDevices.getUserMedia(this.buildVideoConstraints());
+        }
+    }
+    
+    async attachStream(stream) {
+        this.video.srcObject = stream;
+        
+        // 비디오 메타데이터 로드 대기
+        await new Promise((resolve) => {
+            this.video.addEventListener('loadedmetadata', resolve, { once: true });
+        });
+    }
+    
+    // 모델은 그대로 두고 스트림만 교체
+    async switchCamera(changes) {
+        if (!this.isCameraActive()) return;
+        
+        const previousSettings = { ...this.cameraSettings };
+        this.cameraSettings = { ...this.cameraSettings, ...changes };
+        this.updateStatus(i18n.t('status.switchingCamera'), 'loading');
+        
+        // 같은 카메라를 두 번 열 수 없는 기기가 많으므로 기존 스트림을 먼저 닫는다
+        this.stream.getTracks().forEach(track => track.stop());
+        
+        try {
+            this.stream = await this.openStream();
+        } catch (error) {
+            console.error('카메라 전환 실패:', error);
+            this.cameraSettings = previousSettings;
+            this.stream = await this.openStream().catch(() => null);
+            if (!this.stream) {
+                this.stopCamera();
+                this.handleCameraError(error);
+                return;
+            }
+            this.updateStatus(i18n.t('status.cameraSwitchReverted'), 'error');
+        }
+        
+        await this.attachStream(this.stream);
+        if (this.stillView.viewMode === 'frozen') {
+            this.stillView.resumeLive();
+        }
+        
+        // 해상도나 렌즈가 바뀌면 이전 보정값, 관심 영역과 추적 정보는 맞지 않는다
+        this.detectionPipeline.setFrameSource(new CameraFrameSource(this.video));
+        this.setRegionOfInterest(null);
+        this.calibrationController.reset();
+        this.estimateSmoother.reset();
+        this.isTorchOn = false;
+        
+        this.saveCameraPreference();
+        await this.updateCameraSettingsUI();
+        if (this.statusMessage.classList.contains('loading')) {
+            this.updateStatus(i18n.t('status.cameraSwitched'), 'success');
+        }
+    }
+    
+    async applyTrackConstraint(constraint) {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        if (!track) return false;
+        
+        try {
+            await track.applyConstraints({ advanced: [constraint] });
+            return true;
+        } catch (error) {
+            console.warn('카메라 설정 적용 실패:', constraint, error);
+            return false;
+        }
+    }
+    
+    // 장치 목록, 줌/플래시 지원 여부, 미러링과 스트림 정보를 현재 트랙에 맞춰 갱신
+    async updateCameraSettingsUI() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        if (!track) return;
+        
+        const settings = track.getSettings();
+        
+        // 장치 이름은 카메라 권한을 얻은 뒤에만 알 수 있다
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'videoinput');
+        this.cameraDeviceSelect.replaceChildren(...devices.map((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || i18n.t('camera.deviceNumber', { number: index + 1 });
+            return option;
+        }));
+        this.cameraDeviceSelect.value = settings.deviceId || '';
+        this.switchFacingButton.disabled = devices.length < 2;
+        
+        // 전면 카메라는 거울처럼 보이도록 좌우 반전
+        const facingMode = settings.facingMode || (this.cameraSettings.deviceId ? null : this.cameraSettings.facingMode);
+        this.isMirrored = facingMode === 'user';
+        this.applyMirroring();
+        
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        if (capabilities.zoom) {
+            this.zoomSlider.min = capabilities.zoom.min;
+            this.zoomSlider.max = capabilities.zoom.max;
+            this.zoomSlider.step = capabilities.zoom.step || 0.1;
+            this.zoomSlider.value = settings.zoom || capabilities.zoom.min;
+            this.zoomValue.textContent = parseFloat(this.zoomSlider.value).toFixed(1);
+        }
+        this.zoomControl.style.display = capabilities.zoom ? 'block' : 'none';
+        this.torchButton.style.display = capabilities.torch ? 'inline-block' : 'none';
+        this.torchButton.textContent = i18n.t(this.isTorchOn ? 'camera.torchOff' : 'camera.torchOn');
+        this.torchButton.classList.toggle('active', this.isTorchOn);
+        
+        const info = this.getStreamInfo();
+        this.streamInfo.textContent = info
+            ? `${info.label} · ${info.width}×${info.height}${info.frameRate ? ` · ${Math.round(info.frameRate)}fps` : ''}`
+            : '';
+        this.cameraSettingsPanel.style.display = 'block';
+    }
+    
+    // 업로드한 사진은 반전하지 않는다
+    applyMirroring() {
+        const mirrored = this.isMirrored && this.stillView.viewMode !== 'still';
+        this.video.parentElement.classList.toggle('mirrored', mirrored);
+        this.labelOverlay.setMirrored(mirrored);
+        this.boxSelector.setMirrored(mirrored);
+    }
+    
+    // 일시정지 버튼 표시와 함께 실시간 탐지 재개
+    resumeDetection() {
+        this.detectionPipeline.startDetection();
+        this.toggleDetectionButton.textContent = i18n.t('detection.pause');
+        this.toggleDetectionButton.classList.remove('paused');
     }
     
     showDetectionControls() {
@@ -649,53 +7199,40 @@ class CameraController {
     
     async startCamera() {
         try {
-            this.updateStatus('카메라 접근 권한을 요청 중...', 'loading');
+            this.updateStatus(i18n.t('status.requestingCamera'), 'loading');
             this.startButton.disabled = true;
             
-            // 카메라 제약 조건 설정
-            const constraints = {
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    facingMode: 'environment' // 후면 카메라 우선 (모바일)
-                },
-                audio: false
-            };
-            
-            // getUserMedia API를 사용하여 카메라 스트림 요청
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            // 저장된 카메라 설정으로 스트림 요청
+            this.stream = await this.openStream();
             
             // 비디오 요소에 스트림 연결
-            this.video.srcObject = this.stream;
+            this.stillView.showLive();
+            this.updateStatus(i18n.t('status.settingUpStream'), 'loading');
+            await this.attachStream(this.stream);
             
             // 버튼 상태 업데이트
             this.startButton.disabled = true;
             this.stopButton.disabled = false;
             
-            this.updateStatus('카메라 스트림을 설정 중...', 'loading');
-            
-            // 비디오 메타데이터 로드 대기
-            await new Promise((resolve) => {
-                this.video.addEventListener('loadedmetadata', resolve, { once: true });
-            });
-            
             this.isStreaming = true;
-            this.updateStatus('카메라가 성공적으로 시작되었습니다!', 'success');
+            await this.updateCameraSettingsUI();
+            this.updateStatus(i18n.t('status.cameraStarted'), 'success');
             
             // AI 모델 로딩 시작
-            this.updateStatus('AI 모델을 로딩 중입니다...', 'loading');
+            this.updateStatus(i18n.t('status.loadingModel'), 'loading');
             try {
                 await this.objectDetectionModel.loadModel();
-                this.updateStatus('AI 모델 로딩 완료! 객체 탐지를 시작합니다...', 'success');
+                this.updateStatus(i18n.t('status.modelReadyStarting'), 'success');
                 
                 // 객체 탐지 파이프라인 시작
                 this.detectionPipeline.startDetection();
                 this.showDetectionControls();
-                this.updateStatus('카메라와 AI 객체 탐지가 모두 준비되었습니다!', 'success');
+                this.stillView.updateControls();
+                this.updateStatus(i18n.t('status.allReady'), 'success');
                 
             } catch (modelError) {
                 console.error('AI 모델 로딩 실패:', modelError);
-                this.updateStatus('카메라는 시작되었지만 AI 모델 로딩에 실패했습니다.', 'error');
+                this.updateStatus(i18n.t('status.modelFailedCameraOn'), 'error');
             }
             
         } catch (error) {
@@ -716,14 +7253,36 @@ class CameraController {
             
             // 비디오 요소 초기화
             this.video.srcObject = null;
+            this.cameraSettingsPanel.style.display = 'none';
+            this.isTorchOn = false;
             
-            // 객체 탐지 파이프라인 중지
+            // 객체 탐지 파이프라인 중지 (콜백과 분석기는 재시작을 위해 유지)
             if (this.detectionPipeline) {
-                this.detectionPipeline.dispose();
+                this.detectionPipeline.stopDetection();
+            }
+            if (this.stillView.viewMode === 'frozen') {
+                this.stillView.showLive();
             }
             
             // 탐지 컨트롤 숨기기
             this.hideDetectionControls();
+            this.closeManualCalibration();
+            
+            // 카메라가 바뀌면 기존 보정은 의미가 없으므로 초기화
+            this.calibrationController.reset();
+            this.estimateSmoother.reset();
+            this.dishClassifier.reset();
+            this.maskSegmenter.reset();
+            this.cornerFinder.reset();
+            this.depthSampler.reset();
+            this.detectionPipeline.setReferencePlane(null);
+            this.volumeEstimator.clearOverrides();
+            this.estimationChain.containerContents.clear();
+            this.closeShapeEditor();
+            if (this.twoViewWizard.isOpen) {
+                // 남은 단계는 사진 선택으로만 진행할 수 있다
+                this.twoViewWizard.render();
+            }
             
             // AI 모델 정리
             if (this.objectDetectionModel) {
@@ -734,39 +7293,40 @@ class CameraController {
             this.isStreaming = false;
             this.startButton.disabled = false;
             this.stopButton.disabled = true;
+            this.stillView.updateControls();
             
-            this.updateStatus('카메라가 중지되었습니다', 'default');
+            this.updateStatus(i18n.t('status.cameraStopped'), 'default');
             
         } catch (error) {
             console.error('카메라 중지 오류:', error);
-            this.updateStatus('카메라 중지 중 오류가 발생했습니다', 'error');
+            this.updateStatus(i18n.t('status.cameraStopFailed'), 'error');
         }
     }
     
     handleCameraError(error) {
-        let errorMessage = '카메라 접근 중 오류가 발생했습니다';
+        let errorMessage = i18n.t('error.camera');
         
         switch (error.name) {
             case 'NotAllowedError':
-                errorMessage = '카메라 접근 권한이 거부되었습니다. 브라우저 설정에서 카메라 권한을 허용해주세요.';
+                errorMessage = i18n.t('error.cameraNotAllowed');
                 break;
             case 'NotFoundError':
-                errorMessage = '카메라를 찾을 수 없습니다. 카메라가 연결되어 있는지 확인해주세요.';
+                errorMessage = i18n.t('error.cameraNotFound');
                 break;
             case 'NotReadableError':
-                errorMessage = '카메라가 다른 애플리케이션에서 사용 중입니다. 다른 애플리케이션을 종료하고 다시 시도해주세요.';
+                errorMessage = i18n.t('error.cameraNotReadable');
                 break;
             case 'OverconstrainedError':
-                errorMessage = '카메라 설정을 만족할 수 없습니다. 다른 카메라를 사용해주세요.';
+                errorMessage = i18n.t('error.cameraOverconstrained');
                 break;
             case 'SecurityError':
-                errorMessage = '보안상의 이유로 카메라에 접근할 수 없습니다. HTTPS 연결을 사용해주세요.';
+                errorMessage = i18n.t('error.cameraSecurity');
                 break;
             case 'TypeError':
-                errorMessage = 'getUserMedia API를 지원하지 않는 브라우저입니다. 최신 브라우저를 사용해주세요.';
+                errorMessage = i18n.t('error.getUserMediaUnsupported');
                 break;
             default:
-                errorMessage = `카메라 오류: ${error.message}`;
+                errorMessage = i18n.t('error.cameraOther', { error: error.message });
         }
         
         this.updateStatus(errorMessage, 'error');
@@ -791,19 +7351,13 @@ class CameraController {
         return this.isStreaming && this.stream && this.stream.active;
     }
     
-    // 현재 비디오 프레임을 캔버스에 그리기 (향후 객체 인식에 사용)
+    // 현재 비디오 프레임을 새 캔버스에 복사 (탐지 오버레이 캔버스는 그대로 둔다)
     captureFrame() {
         if (!this.isCameraActive()) {
-            throw new Error('카메라가 활성화되지 않았습니다');
+            throw new Error(i18n.t('error.cameraInactive'));
         }
         
-        const context = this.canvas.getContext('2d');
-        this.canvas.width = this.video.videoWidth;
-        this.canvas.height = this.video.videoHeight;
-        
-        context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-        
-        return this.canvas;
+        return copyFrameToCanvas(this.video);
     }
     
     // 비디오 스트림 정보 가져오기
@@ -840,7 +7394,7 @@ function checkBrowserCompatibility() {
     if (!hasGetUserMedia) {
         console.error('getUserMedia API를 지원하지 않는 브라우저입니다.');
         document.getElementById('statusMessage').textContent = 
-            '이 브라우저는 카메라 접근을 지원하지 않습니다. 최신 브라우저를 사용해주세요.';
+            i18n.t('error.browserUnsupported');
         document.getElementById('startButton').disabled = true;
         return false;
     }
@@ -852,6 +7406,12 @@ function checkBrowserCompatibility() {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('AI 실시간 객체 칼로리 추정 서비스 초기화 중...');
     
+    // 고정 버전 TensorFlow.js 스크립트를 캐시하는 서비스 워커 (다음 방문부터 CDN 없이 동작)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('서비스 워커 등록 실패:', error));
+    }
+    
     // 브라우저 호환성 확인
     if (!checkBrowserCompatibility()) {
         return;
@@ -0,0 +1,390 @@
+// AI 실시간 객체 칼로리 추정 서비스 - 탐지 모델 레지스트리
+// 메인 스레드(main.js)와 탐지 Worker(detection-worker.js)가 함께 사용한다.
+
+// TensorFlow.js builds the models run on, pinned so a new release cannot change inference
+// underneath them (tfjs-automl 1.3.0 is built against tfjs 3.x). index.html lists the same
+// URLs; sw.js keeps a copy of each so the page and the worker also start offline.
+const TFJS_SCRIPTS = [
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.21.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@3.21.0/dist/tf-backend-webgl.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-automl@1.3.0/dist/tf-automl.min.js'
+];
+
+const COCO_LABELS = [
+    'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat',
+    'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench', 'bird', 'cat', 'dog',
+    'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe', 'backpack', 'umbrella',
+    'handbag', 'tie', 'suitcase', 'frisbee', 'skis', 'snowboard', 'sports ball', 'kite',
+    'baseball bat', 'baseball glove', 'skateboard', 'surfboard', 'tennis racket', 'bottle',
+    'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple', 'sandwich', 'orange',
+    'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch', 'potted plant',
+    'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse', 'remote', 'keyboard', 'cell phone',
+    'microwave', 'oven', 'toaster', 'sink', 'refrigerator', 'book', 'clock', 'vase', 'scissors',
+    'teddy bear', 'hair drier', 'toothbrush'
+];
+
+// Each detector: where to load it from (local files first, then remote URLs),
+// its label map, input size and how to decode its output.
+const MODEL_REGISTRY = {
+    'ssd-mobilenet-v2': {
+        name: 'SSD-MobileNet v2 (COCO)',
+        localPath: 'models/ssd_mobilenet_v2/model.json',
+        urls: [
+            'https://tfhub.dev/tensorflow/tfjs-model/ssd_mobilenet_v2/1/default/1',
+            'https://tfhub.dev/google/tfjs-model/ssd_mobilenet_v2/1/default/1'
+        ],
+        labels: COCO_LABELS,
+        inputSize: 300,
+        outputFormat: 'automl'
+    },
+    'yolov8n': {
+        name: 'YOLOv8n (COCO)',
+        localPath: 'models/yolov8n/model.json',
+        urls: [],
+        labels: COCO_LABELS,
+        inputSize: 640,
+        outputFormat: 'yolo'
+    }
+};
+
+const DEFAULT_MODEL_ID = 'ssd-mobilenet-v2';
+const MODEL_CACHE_PREFIX = 'indexeddb://calorie-estimator-model-';
+
+const FOOD101_LABELS = [
+    'apple_pie', 'baby_back_ribs', 'baklava', 'beef_carpaccio', 'beef_tartare', 'beet_salad', 'beignets',
+    'bibimbap', 'bread_pudding', 'breakfast_burrito', 'bruschetta', 'caesar_salad', 'cannoli', 'caprese_salad',
+    'carrot_cake', 'ceviche', 'cheesecake', 'cheese_plate', 'chicken_curry', 'chicken_quesadilla',
+    'chicken_wings', 'chocolate_cake', 'chocolate_mousse', 'churros', 'clam_chowder', 'club_sandwich',
+    'crab_cakes', 'creme_brulee', 'croque_madame', 'cup_cakes', 'deviled_eggs', 'donuts', 'dumplings',
+    'edamame', 'eggs_benedict', 'escargots', 'falafel', 'filet_mignon', 'fish_and_chips', 'foie_gras',
+    'french_fries', 'french_onion_soup', 'french_toast', 'fried_calamari', 'fried_rice', 'frozen_yogurt',
+    'garlic_bread', 'gnocchi', 'greek_salad', 'grilled_cheese_sandwich', 'grilled_salmon', 'guacamole',
+    'gyoza', 'hamburger', 'hot_and_sour_soup', 'hot_dog', 'huevos_rancheros', 'hummus', 'ice_cream',
+    'lasagna', 'lobster_bisque', 'lobster_roll_sandwich', 'macaroni_and_cheese', 'macarons', 'miso_soup',
+    'mussels', 'nachos', 'omelette', 'onion_rings', 'oysters', 'pad_thai', 'paella', 'pancakes',
+    'panna_cotta', 'peking_duck', 'pho', 'pizza', 'pork_chop', 'poutine', 'prime_rib', 'pulled_pork_sandwich',
+    'ramen', 'ravioli', 'red_velvet_cake', 'risotto', 'samosa', 'sashimi', 'scallops', 'seaweed_salad',
+    'shrimp_and_grits', 'spaghetti_bolognese', 'spaghetti_carbonara', 'spring_rolls', 'steak',
+    'strawberry_shortcake', 'sushi', 'tacos', 'takoyaki', 'tiramisu', 'tuna_tartare', 'waffles'
+];
+
+// Output order expected from a Korean dish classifier placed at models/korean_food (no weights ship
+// with the app); data/nutrition-db.json has an entry for each
+const KOREAN_FOOD_LABELS = [
+    'bibimbap', 'bulgogi', 'kimchi', 'tteokbokki', 'gimbap', 'japchae', 'samgyeopsal', 'galbi',
+    'kimchi_jjigae', 'doenjang_jjigae', 'sundubu_jjigae', 'ramyeon', 'naengmyeon', 'jajangmyeon',
+    'jjamppong', 'dakgalbi', 'samgyetang', 'pajeon', 'mandu', 'bossam'
+];
+
+// Second-stage dish classifiers, run on crops of food and container boxes.
+// labels may also come from a labels.json next to the model (labelsPath) for custom exports.
+// inputRange is the pixel range the network was trained on; outputs are softmax scores
+// unless outputActivation is 'logits'.
+const CLASSIFIER_REGISTRY = {
+    'korean-food': {
+        name: '한식 분류 (MobileNetV3)',
+        localPath: 'models/korean_food/model.json',
+        urls: [],
+        labels: KOREAN_FOOD_LABELS,
+        inputSize: 224,
+        inputRange: [0, 1],
+        outputActivation: 'softmax'
+    },
+    'food101': {
+        name: 'Food-101 (MobileNetV2)',
+        localPath: 'models/food101/model.json',
+        urls: [],
+        labels: FOOD101_LABELS,
+        inputSize: 224,
+        inputRange: [-1, 1],
+        outputActivation: 'logits'
+    }
+};
+
+const DEFAULT_CLASSIFIER_ID = 'korean-food';
+const CLASSIFIER_CACHE_PREFIX = 'indexeddb://calorie-estimator-classifier-';
+
+// Monocular depth models, run on the whole frame. Outputs are relative inverse depth
+// (larger = nearer) up to an unknown scale, so main.js anchors them to the calibrated
+// reference object. mean/std is the per-channel normalization applied to 0..1 pixels.
+const DEPTH_REGISTRY = {
+    'midas-small': {
+        name: 'MiDaS v2.1 small',
+        localPath: 'models/midas_small/model.json',
+        urls: [],
+        inputSize: 256,
+        mean: [0.485, 0.456, 0.406],
+        std: [0.229, 0.224, 0.225]
+    }
+};
+
+const DEFAULT_DEPTH_MODEL_ID = 'midas-small';
+const DEPTH_CACHE_PREFIX = 'indexeddb://calorie-estimator-depth-';
+
+// Decodes a YOLOv8-style graph model (output [1, 4 + classes, anchors]) into
+// the same prediction format tf.automl returns: { label, score, box: { left, top, width, height } }
+class YoloDetector {
+    constructor(graphModel, labels, inputSize) {
+        this.graphModel = graphModel;
+        this.labels = labels;
+        this.inputSize = inputSize;
+    }
+
+    async detect(input, options = {}) {
+        const { score = 0.5, iou = 0.5, topk = 20 } = options;
+
+        const [boxes, scores, classes, imageWidth, imageHeight] = tf.tidy(() => {
+            const image = tf.browser.fromPixels(input);
+            const [height, width] = image.shape;
+            const batch = tf.image
+                .resizeBilinear(image, [this.inputSize, this.inputSize])
+                .div(255)
+                .expandDims(0);
+
+            // [1, 4 + C, N] -> [N, 4 + C]
+            const output = this.graphModel.execute(batch).squeeze([0]).transpose();
+            const classScores = output.slice([0, 4], [-1, -1]);
+            const [cx, cy, w, h] = tf.split(output.slice([0, 0], [-1, 4]), 4, 1);
+
+            // Back to source image pixels; NMS expects [y1, x1, y2, x2]
+            const scaleX = width / this.inputSize;
+            const scaleY = height / this.inputSize;
+            const x1 = cx.sub(w.div(2)).mul(scaleX);
+            const y1 = cy.sub(h.div(2)).mul(scaleY);
+            const x2 = cx.add(w.div(2)).mul(scaleX);
+            const y2 = cy.add(h.div(2)).mul(scaleY);
+
+            return [
+                tf.concat([y1, x1, y2, x2], 1),
+                classScores.max(1),
+                classScores.argMax(1),
+                width,
+                height
+            ];
+        });
+
+        const keep = await tf.image.nonMaxSuppressionAsync(boxes, scores, topk, iou, score);
+        const [boxData, scoreData, classData, keepData] = await Promise.all([
+            boxes.data(), scores.data(), classes.data(), keep.data()
+        ]);
+        tf.dispose([boxes, scores, classes, keep]);
+
+        return Array.from(keepData).map(index => {
+            const y1 = Math.max(0, boxData[index * 4]);
+            const x1 = Math.max(0, boxData[index * 4 + 1]);
+            const y2 = Math.min(imageHeight, boxData[index * 4 + 2]);
+            const x2 = Math.min(imageWidth, boxData[index * 4 + 3]);
+            return {
+                label: this.labels[classData[index]] || `class ${classData[index]}`,
+                score: scoreData[index],
+                box: { left: x1, top: y1, width: x2 - x1, height: y2 - y1 }
+            };
+        });
+    }
+
+    dispose() {
+        this.graphModel.dispose();
+    }
+}
+
+// Image classifier returning the top-k { label, score } for a crop
+class ImageClassifier {
+    constructor(graphModel, labels, entry) {
+        this.graphModel = graphModel;
+        this.labels = labels;
+        this.inputSize = entry.inputSize;
+        this.inputRange = entry.inputRange || [0, 1];
+        this.outputActivation = entry.outputActivation || 'softmax';
+    }
+
+    async classify(input, topk = 5) {
+        const [values, indices] = tf.tidy(() => {
+            const [low, high] = this.inputRange;
+            const batch = tf.image
+                .resizeBilinear(tf.browser.fromPixels(input), [this.inputSize, this.inputSize])
+                .div(255)
+                .mul(high - low)
+                .add(low)
+                .expandDims(0);
+
+            let scores = this.graphModel.execute(batch).squeeze([0]);
+            if (this.outputActivation === 'logits') {
+                scores = tf.softmax(scores);
+            }
+            const { values, indices } = tf.topk(scores, Math.min(topk, this.labels.length));
+            return [values, indices];
+        });
+
+        const [scoreData, indexData] = await Promise.all([values.data(), indices.data()]);
+        tf.dispose([values, indices]);
+
+        return Array.from(indexData).map((labelIndex, rank) => ({
+            label: this.labels[labelIndex] || `class ${labelIndex}`,
+            score: scoreData[rank]
+        }));
+    }
+
+    dispose() {
+        this.graphModel.dispose();
+    }
+}
+
+// Relative inverse depth map for a whole frame, at the model's resolution
+class DepthEstimator {
+    constructor(graphModel, entry) {
+        this.graphModel = graphModel;
+        this.inputSize = entry.inputSize;
+        this.mean = entry.mean || [0, 0, 0];
+        this.std = entry.std || [1, 1, 1];
+    }
+
+    // Returns { data: Float32Array, width, height }; the map stretches over the full input
+    async estimate(input) {
+        const depth = tf.tidy(() => {
+            const batch = tf.image
+                .resizeBilinear(tf.browser.fromPixels(input), [this.inputSize, this.inputSize])
+                .div(255)
+                .sub(tf.tensor1d(this.mean))
+                .div(tf.tensor1d(this.std))
+                .expandDims(0);
+
+            // MiDaS exports disagree on NHWC/NCHW input; the batch is NHWC, transpose when asked
+            const [inputInfo] = this.graphModel.inputs;
+            const feed = inputInfo && inputInfo.shape && inputInfo.shape[1] === 3 ? batch.transpose([0, 3, 1, 2]) : batch;
+            const output = this.graphModel.execute(feed);
+            return output.reshape([this.inputSize, this.inputSize]);
+        });
+
+        const data = await depth.data();
+        depth.dispose();
+        return { data, width: this.inputSize, height: this.inputSize };
+    }
+
+    dispose() {
+        this.graphModel.dispose();
+    }
+}
+
+function createDetector(entry, graphModel) {
+    switch (entry.outputFormat) {
+        case 'automl':
+            return new tf.automl.ObjectDetectionModel(graphModel, entry.labels);
+        case 'yolo':
+            return new YoloDetector(graphModel, entry.labels, entry.inputSize);
+        default:
+            throw new Error(`Unsupported model output format: ${entry.outputFormat}`);
+    }
+}
+
+// Load a registered model: the offline IndexedDB copy first, then the locally
+// served files, then remote URLs. A freshly downloaded model is saved for offline reuse.
+// onProgress receives a 0..1 download fraction.
+async function loadRegisteredModel(modelId, onProgress = () => {}) {
+    const entry = MODEL_REGISTRY[modelId];
+    if (!entry) {
+        throw new Error(`Unknown model: ${modelId}`);
+    }
+
+    const { graphModel, source } = await loadGraphModelWithCache(modelId, entry, MODEL_CACHE_PREFIX + modelId, onProgress);
+    return { detector: createDetector(entry, graphModel), source };
+}
+
+// Same loading order as loadRegisteredModel, for the dish classifiers
+async function loadRegisteredClassifier(classifierId, onProgress = () => {}) {
+    const entry = CLASSIFIER_REGISTRY[classifierId];
+    if (!entry) {
+        throw new Error(`Unknown classifier: ${classifierId}`);
+    }
+
+    let labels = entry.labels;
+    if (!labels) {
+        const response = await fetch(entry.labelsPath);
+        if (!response.ok) {
+            throw new Error(`Failed to load labels for "${classifierId}": HTTP ${response.status}`);
+        }
+        labels = await response.json();
+    }
+
+    const { graphModel, source } = await loadGraphModelWithCache(
+        classifierId, entry, CLASSIFIER_CACHE_PREFIX + classifierId, onProgress
+    );
+    return { classifier: new ImageClassifier(graphModel, labels, entry), source };
+}
+
+// Same loading order as loadRegisteredModel, for the depth models
+async function loadRegisteredDepthModel(depthModelId, onProgress = () => {}) {
+    const entry = DEPTH_REGISTRY[depthModelId];
+    if (!entry) {
+        throw new Error(`Unknown depth model: ${depthModelId}`);
+    }
+
+    const { graphModel, source } = await loadGraphModelWithCache(
+        depthModelId, entry, DEPTH_CACHE_PREFIX + depthModelId, onProgress
+    );
+    return { depthEstimator: new DepthEstimator(graphModel, entry), source };
+}
+
+// Whether a registered model has anywhere to load from: remote URLs, an offline copy from an
+// earlier download, or files served at its localPath. Entries with none are not offered.
+async function isModelSourceAvailable(entry, cacheKey) {
+    if (entry.urls.length > 0) {
+        return true;
+    }
+
+    try {
+        const cachedModels = await tf.io.listModels();
+        if (Object.prototype.hasOwnProperty.call(cachedModels, cacheKey)) {
+            return true;
+        }
+    } catch {
+        // No IndexedDB here
+    }
+
+    if (!entry.localPath) {
+        return false;
+    }
+    try {
+        // Servers that answer every path with index.html would otherwise count as serving the model
+        const response = await fetch(entry.localPath, { method: 'HEAD' });
+        return response.ok && (response.headers.get('content-type') || '').includes('json');
+    } catch {
+        return false;
+    }
+}
+
+async function loadGraphModelWithCache(modelId, entry, cacheKey, onProgress) {
+    try {
+        const cachedModel = await tf.loadGraphModel(cacheKey);
+        onProgress(1);
+        console.log(`Model "${modelId}" loaded from offline cache`);
+        return { graphModel: cachedModel, source: 'cache' };
+    } catch {
+        // Not cached yet
+    }
+
+    const sources = [entry.localPath, ...entry.urls].filter(Boolean);
+    let lastError = new Error(`No sources configured for model: ${modelId}`);
+
+    for (const source of sources) {
+        try {
+            const graphModel = await tf.loadGraphModel(source, {
+                fromTFHub: source.includes('tfhub.dev'),
+                onProgress
+            });
+
+            try {
+                await graphModel.save(cacheKey);
+            } catch (cacheError) {
+                console.warn(`Could not cache model "${modelId}" for offline use:`, cacheError);
+            }
+
+            console.log(`Model "${modelId}" loaded from ${source}`);
+            return { graphModel, source };
+        } catch (error) {
+            console.warn(`Failed to load model "${modelId}" from ${source}:`, error);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
@@ -0,0 +1,25 @@
+// AI 실시간 객체 칼로리 추정 서비스 - 서비스 워커
+// 고정 버전의 TensorFlow.js 스크립트(TFJS_SCRIPTS)를 캐시에 두고, 페이지와 탐지 Worker가
+// 요청하면 캐시에서 돌려준다. 그 밖의 요청은 건드리지 않는다.
+
+importScripts('model-registry.js');
+
+const SCRIPT_CACHE = 'calorie-estimator-scripts';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SCRIPT_CACHE).then(cache => cache.addAll(TFJS_SCRIPTS)));
+});
+
+// 버전을 올려 목록에서 빠진 예전 스크립트는 지운다
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.open(SCRIPT_CACHE)
+        .then(cache => cache.keys().then(requests => Promise.all(requests
+            .filter(request => !TFJS_SCRIPTS.includes(request.url))
+            .map(request => cache.delete(request)))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    if (!TFJS_SCRIPTS.includes(event.request.url)) return;
+    event.respondWith(caches.match(event.request).then(cached => cached || fetch(event.request)));
+});
@@ -0,0 +1,182 @@
+// CalibrationController: reference lookup, calibration from detected references and its lifecycle
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+test('only registered reference labels count as references', () => {
+    const calibration = new app.CalibrationController();
+    assert.equal(calibration.isReferenceLabel('credit card'), true);
+    assert.equal(calibration.isReferenceLabel('Credit Card'), true);
+    for (const label of ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'apple']) {
+        assert.equal(calibration.isReferenceLabel(label), false, label);
+        assert.equal(calibration.getReference(label), null, label);
+    }
+});
+
+test('the registered COCO detectors cannot see any reference object', () => {
+    const calibration = new app.CalibrationController();
+    const references = Object.keys(calibration.REFERENCE_OBJECTS);
+    assert.equal(calibration.canDetectReferences(app.MODEL_REGISTRY[app.DEFAULT_MODEL_ID].labels), false);
+    assert.equal(calibration.findUndetectableReferences(app.MODEL_REGISTRY).join(', '), references.join(', '));
+
+    // A detector trained with a reference appended to COCO makes that one detectable
+    const registry = { custom: { labels: [...app.COCO_LABELS, 'credit card'] } };
+    assert.equal(calibration.canDetectReferences(registry.custom.labels), true);
+    assert.equal(calibration.findUndetectableReferences(registry).join(', '), references.slice(1).join(', '));
+});
+
+test('a manual calibration with the drawn rectangle\'s corners fits the table plane', () => {
+    const calibration = new app.CalibrationController();
+    // A credit card at 0.5 mm/px, drawn with a loose box around it
+    const corners = [{ x: 50, y: 50 }, { x: 221.2, y: 50 }, { x: 221.2, y: 157.96 }, { x: 50, y: 157.96 }];
+    const mmPerPixel = calibration.calibrateManually({ x: 40, y: 40, width: 200, height: 130 }, 85.6, 53.98, { corners });
+    assert.ok(Math.abs(mmPerPixel - 0.5) < 1e-9);
+
+    const status = calibration.getStatus();
+    assert.equal(status.isManual, true);
+    assert.equal(status.plane.reference, 'manual');
+    assert.equal(status.plane.width, 85.6);
+
+    const cake = new app.VolumeEstimator().estimate({ class: 'cake', bbox: { x: 300, y: 200, width: 160, height: 120 } }, status);
+    assert.equal(cake.isRectified, true);
+    assert.ok(Math.abs(cake.realWidth - 80) < 0.1);
+    assert.ok(Math.abs(cake.realHeight - 60) < 0.1);
+
+    // Without a real height the corners cannot be matched to the sides
+    calibration.calibrateManually({ x: 40, y: 40, width: 200, height: 130 }, 100, null, { corners });
+    assert.equal(calibration.getStatus().plane, null);
+});
+
+test('a manual calibration anchors each depth map on the table around the drawn box', () => {
+    const calibration = new app.CalibrationController();
+    let map = 1;
+    const sampleDepth = () => ({ top: 1.2, table: 1, focalLength: 1000, mapTimestamp: map });
+    calibration.calibrateManually({ x: 0, y: 0, width: 100, height: 100 }, 50, null, { sampleDepth });
+    assert.equal(calibration.getStatus().depthAnchor.mapTimestamp, 1);
+
+    // A new map arrives: the anchor follows it, so samples from that map can be scaled
+    map = 2;
+    calibration.update([]);
+    const status = calibration.getStatus();
+    assert.equal(status.depthAnchor.mapTimestamp, 2);
+
+    // scale = 1000 px * 0.5 mm/px * 1; height = 500 / 1 - 500 / (500 / 470) = 30 mm
+    const depthSample = { top: 500 / 470, table: 1, focalLength: 1000, mapTimestamp: 2 };
+    const cake = new app.VolumeEstimator().estimate({ class: 'cake', bbox: { x: 200, y: 200, width: 200, height: 160 }, depthSample }, status);
+    assert.equal(cake.isDepthMeasured, true);
+    assert.equal(cake.measuredHeight, 30);
+});
+
+// Runs with performance.now() reading clock.time
+function withClock(run) {
+    const original = app.context.performance;
+    const clock = { time: 1000 };
+    app.context.performance = { now: () => clock.time };
+    try {
+        run(clock);
+    } finally {
+        app.context.performance = original;
+    }
+}
+
+// A credit card seen at 0.5 mm/px, or at another scale
+function card(mmPerPixel = 0.5) {
+    return { class: 'credit card', confidence: 0.9, bbox: { x: 0, y: 0, width: 85.6 / mmPerPixel, height: 53.98 / mmPerPixel } };
+}
+
+test('confidence grows with steady samples and fades once the reference is stale', () => {
+    withClock(clock => {
+        const calibration = new app.CalibrationController();
+        assert.equal(calibration.getConfidence(), 0);
+
+        calibration.update([card()]);
+        assert.ok(Math.abs(calibration.getConfidence() - 1 / calibration.MIN_SAMPLES_FOR_FULL_CONFIDENCE) < 1e-9);
+        for (let frame = 1; frame < calibration.MIN_SAMPLES_FOR_FULL_CONFIDENCE; frame++) {
+            calibration.update([card()]);
+        }
+        assert.ok(Math.abs(calibration.getConfidence() - 1) < 1e-9);
+
+        clock.time += calibration.STALE_AFTER_MS;
+        assert.equal(calibration.isStale(), false);
+        clock.time += 1;
+        assert.equal(calibration.isStale(), true);
+        assert.equal(calibration.getConfidence(), 0.5, 'capped at half while stale');
+
+        // Three quarters of the way to expiry
+        clock.time = 1000 + calibration.STALE_AFTER_MS + (calibration.EXPIRE_AFTER_MS - calibration.STALE_AFTER_MS) * 0.75;
+        assert.ok(Math.abs(calibration.getConfidence() - 0.25) < 1e-9);
+    });
+});
+
+test('missed frames alone make a calibration stale', () => {
+    withClock(() => {
+        const calibration = new app.CalibrationController();
+        calibration.update([card()]);
+        for (let frame = 0; frame < calibration.STALE_AFTER_FRAMES; frame++) {
+            calibration.update([]);
+        }
+        assert.equal(calibration.isStale(), false);
+        calibration.update([]);
+        assert.equal(calibration.isStale(), true);
+    });
+});
+
+test('a calibration resets once no reference has been seen for EXPIRE_AFTER_MS', () => {
+    withClock(clock => {
+        const calibration = new app.CalibrationController();
+        calibration.update([card()]);
+
+        clock.time += calibration.EXPIRE_AFTER_MS;
+        assert.equal(calibration.update([]), false);
+        assert.equal(calibration.getStatus().isCalibrated, true);
+
+        clock.time += 1;
+        calibration.update([]);
+        assert.equal(calibration.getStatus().isCalibrated, false);
+        assert.equal(calibration.mmPerPixel, null);
+        assert.equal(calibration.getConfidence(), 0);
+    });
+});
+
+test('repeated jumps in scale reseed the calibration instead of blending', () => {
+    withClock(() => {
+        const calibration = new app.CalibrationController();
+        for (let frame = 0; frame < 5; frame++) {
+            calibration.update([card()]);
+        }
+
+        // One jump is smoothed, and a return to the old scale clears the count
+        calibration.update([card(0.25)]);
+        assert.ok(Math.abs(calibration.mmPerPixel - 0.475) < 1e-9);
+        calibration.update([card(0.5)]);
+        assert.equal(calibration.consecutiveJumps, 0);
+
+        for (let frame = 1; frame < calibration.JUMPS_BEFORE_RESEED; frame++) {
+            calibration.update([card(0.25)]);
+            assert.notEqual(calibration.mmPerPixel, 0.25);
+        }
+        calibration.update([card(0.25)]);
+        assert.ok(Math.abs(calibration.mmPerPixel - 0.25) < 1e-9);
+        assert.equal(calibration.recentSamples.length, 1);
+        assert.equal(calibration.consecutiveJumps, 0);
+    });
+});
+
+test('a manual calibration never goes stale or expires on its own', () => {
+    withClock(clock => {
+        const calibration = new app.CalibrationController();
+        calibration.calibrateManually({ x: 0, y: 0, width: 200, height: 100 }, 100);
+
+        clock.time += calibration.EXPIRE_AFTER_MS * 10;
+        for (let frame = 0; frame <= calibration.STALE_AFTER_FRAMES; frame++) {
+            calibration.update([]);
+        }
+        const status = calibration.getStatus();
+        assert.equal(status.isCalibrated, true);
+        assert.equal(status.isManual, true);
+        assert.equal(calibration.isStale(), false);
+        assert.equal(calibration.getConfidence(), 1);
+    });
+});
@@ -0,0 +1,53 @@
+// DepthSampler: sampling a food top and the table around it from a relative depth map
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+// A 64 x 48 map of a 640 x 480 frame: table at inverse depth 1, a box-shaped dish at 2
+// over frame (200, 100)-(400, 300), with a spike on the dish and a speck on the table
+function createMap(timestamp) {
+    const width = 64;
+    const height = 48;
+    const data = [];
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) {
+            const onDish = column >= 20 && column <= 40 && row >= 10 && row <= 30;
+            data.push(onDish ? 2 : 1);
+        }
+    }
+    data[20 * width + 30] = 5;
+    data[8 * width + 18] = 9;
+    return { data, width, height, frameWidth: 640, frameHeight: 480, timestamp };
+}
+
+const DISH = { x: 200, y: 100, width: 200, height: 200 };
+
+test('sampleRegion reads the dish top and the table ring from a fresh map', () => {
+    const sampler = new app.DepthSampler();
+    sampler.map = createMap(1000);
+    assert.equal(sampler.sampleRegion(DISH, 1500), null, 'disabled samplers return nothing');
+
+    sampler.setEnabled(true);
+    sampler.map = createMap(1000);
+    const sample = sampler.sampleRegion(DISH, 1500);
+    // Percentile and median skip the single bright cells
+    assert.equal(sample.top, 2);
+    assert.equal(sample.table, 1);
+    assert.equal(sample.mapTimestamp, 1000);
+    // 640 px across a 65° field of view
+    assert.ok(Math.abs(sample.focalLength - 502.3) < 0.01);
+});
+
+test('sampleRegion has nothing to say about stale maps or boxes without a table ring', () => {
+    const sampler = new app.DepthSampler();
+    sampler.setEnabled(true);
+    sampler.map = createMap(1000);
+
+    assert.equal(sampler.sampleRegion(DISH, 1000 + sampler.MAX_MAP_AGE + 1), null);
+    assert.equal(sampler.sampleRegion({ x: 0, y: 0, width: 640, height: 480 }, 1500), null);
+
+    sampler.reset();
+    assert.equal(sampler.sampleRegion(DISH, 1500), null);
+});
@@ -0,0 +1,71 @@
+// YoloDetector: decoding a YOLOv8 output tensor into boxes in source image pixels
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+// The same tfjs release the page loads from the CDN (TFJS_SCRIPTS), on its CPU backend
+import * as tf from '@tensorflow/tfjs';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp({ tf });
+await tf.setBackend('cpu');
+
+const INPUT_SIZE = 640;
+const CHANNELS = 4 + app.COCO_LABELS.length;
+
+// A graph model answering every frame with [1, 4 + 80, anchors.length] for
+// anchors of { cx, cy, w, h, label, score } in model input pixels
+function createGraphModel(anchors) {
+    const data = new Float32Array(CHANNELS * anchors.length);
+    anchors.forEach(({ cx, cy, w, h, label, score }, index) => {
+        const at = channel => channel * anchors.length + index;
+        data[at(0)] = cx;
+        data[at(1)] = cy;
+        data[at(2)] = w;
+        data[at(3)] = h;
+        data[at(4 + app.COCO_LABELS.indexOf(label))] = score;
+    });
+    return {
+        execute: () => tf.tensor3d(data, [1, CHANNELS, anchors.length]),
+        dispose() {}
+    };
+}
+
+// A blank 320 x 160 RGBA frame: source pixels are half the model's horizontally, a quarter vertically
+const FRAME = { data: new Uint8Array(320 * 160 * 4), width: 320, height: 160 };
+
+function assertBox(actual, expected) {
+    for (const key of ['left', 'top', 'width', 'height']) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-3, `${key}: ${actual[key]} != ${expected[key]}`);
+    }
+}
+
+test('YOLO output decodes to scored boxes in frame pixels after NMS', async () => {
+    const detector = new app.YoloDetector(createGraphModel([
+        { cx: 100, cy: 100, w: 40, h: 40, label: 'apple', score: 0.9 },
+        // Same apple, weaker: suppressed
+        { cx: 102, cy: 101, w: 40, h: 40, label: 'apple', score: 0.8 },
+        { cx: 400, cy: 400, w: 80, h: 160, label: 'cake', score: 0.7 },
+        // Hangs over the top right corner: clipped to the frame
+        { cx: 630, cy: 10, w: 40, h: 40, label: 'bottle', score: 0.6 },
+        // Below the score threshold
+        { cx: 300, cy: 300, w: 40, h: 40, label: 'cup', score: 0.3 }
+    ]), app.COCO_LABELS, INPUT_SIZE);
+
+    const predictions = await detector.detect(FRAME, { score: 0.5, iou: 0.5, topk: 10 });
+    assert.equal(predictions.map(prediction => prediction.label).join(', '), 'apple, cake, bottle');
+    assert.ok(Math.abs(predictions[0].score - 0.9) < 1e-6);
+
+    assertBox(predictions[0].box, { left: 40, top: 20, width: 20, height: 10 });
+    assertBox(predictions[1].box, { left: 180, top: 80, width: 40, height: 40 });
+    assertBox(predictions[2].box, { left: 305, top: 0, width: 15, height: 7.5 });
+});
+
+test('topk caps the number of YOLO detections', async () => {
+    const detector = new app.YoloDetector(createGraphModel([
+        { cx: 100, cy: 100, w: 40, h: 40, label: 'apple', score: 0.6 },
+        { cx: 400, cy: 400, w: 80, h: 160, label: 'cake', score: 0.9 }
+    ]), app.COCO_LABELS, INPUT_SIZE);
+
+    const predictions = await detector.detect(FRAME, { score: 0.5, topk: 1 });
+    assert.equal(predictions.length, 1);
+    assert.equal(predictions[0].label, 'cake');
+});
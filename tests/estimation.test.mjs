@@ -0,0 +1,149 @@
+// Regression fixtures for the estimation chain: volume, nutrition and smoothing numbers
+// for fixed inputs, and a scripted headless run end to end.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+// A credit card 85.6 x 53.98 mm seen at 0.5 mm/px
+const CARD_BOX = { x: 40, y: 40, width: 171.2, height: 107.96 };
+
+function calibratedStatus(mmPerPixel = 0.5) {
+    const calibration = new app.CalibrationController();
+    calibration.calibrateManually({ x: 0, y: 0, width: 100, height: 100 }, 100 * mmPerPixel);
+    return calibration.getStatus();
+}
+
+test('calibrated volumes follow the class shape', () => {
+    const volumeEstimator = new app.VolumeEstimator();
+    const status = calibratedStatus();
+
+    // Box with the class's depth-to-width ratio (30 / 90): 10 x 8 x 3.33 cm
+    const cake = volumeEstimator.estimate({ class: 'cake', bbox: { x: 0, y: 0, width: 200, height: 160 } }, status);
+    assert.equal(cake.mode, 'calibrated');
+    assert.equal(cake.realWidth, 100);
+    assert.equal(cake.realHeight, 80);
+    assert.equal(cake.volume, 266.67);
+
+    // Sphere of 7 cm diameter
+    const apple = volumeEstimator.estimate({ class: 'apple', bbox: { x: 0, y: 0, width: 140, height: 140 } }, status);
+    assert.equal(apple.volume, 179.59);
+});
+
+test('uncalibrated food falls back to the dataset\'s standard serving', async () => {
+    const volumeEstimator = new app.VolumeEstimator();
+    const calorieEstimator = new app.CalorieEstimator(new app.BundledNutritionProvider());
+    const status = new app.CalibrationController().getStatus();
+    await calorieEstimator.preload(['cake', 'chair']);
+
+    const bbox = { x: 0, y: 0, width: 200, height: 160 };
+    const cake = volumeEstimator.estimate({ class: 'cake', bbox }, status, calorieEstimator.getServingVolume('cake'));
+    assert.equal(cake.mode, 'standard-serving');
+    assert.equal(cake.isAssumed, true);
+    assert.equal(cake.volume, 160);
+
+    // Not in the dataset: no serving, the class-average size instead
+    assert.equal(calorieEstimator.getServingVolume('chair'), null);
+    const chair = volumeEstimator.estimate({ class: 'chair', bbox }, status, calorieEstimator.getServingVolume('chair'));
+    assert.equal(chair.mode, 'class-average');
+});
+
+test('every food with a shape has a standard serving in the dataset', async () => {
+    const volumeEstimator = new app.VolumeEstimator();
+    const calorieEstimator = new app.CalorieEstimator(new app.BundledNutritionProvider());
+    const classes = Object.keys(volumeEstimator.OBJECT_DATABASE).filter(className => !volumeEstimator.isContainer(className));
+    await calorieEstimator.preload(classes);
+
+    const missing = classes.filter(className =>
+        calorieEstimator.isFoodClass(className) && calorieEstimator.getServingVolume(className) === null);
+    assert.equal(missing.join(', '), '');
+});
+
+test('a missing nutrition dataset is fetched once and leaves classes without nutrition', async () => {
+    let fetches = 0;
+    const provider = new app.BundledNutritionProvider('data/missing.json');
+    const { fetch: originalFetch, console: originalConsole } = app.context;
+    app.context.fetch = url => {
+        fetches++;
+        return originalFetch(url);
+    };
+    app.context.console = { ...originalConsole, warn() {} };
+    try {
+        const calorieEstimator = new app.CalorieEstimator(provider);
+        await calorieEstimator.preload(['apple', 'cake']);
+        await calorieEstimator.preload(['apple', 'cake']);
+
+        assert.equal(fetches, 1);
+        assert.equal(calorieEstimator.isFoodClass('apple'), false);
+        assert.equal(calorieEstimator.estimate({ class: 'apple' }, { volume: 100 }).error, 'Nutrition data unavailable');
+    } finally {
+        app.context.fetch = originalFetch;
+        app.context.console = originalConsole;
+    }
+});
+
+test('a cup holds its fill level of the interior', () => {
+    const volumeEstimator = new app.VolumeEstimator();
+    const cup = volumeEstimator.estimate({ class: 'cup', bbox: { x: 0, y: 0, width: 160, height: 190 } }, calibratedStatus());
+
+    // Cylinder 8 cm wide and 9.5 cm tall, 85% interior, filled to 80%
+    assert.equal(cup.isContainer, true);
+    assert.equal(cup.capacity, 405.89);
+    assert.equal(cup.volume, 324.72);
+});
+
+test('nutrition scales with volume through the food density', async () => {
+    const calorieEstimator = new app.CalorieEstimator(new app.BundledNutritionProvider());
+    await calorieEstimator.preload(['cake', 'chair']);
+
+    const cake = calorieEstimator.estimate({ class: 'cake' }, { volume: 266.67 });
+    assert.equal(cake.category, 'food');
+    assert.equal(cake.weight, 133.34);
+    assert.equal(cake.calories, 466.67);
+    assert.equal(cake.carbs, 66.67);
+
+    const chair = calorieEstimator.estimate({ class: 'chair' }, { volume: 1000 });
+    assert.equal(chair.category, 'object');
+    assert.equal(chair.isTheoretical, true);
+});
+
+test('the smoother reports the inlier median and drops outliers', () => {
+    const smoother = new app.EstimateSmoother();
+    let smoothed;
+    [100, 102, 98, 101, 99, 500].forEach((calories, index) => {
+        smoothed = smoother.smooth(1, 'calibrated:apple', { calories }, index * 100);
+    });
+
+    assert.equal(smoothed.calories.samples, 6);
+    assert.equal(smoothed.calories.value, 100);
+    assert.ok(smoothed.calories.high < 500);
+
+    // A new volume mode starts a new window
+    smoothed = smoother.smooth(1, 'standard-serving:apple', { calories: 80 }, 700);
+    assert.equal(smoothed.calories.samples, 1);
+    assert.equal(smoothed.calories.value, 80);
+});
+
+test('a scripted headless run calibrates from the reference and keeps track IDs', async () => {
+    const card = { label: 'credit card', score: 0.9, box: { left: CARD_BOX.x, top: CARD_BOX.y, width: CARD_BOX.width, height: CARD_BOX.height } };
+    const apple = { label: 'apple', score: 0.8, box: { left: 300, top: 200, width: 140, height: 140 } };
+    const frames = Array.from({ length: 5 }, () => [card, apple]);
+
+    const startTime = performance.now();
+    const results = await app.runHeadlessEstimation({ type: 'scripted', frames });
+    assert.ok(performance.now() - startTime < 5000);
+
+    assert.equal(results.length, 5);
+    const last = results[results.length - 1].detections;
+    const lastApple = last.find(detection => detection.class === 'apple');
+    const firstApple = results[0].detections.find(detection => detection.class === 'apple');
+
+    assert.equal(lastApple.trackId, firstApple.trackId);
+    assert.equal(lastApple.volume.mode, 'calibrated');
+    // mm/px averages both sides of the card's box, so sizes land within rounding of the truth
+    assert.ok(Math.abs(lastApple.volume.realWidth - 70) < 0.1);
+    assert.ok(Math.abs(lastApple.volume.volume - 179.59) / 179.59 < 0.01);
+    assert.equal(lastApple.nutrition.category, 'food');
+    assert.equal(lastApple.smoothed.calories.samples, 5);
+});
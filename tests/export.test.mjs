@@ -0,0 +1,33 @@
+// ResultExporter: frame reports and their totals
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+function detection(className, category, calories) {
+    return {
+        class: className,
+        trackId: 1,
+        confidence: 0.9,
+        bbox: { x: 0, y: 0, width: 100, height: 100 },
+        volume: { mode: 'calibrated', volume: 100 },
+        nutrition: { category, weight: 100, calories, carbs: 10, protein: 1, fat: 1 }
+    };
+}
+
+test('frame totals count food only, while objects keep their per-item values', () => {
+    const exporter = new app.ResultExporter(null);
+    const report = exporter.buildFrameReport({
+        frame: { width: 640, height: 480 },
+        detections: [detection('apple', 'food', 52), detection('chair', 'object', 900), detection('cup', 'container', null)],
+        calibration: null,
+        source: 'camera',
+        capturedAt: 0
+    });
+
+    assert.equal(report.items.length, 3);
+    assert.equal(report.items[1].calories, 900);
+    assert.equal(report.totals.calories, 52);
+    assert.equal(report.totals.weight, 100);
+});
@@ -0,0 +1,104 @@
+// Class filters and the region of interest on headless runs: references always pass,
+// and boxes found in a cropped region land back in frame pixels
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+function scripted(label, left, top, size = 100) {
+    return { label, score: 0.9, box: { left, top, width: size, height: size } };
+}
+
+// The card sits outside the ROI below; the apple and the chair inside it
+const FRAME = [scripted('credit card', 500, 350), scripted('apple', 150, 100), scripted('chair', 200, 150)];
+const ROI = { x: 100, y: 50, width: 300, height: 300 };
+
+async function labelsAfterRun(pipeline) {
+    const results = await pipeline.runHeadless(new app.ScriptedFrameSource([FRAME]), null);
+    return results[0].detections.map(detection => detection.class).sort().join(', ');
+}
+
+// Runs CameraController.applyClassFilter for a filter mode against a headless pipeline
+async function applyClassFilter(pipeline, mode, allow = '', deny = '') {
+    const calorieEstimator = new app.CalorieEstimator(new app.BundledNutritionProvider());
+    await calorieEstimator.preload(['credit card', 'apple', 'chair']);
+    app.CameraController.prototype.applyClassFilter.call({
+        classFilterSelect: { value: mode },
+        customClassFilter: { style: {} },
+        allowClassesInput: { value: allow },
+        denyClassesInput: { value: deny },
+        parseClassList: app.CameraController.prototype.parseClassList,
+        calorieEstimator,
+        calibrationController: new app.CalibrationController(),
+        detectionPipeline: pipeline
+    });
+}
+
+test('reference objects survive every class filter mode', async () => {
+    const pipeline = new app.ObjectDetectionPipeline(null, null, null);
+    assert.equal(await labelsAfterRun(pipeline), 'apple, chair, credit card');
+
+    await applyClassFilter(pipeline, 'food');
+    assert.equal(await labelsAfterRun(pipeline), 'apple, credit card');
+    await applyClassFilter(pipeline, 'objects');
+    assert.equal(await labelsAfterRun(pipeline), 'chair, credit card');
+    await applyClassFilter(pipeline, 'custom', 'apple');
+    assert.equal(await labelsAfterRun(pipeline), 'apple, credit card');
+    await applyClassFilter(pipeline, 'custom', '', 'apple, chair, credit card');
+    assert.equal(await labelsAfterRun(pipeline), 'credit card');
+    await applyClassFilter(pipeline, 'all');
+    assert.equal(await labelsAfterRun(pipeline), 'apple, chair, credit card');
+});
+
+test('the ROI keeps objects centered inside it, and references anywhere', async () => {
+    const pipeline = new app.ObjectDetectionPipeline(null, null, null);
+    pipeline.setClassFilter(null, ['credit card']);
+    pipeline.setRegionOfInterest({ x: 100, y: 50, width: 150, height: 150 });
+    // The chair's center (250, 200) lies on the ROI's corner, which still counts as inside
+    assert.equal(await labelsAfterRun(pipeline), 'apple, chair, credit card');
+
+    pipeline.setRegionOfInterest({ x: 100, y: 50, width: 149, height: 150 });
+    assert.equal(await labelsAfterRun(pipeline), 'apple, credit card');
+});
+
+// Scripted frames that carry an image instead of detections, so they go through the model
+class ImageFrameSource extends app.ScriptedFrameSource {
+    async nextFrame() {
+        const frame = await super.nextFrame();
+        return frame && { ...frame, image: { frame: frame.index }, detections: null };
+    }
+}
+
+test('boxes found in the cropped ROI are mapped back to frame pixels', async () => {
+    const draws = [];
+    app.context.document.createElement = () => ({
+        width: 0,
+        height: 0,
+        getContext: () => ({ drawImage: (...args) => draws.push(args.slice(1).join(', ')) })
+    });
+    try {
+        const inputs = [];
+        // The model answers in the pixels of whatever canvas it is given
+        const model = {
+            isLoaded: true,
+            detectObjects: async (input) => {
+                inputs.push(`${input.width} x ${input.height}`);
+                return [scripted('apple', 10, 20, 40)];
+            }
+        };
+        const pipeline = new app.ObjectDetectionPipeline(null, model, null);
+        pipeline.setRegionOfInterest(ROI, true);
+        pipeline.setInputScale(0.5);
+
+        const results = await pipeline.runHeadless(new ImageFrameSource([[]], { width: 640, height: 480 }), null);
+        assert.equal(inputs.join(' | '), '150 x 150');
+        assert.equal(draws.join(' | '), '100, 50, 300, 300, 0, 0, 150, 150');
+
+        // (10, 20) at half scale inside the ROI: (100 + 20, 50 + 40), 80 px wide
+        const [apple] = results[0].detections;
+        assert.equal([apple.bbox.x, apple.bbox.y, apple.bbox.width, apple.bbox.height].join(', '), '120, 90, 80, 80');
+    } finally {
+        delete app.context.document.createElement;
+    }
+});
@@ -0,0 +1,74 @@
+// VideoFileFrameSource: headless runs over a video file end with an error when seeking fails
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+// A <video> stand-in that loads at once and hands every seek to onSeek(video, time)
+function createVideo(onSeek) {
+    const listeners = new Map();
+    const video = {
+        videoWidth: 640,
+        videoHeight: 480,
+        duration: 1,
+        time: 0,
+        get currentTime() {
+            return this.time;
+        },
+        set currentTime(time) {
+            this.time = time;
+            onSeek(video, time);
+        },
+        set src(url) {
+            this.url = url;
+            setTimeout(() => video.dispatch('loadeddata'));
+        },
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) {
+                listeners.set(type, new Set());
+            }
+            listeners.get(type).add(listener);
+        },
+        removeEventListener(type, listener) {
+            if (listeners.has(type)) {
+                listeners.get(type).delete(listener);
+            }
+        },
+        dispatch(type) {
+            for (const listener of [...(listeners.get(type) || [])]) {
+                listener();
+            }
+        },
+        listenerCount(type) {
+            return listeners.has(type) ? listeners.get(type).size : 0;
+        },
+        pause() {},
+        removeAttribute() {},
+        load() {}
+    };
+    return video;
+}
+
+function run(video, options = {}) {
+    const source = new app.VideoFileFrameSource('meal.mp4', { video, ...options });
+    return app.runHeadlessEstimation(source, { model: { isLoaded: true, detectObjects: async () => [] } });
+}
+
+test('a headless run over a video visits every frame interval', async () => {
+    const video = createVideo(target => setTimeout(() => target.dispatch('seeked')));
+    const results = await run(video, { frameInterval: 250 });
+    assert.equal(results.map(result => result.timestamp).join(', '), '0, 250, 500, 750, 1000');
+    assert.equal(video.listenerCount('seeked'), 0);
+});
+
+test('a video error while seeking fails the headless run', async () => {
+    const video = createVideo((target, time) => setTimeout(() => target.dispatch(time > 0.3 ? 'error' : 'seeked')));
+    await assert.rejects(run(video, { frameInterval: 250 }), /Could not seek video to 0.5s/);
+});
+
+test('a seek that never completes times out', async () => {
+    const video = createVideo(() => {});
+    await assert.rejects(run(video, { seekTimeout: 20 }), /Timed out seeking video to 0s/);
+    assert.equal(video.listenerCount('seeked'), 0);
+});
@@ -0,0 +1,98 @@
+// PerformanceGovernor: latency percentiles and quality levels driven by synthetic frame timings
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+// One second of frames at fps, each taking inferenceTime ms, the last one finishing at endTime
+function runSecond(governor, endTime, fps, inferenceTime) {
+    for (let frame = fps - 1; frame >= 0; frame--) {
+        governor.record(inferenceTime, inferenceTime + 5, endTime - frame * (1000 / fps));
+    }
+}
+
+test('percentiles index the sorted samples and round to two decimals', () => {
+    const governor = new app.PerformanceGovernor();
+    const values = Array.from({ length: 100 }, (_, index) => 100 - index);
+    const percentiles = governor.getPercentiles(values);
+    assert.equal(percentiles.p50, 51);
+    assert.equal(percentiles.p90, 91);
+    assert.equal(percentiles.p99, 100);
+    assert.equal(values[0], 100, 'the samples are not sorted in place');
+
+    assert.equal(governor.getPercentiles([1.234, 5.678]).p90, 5.68);
+    const empty = governor.getPercentiles([]);
+    assert.equal([empty.p50, empty.p90, empty.p99].join(', '), '0, 0, 0');
+});
+
+test('slow inference lowers the quality level one step per window, down to the last level', () => {
+    const governor = new app.PerformanceGovernor({ targetFps: 10 });
+    runSecond(governor, 950, 10, 150);
+    assert.equal(governor.adjust(950), null, 'waits ADJUST_INTERVAL before the first decision');
+
+    runSecond(governor, 2000, 10, 150);
+    assert.equal(governor.getStats().fps, 10);
+    const settings = governor.adjust(2000);
+    assert.equal(settings.level, 1);
+    assert.equal(settings.inputScale, 0.75);
+    assert.equal(settings.maxDetections, 15);
+    assert.equal(settings.detectionInterval, 100);
+    assert.equal(governor.getStats().samples, 0, 'samples of the old level are dropped');
+
+    for (let window = 2; window <= governor.LEVELS.length + 1; window++) {
+        runSecond(governor, window * 2000, 10, 150);
+        governor.adjust(window * 2000);
+    }
+    assert.equal(governor.level, governor.LEVELS.length - 1);
+});
+
+test('a low frame rate alone also lowers the level', () => {
+    const governor = new app.PerformanceGovernor({ targetFps: 10 });
+    runSecond(governor, 2000, 5, 20);
+    assert.equal(governor.adjust(2000).level, 1);
+});
+
+test('quality goes back up only after UPGRADE_AFTER fast windows in a row', () => {
+    const governor = new app.PerformanceGovernor({ targetFps: 10 });
+    runSecond(governor, 2000, 10, 150);
+    governor.adjust(2000);
+    assert.equal(governor.level, 1);
+
+    let time = 2000;
+    const fastWindow = () => {
+        time += 2000;
+        runSecond(governor, time, 10, 20);
+        return governor.adjust(time);
+    };
+    assert.equal(fastWindow(), null);
+    assert.equal(fastWindow(), null);
+    assert.equal(fastWindow().level, 0);
+
+    // A slow window lowers the level again and the count starts over
+    runSecond(governor, time + 2000, 10, 150);
+    governor.adjust(time += 2000);
+    assert.equal(fastWindow(), null);
+    assert.equal(fastWindow(), null);
+    assert.equal(fastWindow().level, 0);
+});
+
+test('too few samples or a disabled governor leave the level alone; reset starts over', () => {
+    const governor = new app.PerformanceGovernor({ targetFps: 10 });
+    runSecond(governor, 2000, governor.MIN_SAMPLES - 1, 150);
+    assert.equal(governor.adjust(2000), null);
+
+    governor.setEnabled(false);
+    runSecond(governor, 4000, 10, 150);
+    assert.equal(governor.adjust(4000), null);
+
+    governor.setEnabled(true);
+    assert.equal(governor.adjust(4000).level, 1);
+
+    governor.reset();
+    const stats = governor.getStats();
+    assert.equal(governor.level, 0);
+    assert.equal(governor.lastAdjustTime, 0);
+    assert.equal([stats.fps, stats.samples, stats.inference.p90].join(', '), '0, 0, 0');
+    assert.equal(governor.getSettings().inputScale, 1);
+});
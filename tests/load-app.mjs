@@ -0,0 +1,61 @@
+// Loads the browser scripts (i18n.js, model-registry.js, main.js) into a fresh VM context
+// with just enough of the DOM stubbed out to construct the estimation classes.
+// The page itself is never initialized: DOMContentLoaded listeners are not fired.
+// globals adds to the context, e.g. { tf } for the model wrappers.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../', import.meta.url);
+const SCRIPTS = ['i18n.js', 'model-registry.js', 'main.js'];
+
+// Top-level declarations of the scripts that tests reach for
+const EXPORTS = [
+    'i18n', 'COCO_LABELS', 'MODEL_REGISTRY', 'DEFAULT_MODEL_ID', 'TFJS_SCRIPTS',
+    'CalibrationController', 'VolumeEstimator', 'CalorieEstimator', 'EstimateSmoother', 'EstimationChain',
+    'BundledNutritionProvider', 'MfdsNutritionProvider', 'TwoViewEstimator', 'ResultExporter', 'MealSessionManager',
+    'ScriptedFrameSource', 'runHeadlessEstimation', 'YoloDetector', 'DepthSampler', 'ObjectTracker',
+    'PerformanceGovernor', 'ObjectDetectionPipeline', 'CameraController',
+    'VideoFileFrameSource'
+];
+
+export function loadApp(globals = {}) {
+    const storage = new Map();
+    const context = vm.createContext({
+        console: { ...console, log() {} },
+        performance,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        AbortController,
+        Intl,
+        document: {
+            addEventListener() {},
+            getElementById() { return null; },
+            querySelectorAll() { return []; },
+            documentElement: {}
+        },
+        window: { addEventListener() {} },
+        location: { protocol: 'https:', hostname: 'localhost' },
+        navigator: { languages: ['ko-KR'] },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        // Relative URLs resolve against the repository root, like the page does
+        fetch: async url => {
+            try {
+                const text = readFileSync(new URL(url, ROOT), 'utf8');
+                return { ok: true, status: 200, json: async () => JSON.parse(text) };
+            } catch {
+                return { ok: false, status: 404, json: async () => null };
+            }
+        },
+        ...globals
+    });
+
+    const source = SCRIPTS.map(script => readFileSync(new URL(script, ROOT), 'utf8')).join('\n;\n')
+        + `\n;({ ${EXPORTS.join(', ')} });`;
+    return { ...vm.runInContext(source, context, { filename: 'app.js' }), context };
+}
@@ -0,0 +1,44 @@
+// MealSessionManager: items of a restored session against a new tracker
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+// In-memory stand-in for IndexedDBStore
+function memoryStore() {
+    const records = new Map();
+    return {
+        put: async (key, value) => { records.set(key, structuredClone(value)); },
+        getAll: async () => [...records.values()].map(value => structuredClone(value)),
+        delete: async key => { records.delete(key); }
+    };
+}
+
+const apple = trackId => ({
+    class: 'apple',
+    trackId,
+    nutrition: { category: 'food', weight: 100, calories: 52, carbs: 14, protein: 0.3, fat: 0.2 }
+});
+
+test('a restored session does not treat a new tracker\'s IDs as already added', async () => {
+    const store = memoryStore();
+    const before = new app.MealSessionManager(store);
+    await before.start();
+    assert.ok(await before.addItem(apple(1), 1000));
+    assert.equal(await before.addItem(apple(1), 1000), null);
+
+    // Page reloaded: the tracker starts again at ID 1 with a new epoch
+    const after = new app.MealSessionManager(store);
+    await after.restore();
+    assert.equal(after.hasItem(1, 2000), false);
+    const item = await after.addItem(apple(1), 2000);
+    assert.ok(item);
+
+    const ids = after.currentSession.items.map(entry => entry.id);
+    assert.equal(new Set(ids).size, 2);
+
+    await after.removeItem(ids[0]);
+    assert.equal(after.currentSession.items.length, 1);
+    assert.equal(after.currentSession.items[0].id, item.id);
+});
@@ -0,0 +1,87 @@
+// MfdsNutritionProvider: API answers, errors and misses against the bundled dataset
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+const API_URL = 'https://mfds.test/nutrition';
+
+// A provider for the mocked API, caching in a Map instead of IndexedDB
+function createProvider() {
+    const provider = new app.MfdsNutritionProvider({ baseUrl: API_URL, serviceKey: 'test' });
+    const cache = new Map();
+    provider.cache = {
+        get: async key => cache.get(key),
+        put: async (key, value) => cache.set(key, value)
+    };
+    return { provider, cache };
+}
+
+async function withMockApi(respond, run) {
+    const { fetch: originalFetch, console: originalConsole } = app.context;
+    const queries = [];
+    app.context.fetch = async url => {
+        if (!url.startsWith(API_URL)) {
+            return originalFetch(url);
+        }
+        const query = new URL(url).searchParams.get('FOOD_NM_KR');
+        queries.push(query);
+        return { ok: true, status: 200, json: async () => respond(query) };
+    };
+    app.context.console = { ...originalConsole, warn() {} };
+    try {
+        await run(queries);
+    } finally {
+        app.context.fetch = originalFetch;
+        app.context.console = originalConsole;
+    }
+}
+
+const NORMAL = { resultCode: '00', resultMsg: 'NORMAL SERVICE.' };
+
+test('an API match is used and cached', async () => {
+    await withMockApi(() => ({
+        header: NORMAL,
+        body: { items: [{ FOOD_NM_KR: '케이크', AMT_NUM1: '300', AMT_NUM3: '5', AMT_NUM4: '12', AMT_NUM6: '45' }] }
+    }), async queries => {
+        const { provider, cache } = createProvider();
+        const cake = await provider.getNutrition('cake');
+        assert.equal(cake.source, 'mfds');
+        assert.equal(cake.calories, 300);
+        assert.ok(cake.servingVolume > 0);
+        assert.equal(cache.get('cake').nutrition.calories, 300);
+
+        await provider.getNutrition('cake');
+        assert.equal(queries.length, 1);
+    });
+});
+
+test('a bundled food the API does not match keeps its bundled record', async () => {
+    await withMockApi(() => ({ header: NORMAL, body: { items: [] } }), async () => {
+        const { provider, cache } = createProvider();
+        const cake = await provider.getNutrition('cake');
+        assert.notEqual(cake, null);
+        assert.notEqual(cake.source, 'mfds');
+        assert.ok(cake.calories > 0);
+
+        // Known to neither: cached as not a food
+        assert.equal(await provider.getNutrition('chair'), null);
+        assert.equal(cache.get('chair').nutrition, null);
+    });
+});
+
+test('an error result code falls back to the bundled set without caching', async () => {
+    await withMockApi(() => ({
+        header: { resultCode: '30', resultMsg: 'SERVICE_KEY_IS_NOT_REGISTERED_ERROR' }
+    }), async queries => {
+        const { provider, cache } = createProvider();
+        const cake = await provider.getNutrition('cake');
+        assert.ok(cake.calories > 0);
+        assert.equal(await provider.getNutrition('chair'), null);
+        assert.equal(cache.size, 0);
+
+        // The next lookup asks the API again
+        await provider.getNutrition('cake');
+        assert.equal(queries.length, 3);
+    });
+});
@@ -0,0 +1,14 @@
+// model-registry.js: the pinned TensorFlow.js scripts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+test('index.html loads exactly the pinned TensorFlow.js scripts', () => {
+    const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+    const scripts = [...html.matchAll(/<script src="(https:[^"]+)"/g)].map(match => match[1]);
+    assert.equal(scripts.join('\n'), app.TFJS_SCRIPTS.join('\n'));
+    assert.ok(app.TFJS_SCRIPTS.every(url => !url.includes('@latest')));
+});
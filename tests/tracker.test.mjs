@@ -0,0 +1,81 @@
+// ObjectTracker: track IDs across frames, IoU and centroid matching, expiry and resets
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+function detection(className, x, y, size = 100) {
+    return { class: className, confidence: 0.9, bbox: { x, y, width: size, height: size } };
+}
+
+function idsByClass(results) {
+    return Object.fromEntries(results.map(result => [`${result.class}@${result.bbox.x}`, result.trackId]));
+}
+
+test('matched detections keep their track IDs while they move', () => {
+    const tracker = new app.ObjectTracker();
+    const first = idsByClass(tracker.update([
+        detection('cake', 0, 0), detection('apple', 300, 0), detection('apple', 500, 0)
+    ], 0));
+
+    // Same objects 10 px further right, listed in another order
+    const results = tracker.update([
+        detection('apple', 510, 0), detection('cake', 10, 0), detection('apple', 310, 0)
+    ], 33);
+    const second = idsByClass(results);
+    assert.equal(second['cake@10'], first['cake@0']);
+    assert.equal(second['apple@310'], first['apple@300']);
+    assert.equal(second['apple@510'], first['apple@500']);
+    assert.ok(results.every(result => result.trackAge === 2));
+    assert.equal(tracker.tracks.size, 3);
+});
+
+test('boxes that stop overlapping still match by centroid distance', () => {
+    const tracker = new app.ObjectTracker();
+    const [start] = tracker.update([detection('cake', 0, 0)], 0);
+
+    // 70 px jump: IoU 0.18 is under the threshold, the centroid is 0.7 box sizes away
+    const score = tracker.matchScore(start.bbox, detection('cake', 70, 0).bbox);
+    assert.ok(score > 0 && score < 1);
+    const [jumped] = tracker.update([detection('cake', 70, 0)], 33);
+    assert.equal(jumped.trackId, start.trackId);
+
+    // A farther jump is a different object; so is the same box of another class
+    const [far] = tracker.update([detection('cake', 160, 0)], 66);
+    assert.notEqual(far.trackId, start.trackId);
+    const [other] = tracker.update([detection('apple', 160, 0)], 99);
+    assert.notEqual(other.trackId, far.trackId);
+});
+
+test('tracks survive MAX_MISSED_FRAMES empty frames and expire after one more', () => {
+    const tracker = new app.ObjectTracker();
+    const [start] = tracker.update([detection('cake', 0, 0)], 0);
+
+    for (let frame = 1; frame <= tracker.MAX_MISSED_FRAMES; frame++) {
+        tracker.update([], frame * 33);
+    }
+    assert.equal(tracker.getTrack(start.trackId).missedFrames, tracker.MAX_MISSED_FRAMES);
+    const [back] = tracker.update([detection('cake', 0, 0)], 200);
+    assert.equal(back.trackId, start.trackId);
+    assert.equal(tracker.getTrack(start.trackId).missedFrames, 0);
+
+    for (let frame = 0; frame <= tracker.MAX_MISSED_FRAMES; frame++) {
+        tracker.update([], 233 + frame * 33);
+    }
+    assert.equal(tracker.getTrack(start.trackId), null);
+    const [again] = tracker.update([detection('cake', 0, 0)], 500);
+    assert.notEqual(again.trackId, start.trackId);
+});
+
+test('reset drops every track without reusing their IDs', () => {
+    const tracker = new app.ObjectTracker();
+    const before = tracker.update([detection('cake', 0, 0), detection('apple', 300, 0)], 0);
+
+    tracker.reset();
+    assert.equal(tracker.tracks.size, 0);
+    const after = tracker.update([detection('cake', 0, 0), detection('apple', 300, 0)], 33);
+    const usedIds = new Set(before.map(result => result.trackId));
+    assert.ok(after.every(result => !usedIds.has(result.trackId)));
+    assert.ok(after.every(result => result.trackAge === 1));
+});
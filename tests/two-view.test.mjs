@@ -0,0 +1,76 @@
+// TwoViewEstimator: the top view's calibration carried to the side view, top → side → combine
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './load-app.mjs';
+
+const app = loadApp();
+
+async function createChain(calibrationController) {
+    const calorieEstimator = new app.CalorieEstimator(new app.BundledNutritionProvider());
+    await calorieEstimator.preload(['cake']);
+    return new app.EstimationChain({
+        calibrationController,
+        volumeEstimator: new app.VolumeEstimator(),
+        calorieEstimator,
+        estimateSmoother: new app.EstimateSmoother()
+    });
+}
+
+test('a manual top calibration reaches the side view through the box drawn there', async () => {
+    // Top view: a 100 mm wide object drawn at 0.5 mm/px, and a cake 100 x 80 mm beside it
+    const topCalibration = new app.CalibrationController();
+    topCalibration.calibrateManually({ x: 100, y: 100, width: 200, height: 100 }, 100);
+    const chain = await createChain(topCalibration);
+    const topResults = chain.analyze([
+        { class: 'cake', confidence: 0.9, bbox: { x: 400, y: 100, width: 200, height: 160 } }
+    ], topCalibration);
+    const topStatus = topCalibration.getStatus();
+    assert.equal(topStatus.manualReference.realWidth, 100);
+
+    // Side view at 0.25 mm/px: the same cake 150 mm right of the reference, 30 mm tall
+    const sideDetections = [
+        { class: 'cake', confidence: 0.8, bbox: { x: 800, y: 300, width: 400, height: 120 } }
+    ];
+    const estimator = new app.TwoViewEstimator(chain);
+
+    // Nothing to find the reference by until the user draws it
+    const undrawn = estimator.combine(topResults, topStatus, sideDetections);
+    assert.equal(undrawn.sideCalibration, null);
+    assert.equal(undrawn.matchedCount, 0);
+
+    const result = estimator.combine(topResults, topStatus, sideDetections, { x: 200, y: 350, width: 400, height: 20 });
+    assert.equal(result.sideCalibration.reference, 'manual');
+    assert.equal(result.sideCalibration.mmPerPixel, 0.25);
+    assert.equal(result.matchedCount, 1);
+
+    const cake = result.detections[0];
+    assert.equal(cake.twoView.sideIndex, 0);
+    assert.equal(cake.twoView.mode, 'two-view');
+    assert.equal(cake.twoView.measuredHeight, 30);
+    assert.ok(cake.twoView.calories > 0);
+    assert.notEqual(cake.twoView.volume, cake.volume.volume);
+});
+
+test('a detected top reference is found again in the side view', async () => {
+    // A credit card at 0.5 mm/px, its long edge running left to right
+    const card = { class: 'credit card', confidence: 0.9, bbox: { x: 100, y: 100, width: 171.2, height: 107.96 } };
+    const topCalibration = new app.CalibrationController();
+    const chain = await createChain(topCalibration);
+    const topResults = chain.analyze([
+        card,
+        { class: 'cake', confidence: 0.9, bbox: { x: 400, y: 100, width: 200, height: 160 } }
+    ], topCalibration);
+    const topStatus = topCalibration.getStatus();
+    assert.equal(topStatus.calibrationObject, 'credit card');
+
+    const sideDetections = [
+        { class: 'credit card', confidence: 0.8, bbox: { x: 100, y: 400, width: 342.4, height: 4 } },
+        { class: 'cake', confidence: 0.8, bbox: { x: 900, y: 300, width: 400, height: 120 } }
+    ];
+    const result = new app.TwoViewEstimator(chain).combine(topResults, topStatus, sideDetections);
+    assert.equal(result.sideCalibration.reference, 'credit card');
+    assert.equal(result.sideCalibration.mmPerPixel, 0.25);
+    assert.equal(result.matchedCount, 1);
+    assert.equal(result.detections[0].twoView, null);
+    assert.equal(result.detections[1].twoView.measuredHeight, 30);
+});